@@ -0,0 +1,98 @@
+/**
+ * album.js
+ *
+ * A voyage album (maps/album/index.html?album=<path>): the photos of one album
+ * folder under images/gallery next to the voyage it belongs to, i.e. the
+ * tracks of its track folder shown on the map (through ?folders=) and their
+ * totals from getFolderStats(). Albums are listed on the home page.
+ *
+ * The page sets <base href="../"> so the track list and files are fetched
+ * from the same relative paths as on the map page.
+ *
+ * Dependencies:
+ *   - photo_source.js (for the albums)
+ *   - photo_gallery.js (for the photo grid)
+ *   - photo_lightbox.js (for reopening a shared photo)
+ *   - fetch_tree.js (for the track folders and their totals)
+ *   - track_metadata.js (for the months the album covers)
+ *   - stats_charts.js (for the total cards, as on the statistics page)
+ *   - units.js (for nautical miles and hours)
+ */
+import { listGalleryAlbums } from '../photo_source.js';
+import { renderGallery } from '../photo_gallery.js';
+import { openLightboxFromHash } from '../photo_lightbox.js';
+import { fetchGpxTree, getFolderStats } from '../fetch_tree.js';
+import { formatMonthSpan } from '../track_metadata.js';
+import { createStatsCard } from '../stats_charts.js';
+import { METERS_TO_NM, formatHours } from '../units.js';
+
+const statusElement = document.getElementById('albumStatus');
+
+async function init() {
+    const path = new URLSearchParams(window.location.search).get('album');
+    statusElement.textContent = 'Loading album...';
+
+    let albums;
+    try {
+        albums = await listGalleryAlbums();
+    } catch (error) {
+        console.error(error);
+        statusElement.textContent = 'Failed to load the gallery.';
+        return;
+    }
+
+    const album = albums.find(candidate => candidate.path === path);
+    if (!album) {
+        statusElement.textContent = path ? `There is no album "${path}".` : 'No album selected.';
+        return;
+    }
+
+    document.title = `SV Aion – ${album.title}`;
+    document.getElementById('albumTitle').textContent = album.title;
+    const times = album.photos.map(photo => photo.time).filter(time => time !== null);
+    document.getElementById('albumDescription').textContent = [
+        album.description,
+        times.length ? formatMonthSpan(Math.min(...times), Math.max(...times)) : ''
+    ].filter(Boolean).join(' · ');
+    openLightboxFromHash(renderGallery(document.getElementById('albumPhotos'), album.photos, null));
+    statusElement.textContent = '';
+
+    await showVoyage(album.trackFolder);
+}
+
+async function showVoyage(trackFolder) {
+    if (!trackFolder) {
+        return;
+    }
+    const tree = await fetchGpxTree();
+    const node = trackFolder.split('/').reduce((folder, name) => (folder && folder.subfolders ? folder.subfolders[name] : null), tree);
+    if (!node) {
+        console.warn(`Album: no track folder ${trackFolder}`);
+        return;
+    }
+
+    // The map selects folders by their name (see ?folders= in mainscript.js).
+    const mapUrl = `./?folders=${encodeURIComponent(node.name)}&photos=1`;
+    document.getElementById('albumMap').src = mapUrl;
+    document.getElementById('albumMapLink').href = mapUrl;
+    document.getElementById('albumMapSection').hidden = false;
+
+    const stats = await getFolderStats(node);
+    const totals = document.getElementById('albumTotals');
+    [
+        [`${(stats.distanceMeters * METERS_TO_NM).toFixed(1)} nm`, 'sailed'],
+        [formatHours(stats.movingSeconds), 'underway'],
+        [formatHours(stats.anchoredSeconds), 'at anchor'],
+        [formatHours(stats.dockedSeconds), 'docked'],
+        [String(stats.passageCount), stats.passageCount === 1 ? 'passage' : 'passages'],
+        [stats.avgSogKnots ? `${stats.avgSogKnots.toFixed(1)} kn` : '–', 'average SOG'],
+        [stats.maxSogKnots ? `${stats.maxSogKnots.toFixed(1)} kn` : '–', 'fastest SOG']
+    ].forEach(([value, label]) => totals.appendChild(createStatsCard(label, value)));
+    document.getElementById('albumStatsLink').href = `stats/?folder=${encodeURIComponent(trackFolder)}`;
+    document.getElementById('albumVoyage').hidden = false;
+}
+
+init().catch(error => {
+    console.error(error);
+    statusElement.textContent = 'Failed to load the album.';
+});
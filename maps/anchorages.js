@@ -0,0 +1,116 @@
+/**
+ * anchorages.js
+ *
+ * Finds the places Aion stayed (anchorages, moorings, marinas) across many
+ * tracks. The stays detected by gpx_stats.js are grouped into places:
+ *   - stays shorter than MIN_VISIT_SECONDS (lunch stops, fuel docks) are ignored;
+ *   - a stay within PLACE_RADIUS_METERS of a known place belongs to it;
+ *   - a stay that ends one track file and a stay at the same place that
+ *     starts the next are one visit (e.g. a night at anchor split across two
+ *     monthly log files); stays with time underway between them, like the
+ *     departure and return of a day sail, are separate visits.
+ * Places are named from an optional gazetteer (maps/places.json:
+ * { "places": [{ "name", "lat", "lon", "radiusMeters" }] }), then the home port,
+ * and are otherwise left unnamed. No DOM or Leaflet dependencies.
+ *
+ * Exports:
+ *   - findPlaces(stays, gazetteer, homePort): Returns
+ *     [{ name, lat, lon, state, visits: [{ arrival, departure, nights }], nights }]
+ *     sorted by the latest departure first.
+ *   - countNights(arrival, departure): Local midnights between two epoch-ms times.
+ *   - findPlaceName(lat, lon, gazetteer, homePort): Name of the gazetteer place
+ *     (or home port) a position is within, or ''.
+ *
+ * Dependencies:
+ *   - gpx_stats.js (for distances)
+ */
+import { haversine } from './gpx_stats.js';
+
+const MIN_VISIT_SECONDS = 3 * 60 * 60;
+const PLACE_RADIUS_METERS = 500;
+const DEFAULT_GAZETTEER_RADIUS_METERS = 1000;
+const HOME_PORT_RADIUS_METERS = 1500;
+
+export function findPlaces(stays, gazetteer = [], homePort = null) {
+    const places = [];
+
+    [...stays]
+        .sort((a, b) => a.startTime - b.startTime)
+        .forEach(stay => {
+            let place = places.find(p => haversine(p.lat, p.lon, stay.lat, stay.lon) <= PLACE_RADIUS_METERS);
+            if (!place) {
+                place = { lat: stay.lat, lon: stay.lon, weight: 0, dockedSeconds: 0, stays: [] };
+                places.push(place);
+            }
+
+            // The place's position is the time-weighted centre of its stays.
+            const seconds = Math.max(1, (stay.endTime - stay.startTime) / 1000);
+            place.lat = (place.lat * place.weight + stay.lat * seconds) / (place.weight + seconds);
+            place.lon = (place.lon * place.weight + stay.lon * seconds) / (place.weight + seconds);
+            place.weight += seconds;
+            if (stay.state === 'docked') {
+                place.dockedSeconds += seconds;
+            }
+            place.stays.push(stay);
+        });
+
+    return places
+        .map(place => {
+            const visits = mergeVisits(place.stays)
+                .filter(visit => (visit.departure - visit.arrival) / 1000 >= MIN_VISIT_SECONDS)
+                .map(visit => ({ ...visit, nights: countNights(visit.arrival, visit.departure) }));
+            return {
+                name: findPlaceName(place.lat, place.lon, gazetteer, homePort),
+                lat: place.lat,
+                lon: place.lon,
+                state: place.dockedSeconds > place.weight / 2 ? 'docked' : 'anchored',
+                visits,
+                nights: visits.reduce((sum, visit) => sum + visit.nights, 0)
+            };
+        })
+        .filter(place => place.visits.length)
+        .sort((a, b) => b.visits.at(-1).departure - a.visits.at(-1).departure);
+}
+
+export function countNights(arrival, departure) {
+    const start = new Date(arrival);
+    const end = new Date(departure);
+    const startDay = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+    const endDay = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+    return Math.max(0, Math.round((endDay - startDay) / 86400000));
+}
+
+// Stays continue across a file boundary only when nothing was logged between
+// them: the earlier one runs to the end of its file and the later one starts
+// its file.
+function mergeVisits(stays) {
+    const visits = [];
+    let previousStay = null;
+    stays.forEach(stay => {
+        const previous = visits.at(-1);
+        if (previous && previousStay.atEnd && stay.atStart && stay.startTime >= previous.departure) {
+            previous.departure = Math.max(previous.departure, stay.endTime);
+        } else {
+            visits.push({ arrival: stay.startTime, departure: stay.endTime });
+        }
+        previousStay = stay;
+    });
+    return visits;
+}
+
+export function findPlaceName(lat, lon, gazetteer = [], homePort = null) {
+    let best = null;
+    gazetteer.forEach(entry => {
+        const distance = haversine(lat, lon, entry.lat, entry.lon);
+        if (distance <= (entry.radiusMeters || DEFAULT_GAZETTEER_RADIUS_METERS) && (!best || distance < best.distance)) {
+            best = { name: entry.name, distance };
+        }
+    });
+    if (best) {
+        return best.name;
+    }
+    if (homePort && haversine(lat, lon, homePort.lat, homePort.lon) <= HOME_PORT_RADIUS_METERS) {
+        return homePort.name;
+    }
+    return '';
+}
@@ -0,0 +1,173 @@
+/**
+ * boat_status.js
+ *
+ * The boat's latest state, read from the most recent track: course for
+ * rotating the boat marker, and the status card shown when the marker is
+ * clicked (position in degrees/minutes, SOG, COG, latest wind readings, time
+ * since the last fix and distance sailed this month, with a button to copy the
+ * coordinates).
+ *
+ * Exports:
+ *   - getBoatCourse(model): Course in degrees at the last point, or null.
+ *   - createBoatStatusCard(track): Returns the status card element for a
+ *     { model, info } track record.
+ *
+ * Dependencies:
+ *   - gpx_parser.js (for the last point of a track)
+ *   - gpx_stats.js (for bearings, derived speeds and distance)
+ *   - point_metadata.js (for reading logged SOG, COG and wind)
+ *   - ui_helpers.js (for formatting)
+ *   - units.js (for nautical miles)
+ */
+import { getLastPoint } from './gpx_parser.js';
+import { haversine, initialBearing, pointSpeedsKnots, summarizeTracks } from './gpx_stats.js';
+import { normalizeMetadataEntries, getNumericEntry, getNumericValue } from './point_metadata.js';
+import { formatLatLonDegreesMinutes, formatTimeAgo } from './ui_helpers.js';
+import { METERS_TO_NM } from './units.js';
+
+// Metadata labels that give the boat's direction / speed, in order of preference.
+const COURSE_LABELS = ['Course over ground', 'Cog', 'True heading', 'Heading'];
+const SOG_LABELS = ['Speed over ground', 'Sog'];
+const COURSE_LOOKBACK_POINTS = 30;
+const MIN_COURSE_DISTANCE_METERS = 20;
+// Wind is not logged with every fix; look this far back for the latest reading.
+const WIND_LOOKBACK_MS = 30 * 60 * 1000;
+
+export function getBoatCourse(model) {
+    const points = getLastSegmentPoints(model);
+    if (!points.length) {
+        return null;
+    }
+
+    const logged = readLoggedValue(points.at(-1), COURSE_LABELS);
+    if (logged !== null) {
+        return logged;
+    }
+
+    const last = points.at(-1);
+    for (let i = points.length - 2; i >= Math.max(0, points.length - COURSE_LOOKBACK_POINTS); i--) {
+        if (haversine(points[i].lat, points[i].lon, last.lat, last.lon) >= MIN_COURSE_DISTANCE_METERS) {
+            return initialBearing(points[i].lat, points[i].lon, last.lat, last.lon);
+        }
+    }
+    return null;
+}
+
+export function createBoatStatusCard(track) {
+    const card = document.createElement('div');
+    card.className = 'boat-status';
+
+    const last = getLastPoint(track.model);
+    if (!last) {
+        card.textContent = 'No position available';
+        return card;
+    }
+
+    const points = getLastSegmentPoints(track.model);
+    const course = getBoatCourse(track.model);
+    const sog = readLoggedValue(last, SOG_LABELS) ?? pointSpeedsKnots(points).at(-1);
+
+    const title = document.createElement('div');
+    title.className = 'boat-status-title';
+    title.textContent = 'SV Aion';
+    card.appendChild(title);
+
+    const table = document.createElement('table');
+    const addRow = (label, value) => {
+        const row = table.insertRow();
+        const header = document.createElement('th');
+        header.textContent = label;
+        row.appendChild(header);
+        row.insertCell().textContent = value;
+    };
+
+    addRow('Position', formatLatLonDegreesMinutes(last.lat, last.lon));
+    addRow('SOG', sog !== null && sog !== undefined ? `${sog.toFixed(1)} kn` : '–');
+    addRow('COG', course !== null ? `${String(Math.round(course) % 360).padStart(3, '0')}°` : '–');
+    getLatestWindEntries(points).forEach(entry => {
+        addRow(entry.label, entry.unit ? `${entry.value} ${entry.unit}` : String(entry.value));
+    });
+    if (last.time !== null) {
+        addRow('Last fix', `${formatTimeAgo(Date.now() - last.time)} (${new Date(last.time).toLocaleString()})`);
+        const month = getMonthDistance(track.model, last.time);
+        addRow(`Sailed in ${month.label}`, `${(month.distanceMeters * METERS_TO_NM).toFixed(1)} nm`);
+    }
+    card.appendChild(table);
+
+    const copyButton = document.createElement('button');
+    copyButton.type = 'button';
+    copyButton.className = 'boat-status-copy';
+    copyButton.textContent = 'Copy coordinates';
+    copyButton.addEventListener('click', async () => {
+        const text = `${last.lat.toFixed(5)}, ${last.lon.toFixed(5)}`;
+        try {
+            await navigator.clipboard.writeText(text);
+            copyButton.textContent = 'Copied';
+        } catch (error) {
+            // Clipboard access needs a secure context; let the visitor copy by hand.
+            window.prompt('Coordinates', text);
+        }
+        setTimeout(() => {
+            copyButton.textContent = 'Copy coordinates';
+        }, 1500);
+    });
+    card.appendChild(copyButton);
+
+    return card;
+}
+
+function getLastSegmentPoints(model) {
+    const trk = model.tracks.findLast(t => t.segments.some(segment => segment.points.length));
+    return trk ? trk.segments.findLast(segment => segment.points.length).points : [];
+}
+
+function readLoggedValue(point, labels) {
+    if (!point.meta) {
+        return null;
+    }
+    const entries = normalizeMetadataEntries(point.meta);
+    for (const label of labels) {
+        const entry = getNumericEntry(entries, label);
+        if (entry) {
+            return getNumericValue(entry.value);
+        }
+    }
+    return null;
+}
+
+// Wind entries of the most recent point that logged any, within WIND_LOOKBACK_MS of the last fix.
+function getLatestWindEntries(points) {
+    const lastTime = points.at(-1).time;
+    for (let i = points.length - 1; i >= 0; i--) {
+        const point = points[i];
+        if (lastTime !== null && point.time !== null && lastTime - point.time > WIND_LOOKBACK_MS) {
+            break;
+        }
+        if (!point.meta) {
+            continue;
+        }
+        const windEntries = normalizeMetadataEntries(point.meta).filter(entry => /wind/i.test(entry.label));
+        if (windEntries.length) {
+            return windEntries.map(entry => {
+                const value = getNumericValue(entry.value);
+                return { ...entry, value: value !== null ? Math.round(value * 10) / 10 : entry.value };
+            });
+        }
+    }
+    return [];
+}
+
+// Distance logged in this track during the calendar month of the last fix.
+function getMonthDistance(model, lastTime) {
+    const lastDate = new Date(lastTime);
+    const start = new Date(lastDate.getFullYear(), lastDate.getMonth(), 1).getTime();
+    const tracks = model.tracks.map(trk => ({
+        segments: trk.segments.map(segment => ({
+            points: segment.points.filter(p => p.time !== null && p.time >= start)
+        }))
+    }));
+    return {
+        label: lastDate.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }),
+        distanceMeters: summarizeTracks(tracks).distanceMeters
+    };
+}
@@ -0,0 +1,265 @@
+/**
+ * calendar_panel.js
+ *
+ * "📅 Calendar" panel with a calendar heatmap of the distance sailed each day
+ * across all tracks, one row of weeks per year. Clicking a day selects only the
+ * tracks that sailed that day and outlines that day's part of them on the map
+ * (like brushing the chart), so "what did we do on June 19th" no longer means
+ * digging through a monthly log. Clicking the day again clears the highlight.
+ * The selected day is kept in the URL as ?day=YYYY-MM-DD.
+ *
+ * Every track is loaded the first time the panel is opened; the IndexedDB
+ * track cache keeps that cheap on later visits.
+ *
+ * Exports:
+ *   - initCalendarPanel(tree): Wires up the #calendarPanel element in index.html.
+ *
+ * Dependencies:
+ *   - constants.js (for the track checkbox container)
+ *   - fetch_tree.js (for track paths)
+ *   - track_store.js (for loading tracks)
+ *   - gpx_stats.js (for day keys)
+ *   - map.js (for showing tracks and highlighting the day)
+ *   - ui_helpers.js (for escaping selectors and keeping ?tracks= in sync)
+ *   - units.js (for nautical miles)
+ *   - url_params.js (for keeping ?day= in the URL)
+ */
+import { trackCheckboxesDiv } from './constants.js';
+import { collectTrackPaths } from './fetch_tree.js';
+import { loadTrack } from './track_store.js';
+import { localDayKey } from './gpx_stats.js';
+import { addTrackToMap, removeTrackFromMap, highlightTimeRange } from './map.js';
+import { escapeCSSSelector, updateUrlParams } from './ui_helpers.js';
+import { METERS_TO_NM } from './units.js';
+import { setUrlParams } from './url_params.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CELL_SIZE = 11;
+const CELL_GAP = 2;
+const LABEL_WIDTH = 30;
+const MONTH_LABEL_HEIGHT = 12;
+// Distance (nm) a day needs for each shade; below the first it is left blank.
+const LEVEL_THRESHOLDS_NM = [0.1, 5, 15, 30];
+const LEVEL_COLORS = ['#c6dbef', '#6baed6', '#2171b5', '#08306b'];
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const WEEKDAY_LABELS = ['', 'Mon', '', 'Wed', '', 'Fri', ''];
+
+export function initCalendarPanel(tree) {
+    const panel = document.getElementById('calendarPanel');
+    const toggleButton = document.getElementById('toggleCalendar');
+    const body = document.getElementById('calendarBody');
+    if (!panel || !toggleButton || !body) {
+        return;
+    }
+
+    let daysPromise = null;
+    let selectedDay = null;
+
+    const ensureDays = () => {
+        if (!daysPromise) {
+            daysPromise = loadDays(tree, (loaded, total) => {
+                body.textContent = `Loading tracks... ${loaded}/${total}`;
+            });
+        }
+        return daysPromise;
+    };
+
+    const render = async () => {
+        const days = await ensureDays();
+        body.innerHTML = '';
+        if (!days.size) {
+            body.textContent = 'No dated tracks.';
+            return;
+        }
+        const years = [...days.keys()].map(day => Number(day.slice(0, 4)));
+        for (let year = Math.max(...years); year >= Math.min(...years); year--) {
+            body.appendChild(createYearHeatmap(year, days, selectedDay, day => {
+                void selectDay(day === selectedDay ? null : day);
+            }));
+        }
+        body.appendChild(createLegend());
+    };
+
+    const selectDay = async day => {
+        selectedDay = day;
+        updateDayParam(day);
+        void render();
+        if (!day) {
+            highlightTimeRange(null);
+            return;
+        }
+
+        const entry = (await ensureDays()).get(day);
+        await showOnlyTracks(entry ? entry.paths : []);
+        highlightTimeRange(getDayRange(day));
+    };
+
+    toggleButton.addEventListener('click', () => {
+        panel.classList.toggle('collapsed');
+        if (!panel.classList.contains('collapsed')) {
+            void render();
+        }
+    });
+
+    const requestedDay = new URLSearchParams(window.location.search).get('day');
+    if (requestedDay && /^\d{4}-\d{2}-\d{2}$/.test(requestedDay)) {
+        panel.classList.remove('collapsed');
+        void selectDay(requestedDay);
+    }
+}
+
+// Map of 'YYYY-MM-DD' -> { meters, paths } from the daily totals of every track.
+async function loadDays(tree, onProgress) {
+    const paths = collectTrackPaths(tree);
+    const days = new Map();
+
+    for (let i = 0; i < paths.length; i++) {
+        onProgress(i, paths.length);
+        try {
+            const { info } = await loadTrack(paths[i]);
+            info.days.forEach(({ day, underwayMeters }) => {
+                if (!days.has(day)) {
+                    days.set(day, { meters: 0, paths: [] });
+                }
+                days.get(day).meters += underwayMeters;
+                days.get(day).paths.push(paths[i]);
+            });
+        } catch (error) {
+            console.warn('Calendar: skipping', paths[i], error);
+        }
+    }
+
+    return days;
+}
+
+function getDayRange(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return {
+        start: new Date(year, month - 1, date).getTime(),
+        end: new Date(year, month - 1, date + 1).getTime() - 1
+    };
+}
+
+// Checks exactly the given tracks in the track list, then waits until they are drawn.
+async function showOnlyTracks(paths) {
+    const wanted = new Set(paths);
+    trackCheckboxesDiv.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+        if (!wanted.has(checkbox.value)) {
+            checkbox.checked = false;
+            if (!checkbox.classList.contains('folder-checkbox')) {
+                removeTrackFromMap(checkbox.value);
+            }
+        }
+    });
+    paths.forEach(path => {
+        const checkbox = trackCheckboxesDiv.querySelector(`input[type="checkbox"][value="${escapeCSSSelector(path)}"]`);
+        if (checkbox) {
+            checkbox.checked = true;
+        }
+    });
+    await Promise.all(paths.map(path => addTrackToMap(path)));
+    updateUrlParams();
+}
+
+function createYearHeatmap(year, days, selectedDay, onSelect) {
+    const first = new Date(year, 0, 1);
+    const weeks = Math.ceil((first.getDay() + daysInYear(year)) / 7);
+    const width = LABEL_WIDTH + weeks * (CELL_SIZE + CELL_GAP);
+    const height = MONTH_LABEL_HEIGHT + 7 * (CELL_SIZE + CELL_GAP);
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'calendar-year';
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.classList.add('calendar-heatmap');
+
+    appendText(svg, 0, MONTH_LABEL_HEIGHT - 2, String(year), 'calendar-year-label');
+    WEEKDAY_LABELS.forEach((label, weekday) => {
+        if (label) {
+            appendText(svg, 0, MONTH_LABEL_HEIGHT + weekday * (CELL_SIZE + CELL_GAP) + CELL_SIZE - 1, label, 'calendar-label');
+        }
+    });
+
+    let yearMeters = 0;
+    for (let date = new Date(first); date.getFullYear() === year; date.setDate(date.getDate() + 1)) {
+        const dayOfYear = Math.round((date - first) / 86400000);
+        const week = Math.floor((first.getDay() + dayOfYear) / 7);
+        const x = LABEL_WIDTH + week * (CELL_SIZE + CELL_GAP);
+        const y = MONTH_LABEL_HEIGHT + date.getDay() * (CELL_SIZE + CELL_GAP);
+
+        if (date.getDate() === 1) {
+            appendText(svg, x, MONTH_LABEL_HEIGHT - 2, MONTH_LABELS[date.getMonth()], 'calendar-label');
+        }
+
+        const day = localDayKey(date.getTime());
+        const entry = days.get(day);
+        const nm = entry ? entry.meters * METERS_TO_NM : 0;
+        const level = LEVEL_THRESHOLDS_NM.filter(threshold => nm >= threshold).length;
+        yearMeters += entry ? entry.meters : 0;
+
+        const cell = document.createElementNS(SVG_NS, 'rect');
+        cell.setAttribute('x', x);
+        cell.setAttribute('y', y);
+        cell.setAttribute('width', CELL_SIZE);
+        cell.setAttribute('height', CELL_SIZE);
+        cell.setAttribute('rx', 2);
+        cell.setAttribute('fill', level ? LEVEL_COLORS[level - 1] : '#ebedf0');
+        cell.classList.add('calendar-day');
+        if (day === selectedDay) {
+            cell.classList.add('selected');
+        }
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        const dateText = date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+        title.textContent = level ? `${dateText}: ${nm.toFixed(1)} nm` : `${dateText}: no sailing`;
+        cell.appendChild(title);
+
+        if (level) {
+            cell.classList.add('sailed');
+            cell.addEventListener('click', () => onSelect(day));
+        }
+        svg.appendChild(cell);
+    }
+
+    const total = document.createElement('div');
+    total.className = 'calendar-year-total';
+    total.textContent = `${(yearMeters * METERS_TO_NM).toFixed(1)} nm in ${year}`;
+
+    wrapper.append(svg, total);
+    return wrapper;
+}
+
+function createLegend() {
+    const legend = document.createElement('div');
+    legend.className = 'calendar-legend';
+    legend.append('Less');
+    ['#ebedf0', ...LEVEL_COLORS].forEach((color, level) => {
+        const swatch = document.createElement('span');
+        swatch.className = 'calendar-swatch';
+        swatch.style.background = color;
+        swatch.title = level ? `${LEVEL_THRESHOLDS_NM[level - 1]}+ nm` : 'No sailing';
+        legend.appendChild(swatch);
+    });
+    legend.append('More');
+    return legend;
+}
+
+function daysInYear(year) {
+    return Math.round((new Date(year + 1, 0, 1) - new Date(year, 0, 1)) / 86400000);
+}
+
+function appendText(svg, x, y, text, className) {
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.textContent = text;
+    label.classList.add(className);
+    svg.appendChild(label);
+}
+
+function updateDayParam(day) {
+    setUrlParams({ day: day || null });
+}
@@ -0,0 +1,157 @@
+/**
+ * chart_panel.js
+ *
+ * Collapsible panel along the bottom of the map with a time-series chart of
+ * the selected tracks: SOG, apparent wind, TWA, depth, elevation or any other
+ * numeric field found in the point metadata. Hovering the chart moves a marker
+ * along the track and shows the same point tooltip as hovering the map;
+ * dragging across the chart highlights that slice of the track on the map and
+ * zooms to it.
+ *
+ * Exports:
+ *   - initChartPanel(): Wires up the #chartPanel element in index.html.
+ *
+ * Dependencies:
+ *   - map.js (for the loaded tracks and map interaction)
+ *   - time_chart.js (for the SVG chart)
+ *   - track_coloring.js (for the list of numeric fields and their values)
+ */
+import {
+    getLoadedTrackViews,
+    onLoadedTracksChange,
+    showTrackPointAt,
+    highlightTimeRange
+} from './map.js';
+import { createTimeSeriesChart } from './time_chart.js';
+import { listColorFields, getSegmentValues, DERIVED_SPEED_FIELD } from './track_coloring.js';
+
+// Lines are broken across logging gaps longer than this.
+const CHART_GAP_MS = 15 * 60 * 1000;
+const PREFERRED_FIELDS = ['Speed over ground', 'Boat speed', DERIVED_SPEED_FIELD];
+
+const fieldCache = new WeakMap();
+const valueCache = new WeakMap();
+
+export function initChartPanel() {
+    const panel = document.getElementById('chartPanel');
+    const toggleButton = document.getElementById('toggleChart');
+    const fieldSelect = document.getElementById('chartField');
+    const body = document.getElementById('chartBody');
+    if (!panel || !toggleButton || !fieldSelect || !body) {
+        return;
+    }
+
+    let selectedField = '';
+    let stale = true;
+
+    const chart = createTimeSeriesChart(body, {
+        onHover: sample => showTrackPointAt(sample ? sample.point : null),
+        onBrush: range => highlightTimeRange(range)
+    });
+
+    function refresh() {
+        if (panel.classList.contains('collapsed')) {
+            stale = true;
+            return;
+        }
+        stale = false;
+
+        const views = getLoadedTrackViews();
+        const fields = collectFields(views);
+        if (!fields.some(field => field.key === selectedField)) {
+            const preferred = PREFERRED_FIELDS.map(key => fields.find(field => field.key === key)).find(Boolean);
+            selectedField = (preferred || fields[0] || { key: '' }).key;
+        }
+
+        fieldSelect.innerHTML = '';
+        fields.forEach(field => {
+            const unit = field.unit ? ` (${field.unit})` : '';
+            fieldSelect.add(new Option(`${field.label}${unit}`, field.key));
+        });
+        fieldSelect.value = selectedField;
+        fieldSelect.disabled = fields.length === 0;
+
+        const field = fields.find(f => f.key === selectedField);
+        const series = field
+            ? views.map(view => ({ color: view.color, samples: buildSamples(view.tracks, field.key) }))
+            : [];
+        chart.setSeries(series, field ? field.unit : '');
+    }
+
+    toggleButton.addEventListener('click', () => {
+        panel.classList.toggle('collapsed');
+        if (panel.classList.contains('collapsed')) {
+            showTrackPointAt(null);
+        } else if (stale) {
+            refresh();
+        } else {
+            chart.render();
+        }
+    });
+
+    fieldSelect.addEventListener('change', () => {
+        selectedField = fieldSelect.value;
+        refresh();
+    });
+
+    onLoadedTracksChange(() => {
+        chart.clearBrush();
+        highlightTimeRange(null);
+        refresh();
+    });
+}
+
+function collectFields(views) {
+    const fields = new Map();
+    views.forEach(({ tracks }) => {
+        if (!fieldCache.has(tracks)) {
+            fieldCache.set(tracks, listColorFields(tracks));
+        }
+        fieldCache.get(tracks).forEach(field => {
+            if (!fields.has(field.key)) {
+                fields.set(field.key, field);
+            }
+        });
+    });
+    return [...fields.values()];
+}
+
+// Samples for one file in time order, with a null-valued sample wherever the
+// line should break (between segments and across logging gaps).
+function buildSamples(tracks, fieldKey) {
+    if (!valueCache.has(tracks)) {
+        valueCache.set(tracks, new Map());
+    }
+    const cache = valueCache.get(tracks);
+    if (!cache.has(fieldKey)) {
+        cache.set(fieldKey, getSegmentValues(tracks, fieldKey));
+    }
+    const values = cache.get(fieldKey);
+
+    const runs = [];
+    tracks.forEach((trk, trackIndex) => trk.segments.forEach((segment, segmentIndex) => {
+        const run = [];
+        segment.points.forEach((point, i) => {
+            if (point.time !== null) {
+                run.push({ time: point.time, value: values[trackIndex][segmentIndex][i], point });
+            }
+        });
+        if (run.length) {
+            runs.push(run);
+        }
+    }));
+    runs.sort((a, b) => a[0].time - b[0].time);
+
+    const samples = [];
+    runs.forEach(run => {
+        run.forEach(sample => {
+            const previous = samples.at(-1);
+            if (previous && previous.value !== null && sample.time - previous.time > CHART_GAP_MS) {
+                samples.push({ time: previous.time, value: null, point: null });
+            }
+            samples.push(sample);
+        });
+        samples.push({ time: run.at(-1).time, value: null, point: null });
+    });
+    return samples;
+}
@@ -4,8 +4,15 @@ export const loadedTracks = {};
 export const globalColorMap = {};
 export const globalColorPalette = ['red', 'blue', 'green', 'orange', 'purple', 'teal', 'brown', 'pink', 'gray'];
 export const globalColorIndex = { value: 0 };
+// Aion's home port. fallbackView starts here; the boat marker later moves
+// fallbackView.center to the latest position.
+export const HOME_PORT = {
+    name: 'Home port',
+    lat: 39.279545,
+    lon: -76.584707
+};
 export const fallbackView = {
-    center: [39.279545, -76.584707],
+    center: [HOME_PORT.lat, HOME_PORT.lon],
     zoom: 11
 };
 
@@ -13,4 +20,38 @@ export const GITHUB_USER = 'graffjosh';
 export const GITHUB_REPO = 'aionWebpage';
 export const GITHUB_BRANCH = 'main';
 export const GPX_DIRECTORY = 'gpxFiles';
-export const WEBPAGE_ROOT_DIRECTORY = 'maps';
\ No newline at end of file
+export const WEBPAGE_ROOT_DIRECTORY = 'maps';
+
+// Where the track list and GPX files come from: 'auto' tries the committed
+// manifest first and falls back to the GitHub API, 'relative' only uses the
+// manifest and same-origin paths, 'github' only uses the GitHub API.
+// Can be overridden per page load with ?source=auto|relative|github.
+export const TRACK_SOURCE = 'auto';
+export const GPX_MANIFEST_FILE = 'manifest.json';
+// Optional gazetteer naming the places where Aion stopped (see anchorages.js).
+export const PLACES_FILE = 'places.json';
+// Gallery photos, relative to the site root: small previews named
+// "<photo>_preview.<ext>" in a previews/ folder and the full-size images
+// "<photo>_fullres.<ext>" in fullres/ beside it, each optionally with AVIF and
+// WebP copies "<photo>_preview-<width>w.<ext>" for srcset (all written by
+// scripts/build_gallery_images.mjs). Those directly in the gallery
+// directory are loose photos; each folder below it holding its own previews/
+// and fullres/ is an album of the voyage in the track folder of the same path
+// (e.g. images/gallery/2025/DomesticBareboat/ for gpxFiles/2025/DomesticBareboat/),
+// optionally described by an album.json { "title", "description", "trackFolder" }.
+export const GALLERY_DIRECTORY = 'images/gallery';
+export const GALLERY_PREVIEW_FOLDER = 'previews';
+export const GALLERY_FULLRES_FOLDER = 'fullres';
+export const GALLERY_ALBUM_FILE = 'album.json';
+// Photo dates, positions and cameras, written by scripts/build_gallery_sidecar.mjs,
+// and the optional { "<photo>": "caption" } texts it reads.
+export const GALLERY_SIDECAR_FILE = 'images/gallery/gallery.json';
+export const GALLERY_CAPTIONS_FILE = 'images/gallery/captions.json';
+// Files under GPX_DIRECTORY that are listed as tracks: GPX plus raw NMEA 0183 logs.
+export const TRACK_FILE_EXTENSIONS = ['.gpx', '.nmea', '.log'];
+
+// Tracks imported from the visitor's own files (drag and drop or the Import
+// button) are addressed as "<LOCAL_TRACK_PREFIX>/<file name>" and listed in a
+// folder of this name above the repository tracks.
+export const LOCAL_TRACK_PREFIX = 'local';
+export const LOCAL_FOLDER_NAME = 'Local';
@@ -3,60 +3,180 @@
  * 
  * This module provides functions to recursively generate the UI for displaying 
  * a tree of GPX files and folders, including checkboxes for selection and 
- * info bubbles for track/folder statistics (duration and distance).
+ * info bubbles for track/folder statistics (time underway/at anchor, distance,
+ * speed over ground and passage count). Files with passages get a collapsible
+ * list of their individual legs, each selectable on its own. Files and folders
+ * also get a button that opens the wind rose / polar analysis for their tracks.
+ * Tracks imported from the visitor's own files are listed in a "Local" folder
+ * above the repository tree, each with a button to remove it again.
+ * Files are listed by their GPX name (or the months they cover, see
+ * getTrackTitle()) with the filename in the tooltip, and an ⓘ button opens a
+ * drawer with the file's header metadata.
  */
 
-import { createCheckbox, formatDurationDistance, updateUrlParams } from './ui_helpers.js';
-import { getGpxInfo, getLocalGpxPath } from './fetch_tree.js';
+import {
+    createCheckbox,
+    formatDurationDistance,
+    formatTrackSummary,
+    formatTrackSummaryDetails,
+    formatTimeRange,
+    formatLatLon,
+    updateUrlParams
+} from './ui_helpers.js';
+import {
+    getGpxInfo,
+    getFolderStats,
+    getLocalGpxPath,
+    getTrackTitle,
+    getTrackDescription,
+    collectTrackPaths,
+    makePassageId
+} from './fetch_tree.js';
+import { loadTrack } from './track_store.js';
+import { openWindAnalysis } from './wind_panel.js';
+import { openTrackDetails } from './track_details.js';
+import { loadedTracks, LOCAL_FOLDER_NAME } from './constants.js';
+import { getLocalTrackPaths, removeLocalTrack } from './local_tracks.js';
 
 let isBulkUpdating = false;
 export { isBulkUpdating };
 
-async function getFolderStats(node, getGpxInfo) {
-    let totalDuration = 0;
-    let totalDistance = 0;
-
-    if (node.files) {
-        for (const file of node.files) {
-            try {
-                const { durationSeconds, distanceMeters } = await getGpxInfo(file);
-                totalDuration += durationSeconds;
-                totalDistance += distanceMeters;
-            } catch (e) {
-                // ignore file if it fails
-            }
+const passageLists = new Map();
+
+function createPassageToggle(filename, passageList) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'passage-toggle';
+    toggle.textContent = '▸ legs';
+    toggle.title = 'Show the individual passages in this file';
+    passageLists.set(filename, { toggle, passageList, ready: null });
+
+    toggle.addEventListener('click', (e) => {
+        e.preventDefault();
+        const expanded = passageList.classList.contains('expanded');
+        if (expanded) {
+            passageList.classList.remove('expanded');
+            toggle.textContent = '▸ legs';
+        } else {
+            void showPassageItems(filename);
         }
+    });
+
+    return toggle;
+}
+
+/**
+ * Expand the passage (leg) list under a file, building it on first use.
+ * Resolves once the leg checkboxes exist in the DOM.
+ */
+async function showPassageItems(filename) {
+    const entry = passageLists.get(filename);
+    if (!entry) {
+        return;
     }
 
-    if (node.subfolders) {
-        for (const sub of Object.values(node.subfolders)) {
-            const stats = await getFolderStats(sub, getGpxInfo);
-            totalDuration += stats.totalDuration;
-            totalDistance += stats.totalDistance;
-        }
+    entry.passageList.classList.add('expanded');
+    entry.toggle.textContent = '▾ legs';
+
+    if (!entry.ready) {
+        entry.passageList.textContent = 'Loading...';
+        entry.ready = loadTrack(filename).then(({ info }) => {
+            entry.passageList.innerHTML = '';
+            info.passages.forEach((passage, index) => {
+                entry.passageList.appendChild(createPassageItem(filename, passage, index));
+            });
+        }).catch(error => {
+            console.error('Failed to load passages for', filename, error);
+            entry.passageList.textContent = 'Passages unavailable';
+            entry.ready = null;
+        });
     }
 
-    return { totalDuration, totalDistance };
+    await entry.ready;
+}
+
+function createAnalysisButton(title, getPaths) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'analysis-button';
+    button.textContent = '🧭';
+    button.title = 'Wind rose and polar diagram';
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        void openWindAnalysis(title, getPaths());
+    });
+    return button;
+}
+
+function createDetailsButton(path) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'details-button';
+    button.textContent = 'ⓘ';
+    button.title = 'Track details';
+    button.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        void openTrackDetails(path);
+    });
+    return button;
+}
+
+// Filename, then the GPX description when there is one.
+function getTrackTooltip(path) {
+    const filename = path.split('/').pop();
+    const desc = getTrackDescription(path);
+    return desc ? `${filename}\n${desc}` : filename;
+}
+
+function createPassageItem(filename, passage, index) {
+    const wrapper = createCheckbox(makePassageId(filename, index), `Leg ${index + 1}: ${formatTimeRange(passage.startTime, passage.endTime)}`);
+    wrapper.classList.add('passage-item');
+
+    const route = document.createElement('div');
+    route.className = 'passage-route';
+    route.textContent = `${formatLatLon(passage.origin.lat, passage.origin.lon)} → ${formatLatLon(passage.destination.lat, passage.destination.lon)}`;
+    wrapper.querySelector('label').appendChild(route);
+
+    const infoBubble = document.createElement('span');
+    infoBubble.className = 'info-bubble';
+    infoBubble.textContent = formatDurationDistance(passage.durationSeconds, passage.distanceMeters);
+    wrapper.appendChild(infoBubble);
+
+    return wrapper;
 }
 
 async function createUIFromTree(tree, container, depth = 0) {
     if (tree.files) {
         for (const file of tree.files) {
             const localPath = getLocalGpxPath(file);
-            const checkboxWrapper = createCheckbox(localPath);
+            const title = getTrackTitle(localPath);
+            const checkboxWrapper = createCheckbox(localPath, title);
+            checkboxWrapper.querySelector('label').title = getTrackTooltip(localPath);
 
             const infoBubble = document.createElement('span');
             infoBubble.classList.add('info-bubble');
             infoBubble.textContent = 'Loading...';
+            checkboxWrapper.appendChild(createDetailsButton(localPath));
+            checkboxWrapper.appendChild(createAnalysisButton(title, () => [localPath]));
             checkboxWrapper.appendChild(infoBubble);
 
-            getGpxInfo(file).then(({ durationSeconds, distanceMeters }) => {
-                infoBubble.textContent = formatDurationDistance(durationSeconds, distanceMeters);
+            const passageList = document.createElement('div');
+            passageList.className = 'passage-list';
+
+            getGpxInfo(file).then(info => {
+                infoBubble.textContent = formatTrackSummary(info);
+                infoBubble.title = formatTrackSummaryDetails(info);
+                if (info.passageCount > 0) {
+                    checkboxWrapper.insertBefore(createPassageToggle(localPath, passageList), infoBubble);
+                }
             }).catch(() => {
                 infoBubble.textContent = 'Info unavailable';
             });
 
             container.appendChild(checkboxWrapper);
+            container.appendChild(passageList);
         }
     }
 
@@ -73,8 +193,9 @@ async function createUIFromTree(tree, container, depth = 0) {
             folderInfo.textContent = 'Loading...';
             folderHeader.appendChild(folderInfo);
 
-            getFolderStats(tree.subfolders[folderName], getGpxInfo).then(({ totalDuration, totalDistance }) => {
-                folderInfo.textContent = formatDurationDistance(totalDuration, totalDistance);
+            getFolderStats(tree.subfolders[folderName]).then(stats => {
+                folderInfo.textContent = formatTrackSummary(stats);
+                folderInfo.title = formatTrackSummaryDetails(stats);
             }).catch(() => {
                 folderInfo.textContent = 'Info unavailable';
             });
@@ -91,7 +212,10 @@ async function createUIFromTree(tree, container, depth = 0) {
             folderCheckbox.type = 'checkbox';
             folderCheckbox.className = 'folder-checkbox';
 
-            folderHeader.append(toggleIcon, label, folderInfo, folderCheckbox);
+            const folderNode = tree.subfolders[folderName];
+            const analysisButton = createAnalysisButton(folderName, () => collectTrackPaths(folderNode));
+
+            folderHeader.append(toggleIcon, label, folderInfo, analysisButton, folderCheckbox);
             folderDiv.appendChild(folderHeader);
 
             const subList = document.createElement('div');
@@ -135,4 +259,67 @@ async function createUIFromTree(tree, container, depth = 0) {
     }
 }
 
-export { createUIFromTree };
+/**
+ * (Re)build the "Local" folder at the top of the track list from the current
+ * local tracks. Checkboxes of tracks already on the map stay checked.
+ */
+async function renderLocalFolder(container, { expand = false } = {}) {
+    let localFolder = container.querySelector(':scope > .local-folder');
+    const wasExpanded = Boolean(localFolder && localFolder.querySelector('.sublist.expanded'));
+    const paths = getLocalTrackPaths();
+
+    if (!paths.length) {
+        if (localFolder) {
+            localFolder.remove();
+        }
+        return;
+    }
+
+    if (!localFolder) {
+        localFolder = document.createElement('div');
+        localFolder.className = 'local-folder';
+        container.prepend(localFolder);
+    }
+    localFolder.innerHTML = '';
+
+    paths.forEach(path => passageLists.delete(path));
+    await createUIFromTree({
+        files: [],
+        subfolders: {
+            [LOCAL_FOLDER_NAME]: { name: LOCAL_FOLDER_NAME, files: paths, subfolders: {} }
+        }
+    }, localFolder);
+
+    localFolder.querySelectorAll('.track-item:not(.passage-item)').forEach(item => {
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        checkbox.checked = Boolean(loadedTracks[checkbox.value]);
+        item.insertBefore(createRemoveLocalButton(container, checkbox), item.querySelector('.analysis-button'));
+    });
+    const folderCheckbox = localFolder.querySelector('input.folder-checkbox');
+    folderCheckbox.checked = paths.some(path => loadedTracks[path]);
+
+    if (expand || wasExpanded) {
+        localFolder.querySelector('.sublist').classList.add('expanded');
+        localFolder.querySelector('.toggle-icon').textContent = '▾';
+    }
+}
+
+function createRemoveLocalButton(container, checkbox) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'remove-local-button';
+    button.textContent = '✕';
+    button.title = 'Remove this imported track';
+    button.addEventListener('click', async (e) => {
+        e.preventDefault();
+        if (checkbox.checked) {
+            checkbox.checked = false;
+            checkbox.dispatchEvent(new Event('change'));
+        }
+        await removeLocalTrack(checkbox.value);
+        await renderLocalFolder(container);
+    });
+    return button;
+}
+
+export { createUIFromTree, showPassageItems, renderLocalFolder };
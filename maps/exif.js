@@ -0,0 +1,212 @@
+/**
+ * exif.js
+ *
+ * Minimal EXIF reader for gallery photos: capture time, GPS position and the
+ * few descriptive tags the gallery shows. Reads the TIFF structure from a JPEG
+ * APP1 segment or a PNG eXIf chunk (the previews written by the image
+ * conversion keep their metadata there). No DOM or Leaflet dependencies.
+ *
+ * Exports:
+ *   - readExif(buffer): Returns { time, lat, lon, description, make, model }
+ *     from an ArrayBuffer holding an image, or null when it has no readable
+ *     EXIF. time is epoch ms (camera local time unless the photo records its
+ *     UTC offset), lat/lon are decimal degrees; missing values are null ('' for text).
+ *
+ * Dependencies: none
+ */
+
+const TAG_IMAGE_DESCRIPTION = 0x010e;
+const TAG_MAKE = 0x010f;
+const TAG_MODEL = 0x0110;
+const TAG_DATE_TIME = 0x0132;
+const TAG_EXIF_IFD = 0x8769;
+const TAG_GPS_IFD = 0x8825;
+const TAG_DATE_TIME_ORIGINAL = 0x9003;
+const TAG_DATE_TIME_DIGITIZED = 0x9004;
+const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+const TAG_SUB_SEC_TIME_ORIGINAL = 0x9291;
+const TAG_GPS_LATITUDE_REF = 0x0001;
+const TAG_GPS_LATITUDE = 0x0002;
+const TAG_GPS_LONGITUDE_REF = 0x0003;
+const TAG_GPS_LONGITUDE = 0x0004;
+
+// Bytes per value for each TIFF field type.
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export function readExif(buffer) {
+    const view = new DataView(buffer);
+    try {
+        const tiffStart = findTiffStart(view);
+        return tiffStart === null ? null : parseTiff(view, tiffStart);
+    } catch (error) {
+        // A truncated or malformed block reads past the end of the buffer.
+        if (error instanceof RangeError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function findTiffStart(view) {
+    if (view.byteLength >= 4 && view.getUint16(0) === 0xffd8) {
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+                break;
+            }
+            const size = view.getUint16(offset + 2);
+            if (marker === 0xffe1 && readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+                return offset + 10;
+            }
+            offset += 2 + size;
+        }
+        return null;
+    }
+
+    if (view.byteLength >= 8 && PNG_SIGNATURE.every((byte, index) => view.getUint8(index) === byte)) {
+        let offset = 8;
+        while (offset + 8 <= view.byteLength) {
+            const length = view.getUint32(offset);
+            const type = readAscii(view, offset + 4, 4);
+            if (type === 'eXIf') {
+                // Some writers keep the JPEG-style "Exif\0\0" prefix in the chunk.
+                return readAscii(view, offset + 8, 6) === 'Exif\0\0' ? offset + 14 : offset + 8;
+            }
+            if (type === 'IEND') {
+                break;
+            }
+            offset += 12 + length;
+        }
+    }
+    return null;
+}
+
+function parseTiff(view, start) {
+    const byteOrder = view.getUint16(start);
+    if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+        return null;
+    }
+    const littleEndian = byteOrder === 0x4949;
+    if (view.getUint16(start + 2, littleEndian) !== 42) {
+        return null;
+    }
+
+    const ifd0 = readIfd(view, start, view.getUint32(start + 4, littleEndian), littleEndian);
+    const exif = ifd0.has(TAG_EXIF_IFD) ? readIfd(view, start, ifd0.get(TAG_EXIF_IFD), littleEndian) : new Map();
+    const gps = ifd0.has(TAG_GPS_IFD) ? readIfd(view, start, ifd0.get(TAG_GPS_IFD), littleEndian) : new Map();
+
+    const position = readGpsPosition(gps);
+    return {
+        time: parseExifTime(
+            exif.get(TAG_DATE_TIME_ORIGINAL) || exif.get(TAG_DATE_TIME_DIGITIZED) || ifd0.get(TAG_DATE_TIME),
+            exif.get(TAG_SUB_SEC_TIME_ORIGINAL),
+            exif.get(TAG_OFFSET_TIME_ORIGINAL)
+        ),
+        lat: position ? position.lat : null,
+        lon: position ? position.lon : null,
+        description: cleanText(ifd0.get(TAG_IMAGE_DESCRIPTION)),
+        make: cleanText(ifd0.get(TAG_MAKE)),
+        model: cleanText(ifd0.get(TAG_MODEL))
+    };
+}
+
+// Map of tag -> value for one IFD; counts above one give arrays, except ASCII.
+function readIfd(view, start, ifdOffset, littleEndian) {
+    const tags = new Map();
+    const entryCount = view.getUint16(start + ifdOffset, littleEndian);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = start + ifdOffset + 2 + i * 12;
+        const tag = view.getUint16(entry, littleEndian);
+        const type = view.getUint16(entry + 2, littleEndian);
+        const count = view.getUint32(entry + 4, littleEndian);
+        const size = TYPE_SIZES[type];
+        if (!size) {
+            continue;
+        }
+        const valueOffset = size * count <= 4 ? entry + 8 : start + view.getUint32(entry + 8, littleEndian);
+        tags.set(tag, readValue(view, valueOffset, type, count, littleEndian));
+    }
+    return tags;
+}
+
+function readValue(view, offset, type, count, littleEndian) {
+    if (type === 2) {
+        return readAscii(view, offset, count);
+    }
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        const position = offset + i * TYPE_SIZES[type];
+        switch (type) {
+            case 3:
+                values.push(view.getUint16(position, littleEndian));
+                break;
+            case 4:
+                values.push(view.getUint32(position, littleEndian));
+                break;
+            case 9:
+                values.push(view.getInt32(position, littleEndian));
+                break;
+            case 5:
+                values.push(view.getUint32(position, littleEndian) / view.getUint32(position + 4, littleEndian));
+                break;
+            case 10:
+                values.push(view.getInt32(position, littleEndian) / view.getInt32(position + 4, littleEndian));
+                break;
+            default:
+                values.push(view.getUint8(position));
+        }
+    }
+    return count === 1 ? values[0] : values;
+}
+
+function readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
+
+function cleanText(value) {
+    return typeof value === 'string' ? value.replace(/\0+$/, '').trim() : '';
+}
+
+// "YYYY:MM:DD HH:MM:SS", optional sub-seconds and "+HH:MM" offset.
+function parseExifTime(value, subSeconds, offset) {
+    const match = cleanText(value).match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+    if (!year || !month) {
+        return null;
+    }
+    const milliseconds = /^\d+$/.test(cleanText(subSeconds)) ? Number(`0.${cleanText(subSeconds)}`) * 1000 : 0;
+
+    const offsetMatch = cleanText(offset).match(/^([+-])(\d{2}):(\d{2})$/);
+    if (offsetMatch) {
+        const offsetMinutes = (Number(offsetMatch[2]) * 60 + Number(offsetMatch[3])) * (offsetMatch[1] === '-' ? -1 : 1);
+        return Date.UTC(year, month - 1, day, hours, minutes, seconds, milliseconds) - offsetMinutes * 60000;
+    }
+    return new Date(year, month - 1, day, hours, minutes, seconds, milliseconds).getTime();
+}
+
+// Cameras without a fix sometimes write 0°/0°, which is treated as no position.
+function readGpsPosition(gps) {
+    const lat = toDegrees(gps.get(TAG_GPS_LATITUDE), gps.get(TAG_GPS_LATITUDE_REF), 'S');
+    const lon = toDegrees(gps.get(TAG_GPS_LONGITUDE), gps.get(TAG_GPS_LONGITUDE_REF), 'W');
+    if (lat === null || lon === null || (lat === 0 && lon === 0) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return null;
+    }
+    return { lat, lon };
+}
+
+function toDegrees(value, reference, negativeReference) {
+    if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) {
+        return null;
+    }
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    return cleanText(reference).toUpperCase() === negativeReference ? -degrees : degrees;
+}
@@ -1,10 +1,8 @@
-import {
-  GITHUB_USER,
-  GITHUB_REPO,
-  GITHUB_BRANCH,
-  GPX_DIRECTORY,
-  WEBPAGE_ROOT_DIRECTORY
-} from './constants.js';
+import { GPX_DIRECTORY, WEBPAGE_ROOT_DIRECTORY } from './constants.js';
+import { listTrackEntries, fetchTrackText, getTrackEntry } from './track_source.js';
+import { loadTrack, getLoadedTrack } from './track_store.js';
+import { parseGpxInfo } from './gpx_parser.js';
+import { readTrackHeader, formatTrackTitle } from './track_metadata.js';
 
 // --- New helper ---
 export function getLocalGpxPath(githubPath) {
@@ -14,12 +12,31 @@ export function getLocalGpxPath(githubPath) {
   return githubPath;
 }
 
+// Every track path in a folder and the folders below it.
+export function collectTrackPaths(node) {
+  const paths = (node.files || []).map(file => getLocalGpxPath(file));
+  Object.values(node.subfolders || {}).forEach(sub => {
+    paths.push(...collectTrackPaths(sub));
+  });
+  return paths;
+}
+
+// Individual passages (legs) of a file are addressed as "<gpx path>#leg<n>"
+// in track checkboxes, loadedTracks and the ?tracks= URL parameter.
+export function makePassageId(gpxPath, passageIndex) {
+  return `${gpxPath}#leg${passageIndex + 1}`;
+}
+
+export function parseTrackId(trackId) {
+  const match = trackId.match(/^(.*)#leg(\d+)$/);
+  return match
+    ? { path: match[1], passageIndex: Number(match[2]) - 1 }
+    : { path: trackId, passageIndex: null };
+}
+
 export async function fetchGpxTree() {
   try {
-    const url = `https://api.github.com/repos/${GITHUB_USER}/${GITHUB_REPO}/git/trees/${GITHUB_BRANCH}?recursive=1`;
-    const response = await fetch(url);
-    const data = await response.json();
-    if (!data.tree) return {};
+    const entries = await listTrackEntries();
 
     const root = {
       name: GPX_DIRECTORY,
@@ -27,13 +44,11 @@ export async function fetchGpxTree() {
       subfolders: {}
     };
 
-    data.tree.forEach(item => {
-      const prefix = WEBPAGE_ROOT_DIRECTORY + '/' + GPX_DIRECTORY + '/';
-      if (item.path.startsWith(prefix) && item.path.endsWith('.gpx')) {
-        const localPath = item.path.slice(WEBPAGE_ROOT_DIRECTORY.length + 1); // strip "maps/"
-        const relativePath = localPath.slice(GPX_DIRECTORY.length + 1); // strip "gpxFiles/"
+    entries.forEach(entry => {
+      if (entry.path.startsWith(GPX_DIRECTORY + '/')) {
+        const relativePath = entry.path.slice(GPX_DIRECTORY.length + 1); // strip "gpxFiles/"
         const parts = relativePath.split('/');
-        insertPath(root, parts, localPath); // push local path
+        insertPath(root, parts, entry.path); // push local path
       }
     });
 
@@ -61,51 +76,120 @@ function insertPath(node, parts, fullPath) {
 }
 
 export async function fetchGpxText(gpxPath) {
-  const rawUrl = `https://raw.githubusercontent.com/${GITHUB_USER}/${GITHUB_REPO}/${GITHUB_BRANCH}/${WEBPAGE_ROOT_DIRECTORY}/${gpxPath}`;
-  const res = await fetch(rawUrl);
-  return await res.text();
+  return await fetchTrackText(gpxPath);
 }
 
 export async function getGpxFirstDate(gpxPath) {
+  const entry = getTrackEntry(gpxPath);
+  if (entry && entry.firstTime) return new Date(entry.firstTime);
+
   try {
-    const text = await fetchGpxText(gpxPath);
-    const match = text.match(/<time>([^<]+)<\/time>/);
-    if (match) return new Date(match[1]);
+    const { info } = await loadTrack(gpxPath);
+    if (info.startTime !== null) return new Date(info.startTime);
   } catch (_) {}
   return new Date(0);
 }
 
-export function parseGpxInfo(gpxText) {
-  const timeMatches = [...gpxText.matchAll(/<time>([^<]+)<\/time>/g)].map(m => new Date(m[1]));
-  if (timeMatches.length < 2) return { durationSeconds: 0, distanceMeters: 0 };
+export { parseGpxInfo };
 
-  const durationSeconds = (timeMatches.at(-1) - timeMatches[0]) / 1000;
+// Totals that the manifest stores for each track, as produced by summarizeTracks().
+const TRACK_SUMMARY_FIELDS = [
+  'durationSeconds',
+  'distanceMeters',
+  'movingSeconds',
+  'anchoredSeconds',
+  'dockedSeconds',
+  'avgSogKnots',
+  'maxSogKnots',
+  'passageCount'
+];
 
-  const coordMatches = [...gpxText.matchAll(/<trkpt lat="([^"]+)" lon="([^"]+)"/g)];
-  if (coordMatches.length < 2) return { durationSeconds, distanceMeters: 0 };
+export async function getGpxInfo(gpxPath) {
+  const entry = getTrackEntry(gpxPath);
+  if (entry && TRACK_SUMMARY_FIELDS.every(field => Number.isFinite(entry[field]))) {
+    return Object.fromEntries(TRACK_SUMMARY_FIELDS.map(field => [field, entry[field]]));
+  }
+
+  const { info } = await loadTrack(gpxPath);
+  return info;
+}
+
+// Totals of every track in a folder and the folders below it, in the shape of
+// getGpxInfo()'s result.
+export async function getFolderStats(node) {
+  const stats = {
+    durationSeconds: 0,
+    distanceMeters: 0,
+    movingSeconds: 0,
+    anchoredSeconds: 0,
+    dockedSeconds: 0,
+    avgSogKnots: 0,
+    maxSogKnots: 0,
+    passageCount: 0
+  };
+  let weightedSog = 0;
 
-  function haversine(lat1, lon1, lat2, lon2) {
-    const R = 6371000;
-    const toRad = x => x * Math.PI / 180;
-    const dLat = toRad(lat2 - lat1);
-    const dLon = toRad(lon2 - lon1);
-    const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2)**2;
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const addStats = info => {
+    stats.durationSeconds += info.durationSeconds;
+    stats.distanceMeters += info.distanceMeters;
+    stats.movingSeconds += info.movingSeconds;
+    stats.anchoredSeconds += info.anchoredSeconds;
+    stats.dockedSeconds += info.dockedSeconds;
+    stats.maxSogKnots = Math.max(stats.maxSogKnots, info.maxSogKnots);
+    stats.passageCount += info.passageCount;
+    weightedSog += info.avgSogKnots * info.movingSeconds;
+  };
+
+  if (node.files) {
+    for (const file of node.files) {
+      try {
+        addStats(await getGpxInfo(file));
+      } catch (e) {
+        // ignore file if it fails
+      }
+    }
   }
 
-  let distanceMeters = 0;
-  for (let i = 1; i < coordMatches.length; i++) {
-    const [_, lat1, lon1] = coordMatches[i - 1];
-    const [__, lat2, lon2] = coordMatches[i];
-    distanceMeters += haversine(+lat1, +lon1, +lat2, +lon2);
+  if (node.subfolders) {
+    for (const sub of Object.values(node.subfolders)) {
+      addStats(await getFolderStats(sub));
+    }
   }
 
-  return { durationSeconds, distanceMeters };
+  // Average SOG of the folder is weighted by time underway in each track.
+  stats.avgSogKnots = stats.movingSeconds > 0 ? weightedSog / stats.movingSeconds : 0;
+  return stats;
 }
 
-export async function getGpxInfo(gpxPath) {
-  const text = await fetchGpxText(gpxPath);
-  return parseGpxInfo(text);
+// Name to list a track under (see formatTrackTitle). The manifest has it for
+// repository tracks; imported files and tracks listed through the GitHub API
+// fallback are named from their parsed model once loaded.
+export function getTrackTitle(gpxPath) {
+  return formatTrackTitle({ path: gpxPath, ...getListedHeader(gpxPath) });
+}
+
+// The track's GPX description, or ''.
+export function getTrackDescription(gpxPath) {
+  return getListedHeader(gpxPath).desc;
+}
+
+function getListedHeader(gpxPath) {
+  const entry = getTrackEntry(gpxPath);
+  if (entry && typeof entry.name === 'string') {
+    return {
+      name: entry.name,
+      desc: entry.desc || '',
+      startTime: entry.firstTime ? Date.parse(entry.firstTime) : null,
+      endTime: entry.lastTime ? Date.parse(entry.lastTime) : null
+    };
+  }
+
+  const record = getLoadedTrack(gpxPath);
+  if (record) {
+    const { name, desc } = readTrackHeader(record.model);
+    return { name, desc, startTime: record.info.startTime, endTime: record.info.endTime };
+  }
+  return { name: '', desc: '', startTime: null, endTime: null };
 }
 
 export async function sortTreeByDate(node) {
@@ -118,15 +202,10 @@ export async function sortTreeByDate(node) {
   filesWithDates.sort((a, b) => b.date - a.date);
   node.files = filesWithDates.map(f => f.file);
 
-  const folderEntries = Object.entries(node.subfolders);
-  for (const [_, folderNode] of folderEntries) {
-    await sortTreeByDate(folderNode);
-  }
-
   const foldersWithDates = await Promise.all(
-    folderEntries.map(async ([name, folderNode]) => {
-      const track = await findMostRecentTrack(folderNode);
-      const date = track ? await getGpxFirstDate(track) : new Date(0);
+    Object.entries(node.subfolders).map(async ([name, folderNode]) => {
+      await sortTreeByDate(folderNode);
+      const { date } = await findMostRecentTrackWithDate(folderNode);
       return { name, node: folderNode, date };
     })
   );
@@ -141,25 +220,24 @@ export async function sortTreeByDate(node) {
 }
 
 export async function findMostRecentTrack(node) {
-  let mostRecent = null;
-  let mostRecentDate = new Date(0);
-
-  for (const file of node.files) {
-    const date = await getGpxFirstDate(file);
-    if (date > mostRecentDate) {
-      mostRecentDate = date;
-      mostRecent = file;
+  const { file } = await findMostRecentTrackWithDate(node);
+  return file;
+}
+
+async function findMostRecentTrackWithDate(node) {
+  let mostRecent = { file: null, date: new Date(0) };
+
+  const dates = await Promise.all(node.files.map(getGpxFirstDate));
+  node.files.forEach((file, i) => {
+    if (dates[i] > mostRecent.date) {
+      mostRecent = { file, date: dates[i] };
     }
-  }
+  });
 
   for (const folderNode of Object.values(node.subfolders)) {
-    const recent = await findMostRecentTrack(folderNode);
-    if (recent) {
-      const date = await getGpxFirstDate(recent);
-      if (date > mostRecentDate) {
-        mostRecentDate = date;
-        mostRecent = recent;
-      }
+    const recent = await findMostRecentTrackWithDate(folderNode);
+    if (recent.file && recent.date > mostRecent.date) {
+      mostRecent = recent;
     }
   }
 
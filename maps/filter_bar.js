@@ -0,0 +1,175 @@
+/**
+ * filter_bar.js
+ *
+ * The filter bar in the track panel: a date range and an area (a rectangle or
+ * polygon drawn on the map) that every selected track is cut down to. The
+ * polylines, the track labels on the map, the chart, replay and export all
+ * follow the filter (see setTrackFilter() in map.js), and it is kept in the
+ * URL as ?from=&to=&bbox= (or &poly=) so a filtered view can be shared.
+ *
+ * In the track list, files with no points in the filter are greyed out (as are
+ * folders where that holds for every file) and the info bubble of the others
+ * shows the filtered totals instead of the whole file's. Checking a file needs
+ * its points, so every track is loaded while a filter is set; the manifest's
+ * time span and bounds rule out most files without downloading them.
+ *
+ * Exports:
+ *   - initFilterBar(): Wires up #filterControls in index.html and applies a
+ *     filter given in the URL. Call once the track list is built.
+ *
+ * Dependencies:
+ *   - constants.js (for the track checkbox container)
+ *   - track_filter.js (for the filter itself and its URL form)
+ *   - track_source.js (for manifest entries)
+ *   - track_store.js (for loading tracks)
+ *   - gpx_stats.js (for the filtered totals and day keys)
+ *   - map.js (for drawing the area and filtering the map)
+ *   - ui_helpers.js (for formatting)
+ *   - url_params.js (for keeping the filter in the URL)
+ */
+import { trackCheckboxesDiv } from './constants.js';
+import { readFilterParams, getFilterParams, filterTracks, entryMayPass } from './track_filter.js';
+import { getTrackEntry } from './track_source.js';
+import { loadTrack } from './track_store.js';
+import { summarizeTracks, localDayKey } from './gpx_stats.js';
+import { setTrackFilter, drawFilterArea } from './map.js';
+import { formatTrackSummary, formatTrackSummaryDetails } from './ui_helpers.js';
+import { setUrlParams } from './url_params.js';
+
+let listUpdateCounter = 0;
+
+export function initFilterBar() {
+    const fromInput = document.getElementById('filterFrom');
+    const toInput = document.getElementById('filterTo');
+    const bboxButton = document.getElementById('filterBbox');
+    const polygonButton = document.getElementById('filterPolygon');
+    const clearButton = document.getElementById('clearFilter');
+    const status = document.getElementById('filterStatus');
+    if (!fromInput || !toInput || !bboxButton || !polygonButton || !clearButton || !status) {
+        return;
+    }
+
+    let filter = readFilterParams(new URLSearchParams(window.location.search));
+    let drawing = false;
+
+    const showFilter = () => {
+        fromInput.value = filter && filter.start !== null ? localDayKey(filter.start) : '';
+        toInput.value = filter && filter.end !== null ? localDayKey(filter.end) : '';
+        bboxButton.classList.toggle('active', Boolean(filter && filter.area && filter.area.type === 'bbox'));
+        polygonButton.classList.toggle('active', Boolean(filter && filter.area && filter.area.type === 'polygon'));
+        clearButton.disabled = !filter;
+    };
+
+    const apply = next => {
+        filter = next;
+        showFilter();
+
+        setUrlParams(getFilterParams(filter));
+
+        void setTrackFilter(filter);
+        void updateTrackList(filter, status);
+    };
+
+    // Dates go through the same parsing as the URL, so "to" covers the whole day.
+    const applyDates = () => {
+        const dates = readFilterParams(new URLSearchParams({ from: fromInput.value, to: toInput.value }));
+        const area = filter ? filter.area : null;
+        apply(dates || area ? { start: null, end: null, ...dates, area } : null);
+    };
+
+    const drawArea = async (shape, button) => {
+        if (drawing) {
+            return;
+        }
+        drawing = true;
+        button.classList.add('active');
+        status.textContent = shape === 'bbox'
+            ? 'Drag a rectangle on the map (Esc to cancel)'
+            : 'Click the corners of the area, double-click to finish (Esc to cancel)';
+
+        const area = await drawFilterArea(shape);
+        drawing = false;
+        if (area) {
+            apply({ start: null, end: null, ...filter, area });
+        } else {
+            showFilter();
+            status.textContent = '';
+        }
+    };
+
+    fromInput.addEventListener('change', applyDates);
+    toInput.addEventListener('change', applyDates);
+    bboxButton.addEventListener('click', () => void drawArea('bbox', bboxButton));
+    polygonButton.addEventListener('click', () => void drawArea('polygon', polygonButton));
+    clearButton.addEventListener('click', () => apply(null));
+
+    if (filter) {
+        apply(filter);
+    } else {
+        showFilter();
+    }
+}
+
+async function updateTrackList(filter, status) {
+    const updateId = ++listUpdateCounter;
+    const items = [...trackCheckboxesDiv.querySelectorAll('.track-item:not(.passage-item)')];
+
+    if (!filter) {
+        items.forEach(item => {
+            item.classList.remove('filtered-out', 'filter-applied');
+            item.querySelectorAll('.filter-info').forEach(bubble => bubble.remove());
+        });
+        trackCheckboxesDiv.querySelectorAll('.folder-header.filtered-out').forEach(header => header.classList.remove('filtered-out'));
+        status.textContent = '';
+        return;
+    }
+
+    let matching = 0;
+    for (let i = 0; i < items.length; i++) {
+        status.textContent = `Checking tracks... ${i}/${items.length}`;
+        const item = items[i];
+        const summary = await summarizeFilteredTrack(item.querySelector('input[type="checkbox"]').value, filter);
+        if (updateId !== listUpdateCounter) {
+            return;
+        }
+
+        // The filtered totals sit next to the file's own bubble, which CSS hides meanwhile.
+        let bubble = item.querySelector('.filter-info');
+        if (!bubble) {
+            bubble = document.createElement('span');
+            bubble.className = 'info-bubble filter-info';
+            item.appendChild(bubble);
+        }
+        bubble.textContent = summary ? formatTrackSummary(summary) : 'No points in filter';
+        bubble.title = summary ? formatTrackSummaryDetails(summary) : '';
+        item.classList.add('filter-applied');
+        item.classList.toggle('filtered-out', !summary);
+        matching += summary ? 1 : 0;
+    }
+
+    trackCheckboxesDiv.querySelectorAll('.folder').forEach(folder => {
+        const files = [...folder.querySelectorAll('.track-item:not(.passage-item)')];
+        const header = folder.querySelector(':scope > .folder-header');
+        if (header) {
+            header.classList.toggle('filtered-out', files.length > 0 && files.every(item => item.classList.contains('filtered-out')));
+        }
+    });
+    status.textContent = `${matching} of ${items.length} track${items.length === 1 ? '' : 's'} in the filter`;
+}
+
+// Totals of the points passing the filter, or null when there are none.
+async function summarizeFilteredTrack(path, filter) {
+    const entry = getTrackEntry(path);
+    if (entry && !entryMayPass(entry, filter)) {
+        return null;
+    }
+
+    try {
+        const { model } = await loadTrack(path);
+        const summary = summarizeTracks(filterTracks(model.tracks, filter));
+        return summary.pointCount ? summary : null;
+    } catch (error) {
+        console.warn('Filter: unable to check', path, error);
+        return null;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * fit_parser.js
+ *
+ * Parses Garmin FIT activity files into the same track model that
+ * gpx_parser.js produces. Only "record" messages (global message 20) are read:
+ * timestamp, position, altitude, speed, heart rate and temperature. Every other
+ * message, developer field and array field is skipped by size.
+ *
+ * Exports:
+ *   - parseFitModel(arrayBuffer): Returns the track model for a FIT file.
+ */
+
+const RECORD_MESSAGE = 20;
+// FIT timestamps count seconds from 1989-12-31T00:00:00Z.
+const FIT_EPOCH_SECONDS = 631065600;
+const SEMICIRCLES_TO_DEGREES = 180 / 2 ** 31;
+const MS_TO_KNOTS = 3600 / 1852;
+
+// Base type number -> [size in bytes, DataView getter, invalid value]
+const BASE_TYPES = {
+    0: [1, 'getUint8', 0xFF],
+    1: [1, 'getInt8', 0x7F],
+    2: [1, 'getUint8', 0xFF],
+    3: [2, 'getInt16', 0x7FFF],
+    4: [2, 'getUint16', 0xFFFF],
+    5: [4, 'getInt32', 0x7FFFFFFF],
+    6: [4, 'getUint32', 0xFFFFFFFF],
+    10: [1, 'getUint8', 0],
+    11: [2, 'getUint16', 0],
+    12: [4, 'getUint32', 0]
+};
+
+export function parseFitModel(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (view.byteLength < 12) {
+        throw new Error('Invalid FIT file');
+    }
+    const headerSize = view.getUint8(0);
+    const dataSize = view.getUint32(4, true);
+    const signature = String.fromCharCode(...new Uint8Array(arrayBuffer, 8, 4));
+    if (signature !== '.FIT') {
+        throw new Error('Invalid FIT file');
+    }
+
+    const end = Math.min(headerSize + dataSize, view.byteLength);
+    const definitions = new Map();
+    const points = [];
+    let offset = headerSize;
+    let lastTimestamp = null;
+
+    while (offset < end) {
+        const header = view.getUint8(offset++);
+
+        if (header & 0x80) {
+            // Compressed timestamp header: 5-bit offset from the last full timestamp.
+            const definition = definitions.get((header >> 5) & 0x03);
+            if (!definition) {
+                throw new Error('Invalid FIT file: data before definition');
+            }
+            if (lastTimestamp !== null) {
+                const timeOffset = header & 0x1F;
+                lastTimestamp += (timeOffset - (lastTimestamp & 0x1F)) & 0x1F;
+            }
+            const fields = readDataMessage(view, offset, definition);
+            offset += definition.size;
+            if (definition.globalNumber === RECORD_MESSAGE) {
+                addRecordPoint(points, fields, lastTimestamp);
+            }
+            continue;
+        }
+
+        const localType = header & 0x0F;
+        if (header & 0x40) {
+            const definition = readDefinition(view, offset, Boolean(header & 0x20));
+            definitions.set(localType, definition);
+            offset += definition.length;
+            continue;
+        }
+
+        const definition = definitions.get(localType);
+        if (!definition) {
+            throw new Error('Invalid FIT file: data before definition');
+        }
+        const fields = readDataMessage(view, offset, definition);
+        offset += definition.size;
+        if (fields.has(253)) {
+            lastTimestamp = fields.get(253);
+        }
+        if (definition.globalNumber === RECORD_MESSAGE) {
+            addRecordPoint(points, fields, lastTimestamp);
+        }
+    }
+
+    return {
+        metadata: { name: '', desc: '', time: null, creator: 'FIT', author: '', link: null },
+        tracks: points.length ? [{ name: '', desc: '', type: '', segments: [{ points }] }] : [],
+        routes: [],
+        waypoints: []
+    };
+}
+
+function readDefinition(view, offset, hasDeveloperFields) {
+    const littleEndian = view.getUint8(offset + 1) === 0;
+    const globalNumber = view.getUint16(offset + 2, littleEndian);
+    const fieldCount = view.getUint8(offset + 4);
+    const fields = [];
+    let cursor = offset + 5;
+    let size = 0;
+
+    for (let i = 0; i < fieldCount; i++) {
+        const field = {
+            number: view.getUint8(cursor),
+            size: view.getUint8(cursor + 1),
+            baseType: view.getUint8(cursor + 2) & 0x1F
+        };
+        fields.push(field);
+        size += field.size;
+        cursor += 3;
+    }
+
+    if (hasDeveloperFields) {
+        const developerFieldCount = view.getUint8(cursor);
+        cursor += 1;
+        for (let i = 0; i < developerFieldCount; i++) {
+            // Developer fields are not interpreted; they only add to the message size.
+            size += view.getUint8(cursor + 1);
+            cursor += 3;
+        }
+    }
+
+    return { globalNumber, littleEndian, fields, size, length: cursor - offset };
+}
+
+// Field number -> numeric value for every single-valued field that is not "invalid".
+function readDataMessage(view, offset, definition) {
+    const values = new Map();
+    let cursor = offset;
+
+    definition.fields.forEach(field => {
+        const type = BASE_TYPES[field.baseType];
+        if (type && type[0] === field.size) {
+            const [, getter, invalid] = type;
+            const value = view[getter](cursor, definition.littleEndian);
+            if (value !== invalid) {
+                values.set(field.number, value);
+            }
+        }
+        cursor += field.size;
+    });
+
+    return values;
+}
+
+function addRecordPoint(points, fields, timestamp) {
+    if (!fields.has(0) || !fields.has(1)) {
+        return;
+    }
+    const lat = fields.get(0) * SEMICIRCLES_TO_DEGREES;
+    const lon = fields.get(1) * SEMICIRCLES_TO_DEGREES;
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        return;
+    }
+
+    // enhanced_altitude (78) / enhanced_speed (73) supersede altitude (2) / speed (6).
+    const altitude = fields.has(78) ? fields.get(78) : fields.get(2);
+    const speed = fields.has(73) ? fields.get(73) : fields.get(6);
+    const meta = {};
+    if (speed !== undefined) {
+        meta.speed_over_ground = { value: Math.round(speed / 1000 * MS_TO_KNOTS * 100) / 100, units: 'kts', type: 'speed' };
+    }
+    if (fields.has(3)) {
+        meta.heart_rate = { value: fields.get(3), units: 'bpm', type: 'rate' };
+    }
+    if (fields.has(13)) {
+        meta.temperature = { value: fields.get(13), units: 'C', type: 'temperature' };
+    }
+
+    points.push({
+        lat,
+        lon,
+        time: timestamp !== null ? (timestamp + FIT_EPOCH_SECONDS) * 1000 : null,
+        ele: altitude !== undefined ? altitude / 5 - 500 : null,
+        meta: Object.keys(meta).length ? meta : null
+    });
+}
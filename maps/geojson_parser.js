@@ -0,0 +1,146 @@
+/**
+ * geojson_parser.js
+ *
+ * Parses GeoJSON into the same track model that gpx_parser.js produces.
+ *
+ * Two layouts are understood:
+ *   - Point features with "track" and "segment" properties (as written by
+ *     track_export.js, with or without a "time") are track points, grouped
+ *     into tracks/segments by their "file", "track" and "segment" properties;
+ *     the remaining properties become point metadata.
+ *   - Otherwise LineString/MultiLineString features are tracks (per-point times
+ *     read from a 4th coordinate or a "coordTimes" property) and Point features
+ *     are waypoints.
+ *
+ * Exports:
+ *   - parseGeoJsonModel(geoJsonText): Returns the track model for a GeoJSON document.
+ */
+
+// Properties written by track_export.js that describe the point rather than being metadata.
+const POINT_PROPERTY_KEYS = new Set(['file', 'track', 'segment', 'time', 'ele', 'units', 'waypoint', 'name', 'desc']);
+
+export function parseGeoJsonModel(geoJsonText) {
+    const data = JSON.parse(geoJsonText);
+    const features = data.type === 'FeatureCollection'
+        ? data.features || []
+        : data.type === 'Feature' ? [data] : [{ type: 'Feature', geometry: data, properties: {} }];
+
+    const model = features.some(isExportedTrackPoint) ? parsePointFeatures(features) : parseLineFeatures(features);
+    return {
+        metadata: { name: data.name || '', desc: '', time: null, creator: 'GeoJSON', author: '', link: null },
+        routes: [],
+        ...model
+    };
+}
+
+function parsePointFeatures(features) {
+    const tracks = new Map();
+    const waypoints = [];
+
+    features.forEach(feature => {
+        const geometry = feature.geometry;
+        const properties = feature.properties || {};
+        if (!geometry || geometry.type !== 'Point') {
+            return;
+        }
+        const [lon, lat, ele] = geometry.coordinates;
+        if (!isExportedTrackPoint(feature)) {
+            addWaypoint(waypoints, lat, lon, ele, properties);
+            return;
+        }
+
+        const trackKey = `${properties.file || ''}::${properties.track || 1}`;
+        if (!tracks.has(trackKey)) {
+            tracks.set(trackKey, { name: properties.file || '', desc: '', type: '', segmentMap: new Map() });
+        }
+        const segmentMap = tracks.get(trackKey).segmentMap;
+        const segmentKey = properties.segment || 1;
+        if (!segmentMap.has(segmentKey)) {
+            segmentMap.set(segmentKey, []);
+        }
+
+        const meta = {};
+        Object.entries(properties).forEach(([key, value]) => {
+            if (!POINT_PROPERTY_KEYS.has(key)) {
+                const unit = properties.units && properties.units[key];
+                meta[key] = unit ? { value, unit } : value;
+            }
+        });
+
+        const point = makePoint(lat, lon, properties.ele ?? ele, properties.time, Object.keys(meta).length ? meta : null);
+        if (point) {
+            segmentMap.get(segmentKey).push(point);
+        }
+    });
+
+    return {
+        tracks: [...tracks.values()].map(({ segmentMap, ...track }) => ({
+            ...track,
+            segments: [...segmentMap.values()].map(points => ({ points }))
+        })),
+        waypoints
+    };
+}
+
+function parseLineFeatures(features) {
+    const tracks = [];
+    const waypoints = [];
+
+    features.forEach(feature => {
+        const geometry = feature.geometry;
+        const properties = feature.properties || {};
+        if (!geometry) {
+            return;
+        }
+
+        if (geometry.type === 'Point') {
+            const [lon, lat, ele] = geometry.coordinates;
+            addWaypoint(waypoints, lat, lon, ele, properties);
+            return;
+        }
+
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+            : geometry.type === 'MultiLineString' ? geometry.coordinates
+            : [];
+        const coordTimes = properties.coordTimes || (properties.coordinateProperties && properties.coordinateProperties.times);
+        const segments = lines.map((line, lineIndex) => ({
+            points: line.map(([lon, lat, ele, time], i) => {
+                const times = Array.isArray(coordTimes && coordTimes[0]) ? coordTimes[lineIndex] : coordTimes;
+                return makePoint(lat, lon, ele, time ?? (times ? times[i] : null), null);
+            }).filter(Boolean)
+        })).filter(segment => segment.points.length);
+
+        if (segments.length) {
+            tracks.push({ name: properties.name || properties.file || '', desc: properties.desc || '', type: '', segments });
+        }
+    });
+
+    return { tracks, waypoints };
+}
+
+// A track point of the track_export.js layout; its waypoints carry neither property.
+function isExportedTrackPoint(feature) {
+    return Boolean(feature.geometry && feature.geometry.type === 'Point' && feature.properties
+        && feature.properties.track !== undefined && feature.properties.segment !== undefined);
+}
+
+function makePoint(lat, lon, ele, time, meta) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return null;
+    }
+    const parsedTime = time === null || time === undefined ? NaN : new Date(time).getTime();
+    return {
+        lat,
+        lon,
+        time: Number.isFinite(parsedTime) ? parsedTime : null,
+        ele: Number.isFinite(ele) ? ele : null,
+        meta
+    };
+}
+
+function addWaypoint(waypoints, lat, lon, ele, properties) {
+    const point = makePoint(lat, lon, ele, properties.time, null);
+    if (point) {
+        waypoints.push({ ...point, name: properties.name || '', desc: properties.desc || '', type: '', sym: '' });
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * gpx_parser.js
+ *
+ * Parses GPX text into the plain-object track model shared by every consumer
+ * (tree sorting, stats, map rendering, hover metadata). The model contains no
+ * DOM nodes or Leaflet objects so it can be kept in memory and stored in IndexedDB.
+ *
+ * Parsing walks the XML DOM by element local name, so GPX 1.0/1.1 default
+ * namespaces, prefixed elements and any attribute order are handled, and the
+ * <metadata><time> header is never mistaken for a track point time.
+ *
+ * Model:
+ *   {
+ *     metadata: { name, desc, time, creator, author, link },
+ *     tracks: [{ name, desc, type, segments: [{ points: [{ lat, lon, time, ele, meta }] }] }],
+ *     routes: [{ name, desc, type, points: [...] }],
+ *     waypoints: [{ lat, lon, time, ele, meta, name, desc, type, sym }]
+ *   }
+ *   - time is epoch milliseconds (or null), ele is meters (or null)
+ *   - creator is the <gpx creator> attribute (the device or program that wrote
+ *     the file), author the <metadata><author><name>, link the first
+ *     <metadata><link> as { href, text } (or null)
+ *   - meta is the JSON object logged in a point's <desc>/<cmt>/<extensions> (or null)
+ *
+ * Exports:
+ *   - parseGpxModel(gpxText): Returns the track model for a GPX document.
+ *   - parseGpxInfo(gpxText): Returns the summarizeTracks() stats for a GPX document.
+ *   - getLastPoint(model): Last track point with coordinates.
+ *
+ * Dependencies:
+ *   - gpx_stats.js (for track statistics)
+ */
+import { summarizeTracks } from './gpx_stats.js';
+
+export function parseGpxModel(gpxText) {
+    const parser = new DOMParser();
+    const xml = parser.parseFromString(gpxText, 'application/xml');
+
+    if (xml.getElementsByTagName('parsererror').length) {
+        throw new Error('Invalid GPX document');
+    }
+
+    const gpx = xml.documentElement;
+    const metadataNode = getChildElements(gpx, 'metadata')[0] || null;
+
+    return {
+        metadata: {
+            name: metadataNode ? getChildText(metadataNode, 'name') : '',
+            desc: metadataNode ? getChildText(metadataNode, 'desc') : '',
+            time: metadataNode ? parseTime(getChildText(metadataNode, 'time')) : null,
+            creator: gpx.getAttribute('creator') || '',
+            author: metadataNode ? getAuthorName(metadataNode) : '',
+            link: metadataNode ? parseLink(metadataNode) : null
+        },
+        tracks: getChildElements(gpx, 'trk').map(trk => ({
+            ...parseDescriptiveFields(trk),
+            segments: getChildElements(trk, 'trkseg').map(trkseg => ({
+                points: parsePointList(getChildElements(trkseg, 'trkpt'))
+            }))
+        })),
+        routes: getChildElements(gpx, 'rte').map(rte => ({
+            ...parseDescriptiveFields(rte),
+            points: parsePointList(getChildElements(rte, 'rtept'))
+        })),
+        waypoints: getChildElements(gpx, 'wpt')
+            .map(wpt => {
+                const point = parsePoint(wpt);
+                return point ? { ...point, ...parseDescriptiveFields(wpt), sym: getChildText(wpt, 'sym') } : null;
+            })
+            .filter(Boolean)
+    };
+}
+
+function getAuthorName(metadataNode) {
+    const author = getChildElements(metadataNode, 'author')[0];
+    return author ? getChildText(author, 'name') : '';
+}
+
+function parseLink(metadataNode) {
+    const link = getChildElements(metadataNode, 'link')[0];
+    if (!link) {
+        return null;
+    }
+    return { href: link.getAttribute('href') || '', text: getChildText(link, 'text') };
+}
+
+function parseDescriptiveFields(node) {
+    return {
+        name: getChildText(node, 'name'),
+        desc: getChildText(node, 'desc'),
+        type: getChildText(node, 'type')
+    };
+}
+
+function parsePointList(nodes) {
+    const points = [];
+    nodes.forEach(node => {
+        const point = parsePoint(node);
+        if (point) {
+            points.push(point);
+        }
+    });
+    return points;
+}
+
+function parsePoint(node) {
+    const lat = Number.parseFloat(node.getAttribute('lat'));
+    const lon = Number.parseFloat(node.getAttribute('lon'));
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+        return null;
+    }
+
+    const elevation = Number.parseFloat(getChildText(node, 'ele'));
+
+    return {
+        lat,
+        lon,
+        time: parseTime(getChildText(node, 'time')),
+        ele: Number.isFinite(elevation) ? elevation : null,
+        meta: extractMetadataObject(node)
+    };
+}
+
+function parseTime(text) {
+    if (!text) {
+        return null;
+    }
+    const time = new Date(text).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+export function getLastPoint(model) {
+    for (let t = model.tracks.length - 1; t >= 0; t--) {
+        const segments = model.tracks[t].segments;
+        for (let s = segments.length - 1; s >= 0; s--) {
+            if (segments[s].points.length) {
+                return segments[s].points.at(-1);
+            }
+        }
+    }
+    return null;
+}
+
+// Matches on local name so default and prefixed GPX namespaces both work.
+function getChildElements(parent, childName) {
+    const matches = [];
+    for (const child of parent.children) {
+        const nodeName = (child.localName || child.tagName || '').toLowerCase();
+        if (nodeName === childName) {
+            matches.push(child);
+        }
+    }
+    return matches;
+}
+
+function getChildText(parent, childName) {
+    const child = getChildElements(parent, childName)[0];
+    return child ? (child.textContent || '').trim() : '';
+}
+
+function extractMetadataObject(trackPointNode) {
+    const candidates = [];
+
+    for (const child of trackPointNode.children) {
+        const nodeName = (child.localName || child.tagName || '').toLowerCase();
+        const text = (child.textContent || '').trim();
+        if (!text) {
+            continue;
+        }
+
+        if (nodeName === 'desc' || nodeName === 'cmt') {
+            candidates.push(text);
+        } else if (nodeName === 'extensions') {
+            collectJsonCandidates(child, candidates);
+        }
+    }
+
+    for (const candidate of candidates) {
+        const parsed = tryParseMetadataJson(candidate);
+        if (parsed && typeof parsed === 'object') {
+            return parsed;
+        }
+    }
+
+    return null;
+}
+
+function collectJsonCandidates(rootNode, targetList) {
+    for (const node of rootNode.querySelectorAll('*')) {
+        const text = (node.textContent || '').trim();
+        if (!text || (!looksLikeJson(text) && !text.includes('{') && !text.includes('['))) {
+            continue;
+        }
+        targetList.push(text);
+    }
+}
+
+function looksLikeJson(value) {
+    const text = value.trim();
+    return text.startsWith('{') || text.startsWith('[');
+}
+
+function tryParseMetadataJson(value) {
+    const text = value.trim();
+    if (!text) {
+        return null;
+    }
+
+    if (looksLikeJson(text)) {
+        try {
+            return JSON.parse(text);
+        } catch (_) {
+            // continue to fallback parsing
+        }
+    }
+
+    const objectStart = text.indexOf('{');
+    const objectEnd = text.lastIndexOf('}');
+    if (objectStart >= 0 && objectEnd > objectStart) {
+        try {
+            return JSON.parse(text.slice(objectStart, objectEnd + 1));
+        } catch (_) {
+            // ignore
+        }
+    }
+
+    const arrayStart = text.indexOf('[');
+    const arrayEnd = text.lastIndexOf(']');
+    if (arrayStart >= 0 && arrayEnd > arrayStart) {
+        try {
+            return JSON.parse(text.slice(arrayStart, arrayEnd + 1));
+        } catch (_) {
+            // ignore
+        }
+    }
+
+    return null;
+}
+
+export function parseGpxInfo(gpxText) {
+    return summarizeTracks(parseGpxModel(gpxText).tracks);
+}
@@ -0,0 +1,411 @@
+/**
+ * gpx_stats.js
+ *
+ * Distance, duration and time-breakdown statistics for parsed GPX tracks. This
+ * module has no DOM or Leaflet dependencies so the same numbers are produced
+ * in the browser and by scripts/build_gpx_manifest.mjs.
+ *
+ * Distances are only summed between consecutive points of the same <trkseg>,
+ * never across the gap between two segments or two <trk> blocks.
+ *
+ * Every timestamped point is classified as underway, at anchor or docked.
+ * A "stay" is a run of points that remain within ANCHOR_DRIFT_RADIUS_METERS of
+ * their running centre for at least MIN_STAY_SECONDS; it counts as docked when
+ * the boat barely moves (no swing) and as at anchor otherwise. A stay also
+ * ends once the speed over ground stays above STAY_EXIT_SOG_KNOTS for
+ * STAY_EXIT_SECONDS, so a departure is dated when the boat gets going rather
+ * than when it has left the drift radius. SOG is derived from time and
+ * distance, not read from the logged metadata, so files without it are
+ * classified the same way. Everything else is underway, and each run of
+ * underway points between stays is a passage (a departure→arrival leg, listed
+ * in the summary's passages array). The stays themselves are listed in the
+ * summary's stays array, and the distance and time underway are also broken
+ * down by local calendar day.
+ *
+ * Exports:
+ *   - haversine(lat1, lon1, lat2, lon2): Great-circle distance in meters.
+ *   - initialBearing(lat1, lon1, lat2, lon2): Course in degrees true (0-360) from the first point to the second.
+ *   - summarizeTracks(tracks): Per-track, per-segment and total stats for model.tracks,
+ *     plus the passages (legs) and stays ({ state, lat, lon, startTime, endTime,
+ *     atStart, atEnd }; atStart/atEnd when the stay begins with the first or
+ *     ends with the last timed point, so it may go on in another file)
+ *     detected in them, and the underway totals per day
+ *     ({ day: 'YYYY-MM-DD', underwayMeters, movingSeconds }).
+ *   - localDayKey(time): The 'YYYY-MM-DD' local calendar day of an epoch-ms time.
+ *   - pointSpeedsKnots(points): Speed over ground at each point of one segment,
+ *     derived from time and distance (null where it cannot be measured).
+ */
+
+// A stay ends once the boat moves further than this from the stay's centre.
+const ANCHOR_DRIFT_RADIUS_METERS = 75;
+// Stays where 90% of points stay this close to the centre are docked (a boat
+// at anchor or on a mooring swings; the percentile ignores GPS outliers).
+const DOCK_DRIFT_RADIUS_METERS = 15;
+const DOCK_DRIFT_PERCENTILE = 0.9;
+// Minimum time inside the drift radius before a stop counts as a stay.
+const MIN_STAY_SECONDS = 15 * 60;
+// A stay ends where the boat starts making more than STAY_EXIT_SOG_KNOTS for
+// at least STAY_EXIT_SECONDS (a boat swinging at anchor does not keep it up).
+const STAY_EXIT_SOG_KNOTS = 2;
+const STAY_EXIT_SECONDS = 2 * 60;
+// Points closer together than this (seconds) are merged into one interval when
+// measuring speed, so GPS jitter on a 1 Hz logger does not read as movement.
+const MIN_INTERVAL_SECONDS = 30;
+// Intervals longer than this (seconds) are logging gaps, not underway time.
+const MAX_INTERVAL_SECONDS = 15 * 60;
+// Speeds above this are GPS glitches and are ignored for max SOG.
+const MAX_PLAUSIBLE_SOG_KNOTS = 25;
+// Underway runs shorter than this are repositioning, not a passage.
+const MIN_PASSAGE_METERS = 500;
+
+const METERS_PER_SECOND_PER_KNOT = 1852 / 3600;
+
+export function haversine(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const toRad = x => x * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat/2)**2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon/2)**2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+}
+
+export function initialBearing(lat1, lon1, lat2, lon2) {
+    const toRad = x => x * Math.PI / 180;
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) - Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+export function summarizeTracks(tracks) {
+    const timeline = buildTimeline(tracks);
+    const { states, stayIds, stays } = classifyTimeline(timeline);
+
+    const segments = [];
+    const segmentSummaries = tracks.map((track, trackIndex) => track.segments.map((segment, segmentIndex) => {
+        const summary = { trackIndex, segmentIndex, ...emptySummary(), ...measureSegment(segment.points) };
+        segments.push(summary);
+        return summary;
+    }));
+
+    const days = new Map();
+    accumulateTimeBreakdown(timeline, states, stayIds, segmentSummaries, days);
+    segments.forEach(summary => {
+        summary.avgSogKnots = averageSpeedKnots(summary.underwayMeters, summary.movingSeconds);
+    });
+
+    const passages = findPassages(timeline, states);
+    passages.forEach(passage => {
+        const { trackIndex, segmentIndex } = timeline[passage.startIndex];
+        segmentSummaries[trackIndex][segmentIndex].passageCount += 1;
+    });
+
+    return {
+        ...combineSummaries(segments),
+        tracks: segmentSummaries.map((summaries, trackIndex) => ({ trackIndex, ...combineSummaries(summaries) })),
+        segments,
+        passages: passages.map(passage => describePassage(timeline, passage, stayIds, stays)),
+        stays,
+        days: [...days.values()].sort((a, b) => a.day.localeCompare(b.day))
+    };
+}
+
+export function localDayKey(time) {
+    const date = new Date(time);
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Each point's speed is measured from the latest earlier point at least
+// MIN_INTERVAL_SECONDS before it, like max SOG in accumulateTimeBreakdown.
+export function pointSpeedsKnots(points) {
+    const speeds = new Array(points.length).fill(null);
+    let reference = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        const point = points[i];
+        if (point.time === null || point.time === undefined) {
+            continue;
+        }
+
+        while (reference + 1 < i && isTimed(points[reference + 1])
+            && (point.time - points[reference + 1].time) / 1000 >= MIN_INTERVAL_SECONDS) {
+            reference++;
+        }
+
+        const start = points[reference];
+        if (!isTimed(start)) {
+            continue;
+        }
+        const seconds = (point.time - start.time) / 1000;
+        if (seconds < MIN_INTERVAL_SECONDS || seconds > MAX_INTERVAL_SECONDS) {
+            continue;
+        }
+
+        const knots = haversine(start.lat, start.lon, point.lat, point.lon) / seconds / METERS_PER_SECOND_PER_KNOT;
+        speeds[i] = knots <= MAX_PLAUSIBLE_SOG_KNOTS ? knots : null;
+    }
+
+    return speeds;
+}
+
+function isTimed(point) {
+    return point.time !== null && point.time !== undefined;
+}
+
+function emptySummary() {
+    return {
+        movingSeconds: 0,
+        anchoredSeconds: 0,
+        dockedSeconds: 0,
+        underwayMeters: 0,
+        maxSogKnots: 0,
+        passageCount: 0
+    };
+}
+
+function measureSegment(points) {
+    let distanceMeters = 0;
+    for (let i = 1; i < points.length; i++) {
+        distanceMeters += haversine(points[i - 1].lat, points[i - 1].lon, points[i].lat, points[i].lon);
+    }
+
+    const timed = points.filter(p => p.time !== null && p.time !== undefined);
+    const startTime = timed.length ? timed[0].time : null;
+    const endTime = timed.length ? timed.at(-1).time : null;
+
+    return {
+        startTime,
+        endTime,
+        durationSeconds: timed.length > 1 ? Math.max(0, (endTime - startTime) / 1000) : 0,
+        distanceMeters,
+        pointCount: points.length
+    };
+}
+
+// All timestamped points of the file in time order, remembering where each came from.
+function buildTimeline(tracks) {
+    const timeline = [];
+    tracks.forEach((track, trackIndex) => track.segments.forEach((segment, segmentIndex) => {
+        segment.points.forEach(point => {
+            if (point.time !== null && point.time !== undefined) {
+                timeline.push({ lat: point.lat, lon: point.lon, time: point.time, trackIndex, segmentIndex });
+            }
+        });
+    }));
+    return timeline.sort((a, b) => a.time - b.time);
+}
+
+function classifyTimeline(timeline) {
+    const states = new Array(timeline.length).fill('underway');
+    const stayIds = new Array(timeline.length).fill(-1);
+    const speeds = pointSpeedsKnots(timeline);
+    const stays = [];
+    let i = 0;
+
+    while (i < timeline.length) {
+        let latSum = timeline[i].lat;
+        let lonSum = timeline[i].lon;
+        let j = i + 1;
+        let fastSince = -1;
+
+        while (j < timeline.length) {
+            const count = j - i;
+            const point = timeline[j];
+            if (haversine(latSum / count, lonSum / count, point.lat, point.lon) > ANCHOR_DRIFT_RADIUS_METERS) {
+                break;
+            }
+            if (speeds[j] !== null && speeds[j] > STAY_EXIT_SOG_KNOTS) {
+                if (fastSince === -1) {
+                    fastSince = j;
+                }
+                if ((point.time - timeline[fastSince].time) / 1000 >= STAY_EXIT_SECONDS) {
+                    // Under way: the stay ended where the boat got going.
+                    for (let k = fastSince; k < j; k++) {
+                        latSum -= timeline[k].lat;
+                        lonSum -= timeline[k].lon;
+                    }
+                    j = fastSince;
+                    break;
+                }
+            } else {
+                fastSince = -1;
+            }
+            latSum += point.lat;
+            lonSum += point.lon;
+            j++;
+        }
+
+        const spanSeconds = (timeline[j - 1].time - timeline[i].time) / 1000;
+        if (spanSeconds < MIN_STAY_SECONDS) {
+            i++;
+            continue;
+        }
+
+        const centerLat = latSum / (j - i);
+        const centerLon = lonSum / (j - i);
+        const drifts = [];
+        for (let k = i; k < j; k++) {
+            drifts.push(haversine(centerLat, centerLon, timeline[k].lat, timeline[k].lon));
+        }
+        drifts.sort((a, b) => a - b);
+        const typicalDrift = drifts[Math.floor((drifts.length - 1) * DOCK_DRIFT_PERCENTILE)];
+
+        const state = typicalDrift <= DOCK_DRIFT_RADIUS_METERS ? 'docked' : 'anchored';
+        for (let k = i; k < j; k++) {
+            states[k] = state;
+            stayIds[k] = stays.length;
+        }
+        stays.push({
+            state,
+            lat: centerLat,
+            lon: centerLon,
+            startTime: timeline[i].time,
+            endTime: timeline[j - 1].time,
+            atStart: i === 0,
+            atEnd: j === timeline.length
+        });
+        i = j;
+    }
+
+    return { states, stayIds, stays };
+}
+
+function accumulateTimeBreakdown(timeline, states, stayIds, segmentSummaries, days) {
+    let reference = 0;
+
+    for (let i = 1; i < timeline.length; i++) {
+        const previous = timeline[i - 1];
+        const point = timeline[i];
+        const seconds = (point.time - previous.time) / 1000;
+        const summary = segmentSummaries[point.trackIndex][point.segmentIndex];
+        const sameSegment = previous.trackIndex === point.trackIndex && previous.segmentIndex === point.segmentIndex;
+
+        if (stayIds[i] !== -1 && stayIds[i] === stayIds[i - 1]) {
+            // Sitting in one place; logger gaps and segment breaks still count.
+            if (states[i] === 'docked') {
+                summary.dockedSeconds += seconds;
+            } else {
+                summary.anchoredSeconds += seconds;
+            }
+        } else if (sameSegment && seconds <= MAX_INTERVAL_SECONDS) {
+            const meters = haversine(previous.lat, previous.lon, point.lat, point.lon);
+            summary.movingSeconds += seconds;
+            summary.underwayMeters += meters;
+
+            // Intervals are booked to the day they end on.
+            const day = localDayKey(point.time);
+            if (!days.has(day)) {
+                days.set(day, { day, underwayMeters: 0, movingSeconds: 0 });
+            }
+            days.get(day).underwayMeters += meters;
+            days.get(day).movingSeconds += seconds;
+        }
+
+        // Speed is measured over intervals of at least MIN_INTERVAL_SECONDS.
+        const start = timeline[reference];
+        const windowSeconds = (point.time - start.time) / 1000;
+        const contiguous = start.trackIndex === point.trackIndex && start.segmentIndex === point.segmentIndex;
+        if (!contiguous || windowSeconds > MAX_INTERVAL_SECONDS) {
+            reference = i;
+        } else if (windowSeconds >= MIN_INTERVAL_SECONDS) {
+            if (states[i] === 'underway') {
+                const knots = haversine(start.lat, start.lon, point.lat, point.lon) / windowSeconds / METERS_PER_SECOND_PER_KNOT;
+                if (knots <= MAX_PLAUSIBLE_SOG_KNOTS) {
+                    summary.maxSogKnots = Math.max(summary.maxSogKnots, knots);
+                }
+            }
+            reference = i;
+        }
+    }
+}
+
+function findPassages(timeline, states) {
+    const passages = [];
+    let startIndex = -1;
+    let meters = 0;
+
+    for (let i = 0; i <= timeline.length; i++) {
+        const underway = i < timeline.length && states[i] === 'underway';
+        if (underway) {
+            if (startIndex === -1) {
+                startIndex = i;
+                meters = 0;
+            } else {
+                meters += haversine(timeline[i - 1].lat, timeline[i - 1].lon, timeline[i].lat, timeline[i].lon);
+            }
+        } else if (startIndex !== -1) {
+            if (meters >= MIN_PASSAGE_METERS) {
+                passages.push({ startIndex, endIndex: i - 1, distanceMeters: meters });
+            }
+            startIndex = -1;
+        }
+    }
+
+    return passages;
+}
+
+function averageSpeedKnots(meters, seconds) {
+    return seconds > 0 ? meters / seconds / METERS_PER_SECOND_PER_KNOT : 0;
+}
+
+// A passage runs from the last point of the stay it leaves to the first point
+// of the stay it reaches. Origin and destination are the stay centres, or the
+// first/last fix when the file starts or ends underway.
+function describePassage(timeline, passage, stayIds, stays) {
+    const departureIndex = Math.max(0, passage.startIndex - 1);
+    const arrivalIndex = Math.min(timeline.length - 1, passage.endIndex + 1);
+    const departure = timeline[departureIndex];
+    const arrival = timeline[arrivalIndex];
+    const originStay = stays[stayIds[departureIndex]];
+    const destinationStay = stays[stayIds[arrivalIndex]];
+
+    let distanceMeters = 0;
+    for (let k = departureIndex + 1; k <= arrivalIndex; k++) {
+        const previous = timeline[k - 1];
+        const point = timeline[k];
+        if (previous.trackIndex === point.trackIndex && previous.segmentIndex === point.segmentIndex) {
+            distanceMeters += haversine(previous.lat, previous.lon, point.lat, point.lon);
+        }
+    }
+
+    return {
+        trackIndex: timeline[passage.startIndex].trackIndex,
+        startTime: departure.time,
+        endTime: arrival.time,
+        durationSeconds: (arrival.time - departure.time) / 1000,
+        distanceMeters,
+        origin: originStay ? { lat: originStay.lat, lon: originStay.lon } : { lat: departure.lat, lon: departure.lon },
+        destination: destinationStay
+            ? { lat: destinationStay.lat, lon: destinationStay.lon }
+            : { lat: arrival.lat, lon: arrival.lon }
+    };
+}
+
+// Duration is wall-clock time from the first to the last timestamp; distance
+// and the time breakdown are sums over the individual segments.
+function combineSummaries(summaries) {
+    const timed = summaries.filter(s => s.startTime !== null);
+    const startTime = timed.length ? Math.min(...timed.map(s => s.startTime)) : null;
+    const endTime = timed.length ? Math.max(...timed.map(s => s.endTime)) : null;
+    const sum = key => summaries.reduce((total, s) => total + s[key], 0);
+
+    const movingSeconds = sum('movingSeconds');
+    const underwayMeters = sum('underwayMeters');
+
+    return {
+        startTime,
+        endTime,
+        durationSeconds: timed.length ? (endTime - startTime) / 1000 : 0,
+        distanceMeters: sum('distanceMeters'),
+        movingSeconds,
+        anchoredSeconds: sum('anchoredSeconds'),
+        dockedSeconds: sum('dockedSeconds'),
+        underwayMeters,
+        avgSogKnots: averageSpeedKnots(underwayMeters, movingSeconds),
+        maxSogKnots: summaries.reduce((max, s) => Math.max(max, s.maxSogKnots), 0),
+        passageCount: sum('passageCount'),
+        pointCount: sum('pointCount')
+    };
+}
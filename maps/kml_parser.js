@@ -0,0 +1,114 @@
+/**
+ * kml_parser.js
+ *
+ * Parses KML (Google Earth, many phone apps) into the same track model that
+ * gpx_parser.js produces. <LineString> becomes a track segment, <gx:Track>
+ * becomes a timed segment (<when> paired with <gx:coord>), and <Point>
+ * placemarks become waypoints.
+ *
+ * Exports:
+ *   - parseKmlModel(kmlText): Returns the track model for a KML document.
+ */
+
+export function parseKmlModel(kmlText) {
+    const xml = new DOMParser().parseFromString(kmlText, 'application/xml');
+    if (xml.getElementsByTagName('parsererror').length) {
+        throw new Error('Invalid KML document');
+    }
+
+    const documentName = getDescendantText(xml.documentElement, 'name');
+    const tracks = [];
+    const waypoints = [];
+
+    getDescendants(xml.documentElement, 'placemark').forEach(placemark => {
+        const name = getChildText(placemark, 'name');
+        const desc = getChildText(placemark, 'description');
+        const segments = [];
+
+        getDescendants(placemark, 'linestring').forEach(lineString => {
+            const points = parseCoordinates(getDescendantText(lineString, 'coordinates'));
+            if (points.length) {
+                segments.push({ points });
+            }
+        });
+
+        getDescendants(placemark, 'track').forEach(track => {
+            const points = parseGxTrack(track);
+            if (points.length) {
+                segments.push({ points });
+            }
+        });
+
+        if (segments.length) {
+            tracks.push({ name, desc, type: '', segments });
+            return;
+        }
+
+        getDescendants(placemark, 'point').forEach(point => {
+            const [coordinate] = parseCoordinates(getDescendantText(point, 'coordinates'));
+            if (coordinate) {
+                waypoints.push({ ...coordinate, name, desc, type: '', sym: '' });
+            }
+        });
+    });
+
+    return {
+        metadata: { name: documentName, desc: '', time: null, creator: 'KML', author: '', link: null },
+        tracks,
+        routes: [],
+        waypoints
+    };
+}
+
+// "lon,lat[,alt] lon,lat[,alt] ..."
+function parseCoordinates(text) {
+    const points = [];
+    (text || '').trim().split(/\s+/).forEach(tuple => {
+        const [lon, lat, ele] = tuple.split(',').map(Number.parseFloat);
+        if (Number.isFinite(lat) && Number.isFinite(lon)) {
+            points.push({ lat, lon, time: null, ele: Number.isFinite(ele) ? ele : null, meta: null });
+        }
+    });
+    return points;
+}
+
+// <gx:Track> lists every <when> first, then a matching <gx:coord> ("lon lat alt") for each.
+function parseGxTrack(track) {
+    const whens = getDescendants(track, 'when').map(node => node.textContent.trim());
+    const coords = getDescendants(track, 'coord').map(node => node.textContent.trim());
+    const points = [];
+
+    coords.forEach((coord, i) => {
+        const [lon, lat, ele] = coord.split(/\s+/).map(Number.parseFloat);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+            return;
+        }
+        const time = whens[i] ? new Date(whens[i]).getTime() : NaN;
+        points.push({
+            lat,
+            lon,
+            time: Number.isFinite(time) ? time : null,
+            ele: Number.isFinite(ele) ? ele : null,
+            meta: null
+        });
+    });
+    return points;
+}
+
+function localNameOf(node) {
+    return (node.localName || node.tagName || '').toLowerCase();
+}
+
+function getDescendants(parent, name) {
+    return [...parent.getElementsByTagName('*')].filter(node => localNameOf(node) === name);
+}
+
+function getDescendantText(parent, name) {
+    const node = getDescendants(parent, name)[0];
+    return node ? node.textContent.trim() : '';
+}
+
+function getChildText(parent, name) {
+    const node = [...parent.children].find(child => localNameOf(child) === name);
+    return node ? node.textContent.trim() : '';
+}
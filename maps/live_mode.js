@@ -0,0 +1,114 @@
+/**
+ * live_mode.js
+ *
+ * Live position mode, turned on with ?live=1 (the home page iframe uses
+ * ?tracks=latest&live=1). The most recent track is re-checked every
+ * POLL_INTERVAL_MS with a conditional request, so an unchanged file costs a
+ * 304 and no download; the first check waits one interval rather than
+ * fetching the track again right after the page has loaded it. When new
+ * points arrive the track's polyline is extended, the boat marker moves and
+ * turns to the new course, and with "Follow" on (?follow=1) the map stays
+ * centred on the boat. A badge shows how long ago the last fix was logged and
+ * turns amber once it is older than STALE_AFTER_MS. Polling pauses while the
+ * page is hidden.
+ *
+ * A new track file (e.g. the first log of a new month) is picked up on the
+ * next page load.
+ *
+ * Exports:
+ *   - initLiveMode(tree): Starts live mode for the most recent track in the tree
+ *     when ?live=1 is set; does nothing otherwise.
+ *
+ * Dependencies:
+ *   - fetch_tree.js (for finding the most recent track)
+ *   - track_store.js (for conditional re-downloads)
+ *   - gpx_parser.js (for the last point of a track)
+ *   - map.js (for extending the track and moving the boat)
+ *   - ui_helpers.js (for formatting the age of the last fix)
+ *   - url_params.js (for keeping ?follow= in the URL)
+ */
+import { findMostRecentTrack } from './fetch_tree.js';
+import { loadTrack, refreshTrack } from './track_store.js';
+import { getLastPoint } from './gpx_parser.js';
+import { updateLoadedTrack, updateBoatMarker } from './map.js';
+import { formatTimeAgo } from './ui_helpers.js';
+import { setUrlParams } from './url_params.js';
+
+const POLL_INTERVAL_MS = 60 * 1000;
+const BADGE_REFRESH_MS = 30 * 1000;
+// The boat logs every few seconds while the logger runs, so a quarter of an
+// hour without a fix means the data is no longer live.
+const STALE_AFTER_MS = 15 * 60 * 1000;
+
+export async function initLiveMode(tree) {
+    const params = new URLSearchParams(window.location.search);
+    const badge = document.getElementById('liveBadge');
+    const statusLabel = document.getElementById('liveStatus');
+    const followCheckbox = document.getElementById('liveFollow');
+    if (params.get('live') !== '1' || !badge || !statusLabel || !followCheckbox) {
+        return;
+    }
+
+    const path = await findMostRecentTrack(tree);
+    if (!path) {
+        console.warn('Live mode: no track to follow');
+        return;
+    }
+
+    let lastFixTime = null;
+    let pollTimer = null;
+
+    followCheckbox.checked = params.get('follow') === '1';
+    followCheckbox.addEventListener('change', () => {
+        setUrlParams({ follow: followCheckbox.checked ? '1' : null });
+        if (followCheckbox.checked) {
+            void loadTrack(path).then(track => updateBoatMarker(track, { follow: true }));
+        }
+    });
+
+    const renderBadge = () => {
+        const age = lastFixTime !== null ? Date.now() - lastFixTime : null;
+        statusLabel.textContent = age === null ? 'Live · no fix yet' : `Live · last fix ${formatTimeAgo(age)}`;
+        badge.classList.toggle('stale', age === null || age > STALE_AFTER_MS);
+    };
+
+    const showTrack = track => {
+        const lastPoint = getLastPoint(track.model);
+        lastFixTime = lastPoint ? lastPoint.time : null;
+        updateBoatMarker(track, { follow: followCheckbox.checked });
+        renderBadge();
+    };
+
+    const poll = async () => {
+        try {
+            const track = await refreshTrack(path);
+            if (track) {
+                updateLoadedTrack(path, track);
+                showTrack(track);
+            }
+        } catch (error) {
+            console.warn('Live mode: update failed', error);
+        }
+    };
+
+    const schedulePolling = () => {
+        clearInterval(pollTimer);
+        pollTimer = document.hidden ? null : setInterval(poll, POLL_INTERVAL_MS);
+    };
+
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden) {
+            void poll();
+        }
+        schedulePolling();
+    });
+
+    badge.classList.remove('hidden');
+    try {
+        showTrack(await loadTrack(path));
+    } catch (error) {
+        console.warn('Live mode: failed to load', path, error);
+    }
+    setInterval(renderBadge, BADGE_REFRESH_MS);
+    schedulePolling();
+}
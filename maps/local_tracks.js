@@ -0,0 +1,90 @@
+/**
+ * local_tracks.js
+ *
+ * Tracks imported from the visitor's own files. Each file is parsed in the
+ * browser, registered with the track store under "local/<file name>" so the
+ * map, info bubbles and URL treat it like a repository track, and saved in
+ * IndexedDB so it is still there on the next visit. Nothing is uploaded.
+ *
+ * Exports:
+ *   - getLocalTrackPaths(): Paths of the local tracks, most recently imported first.
+ *   - importLocalFiles(files): Parses and registers dropped/picked files.
+ *     Resolves to { paths, errors } (errors: [{ name, message }]).
+ *   - restoreLocalTracks(): Registers the tracks saved on earlier visits.
+ *   - removeLocalTrack(path): Forgets a local track, including its saved copy.
+ *
+ * Dependencies:
+ *   - constants.js (for LOCAL_TRACK_PREFIX)
+ *   - track_formats.js (for parsing GPX, KML, GeoJSON, NMEA and FIT files)
+ *   - track_store.js (for registering parsed tracks)
+ *   - track_cache.js (for persisting them)
+ */
+import { LOCAL_TRACK_PREFIX } from './constants.js';
+import { isSupportedTrackFile, parseTrackFile, SUPPORTED_TRACK_EXTENSIONS } from './track_formats.js';
+import { registerLocalTrack, unregisterLocalTrack } from './track_store.js';
+import { readLocalTracks, writeLocalTrack, deleteLocalTrack } from './track_cache.js';
+
+const localPaths = [];
+
+export function getLocalTrackPaths() {
+    return [...localPaths];
+}
+
+export async function importLocalFiles(files) {
+    const paths = [];
+    const errors = [];
+
+    for (const file of files) {
+        if (!isSupportedTrackFile(file.name)) {
+            errors.push({ name: file.name, message: `Unsupported file type (expected ${SUPPORTED_TRACK_EXTENSIONS.join(', ')})` });
+            continue;
+        }
+        try {
+            const model = parseTrackFile(file.name, await file.arrayBuffer());
+            if (!model.tracks.some(trk => trk.segments.some(segment => segment.points.length))) {
+                throw new Error('No track points found');
+            }
+            const path = makeUniquePath(file.name);
+            const record = registerLocalTrack(path, model);
+            localPaths.unshift(path);
+            paths.push(path);
+            void writeLocalTrack(record);
+        } catch (error) {
+            console.error('Failed to import', file.name, error);
+            errors.push({ name: file.name, message: error.message });
+        }
+    }
+
+    return { paths, errors };
+}
+
+export async function restoreLocalTracks() {
+    const records = await readLocalTracks();
+    records.forEach(({ path, model }) => {
+        if (!localPaths.includes(path)) {
+            registerLocalTrack(path, model);
+            localPaths.push(path);
+        }
+    });
+    return getLocalTrackPaths();
+}
+
+export async function removeLocalTrack(path) {
+    const index = localPaths.indexOf(path);
+    if (index !== -1) {
+        localPaths.splice(index, 1);
+    }
+    unregisterLocalTrack(path);
+    await deleteLocalTrack(path);
+}
+
+// "local/track.gpx", then "local/track (2).gpx", ... so re-importing never replaces a track.
+function makeUniquePath(fileName) {
+    const safeName = fileName.replace(/[/#,]/g, '_');
+    const match = safeName.match(/^(.*?)(\.[^.]*)?$/);
+    let path = `${LOCAL_TRACK_PREFIX}/${safeName}`;
+    for (let n = 2; localPaths.includes(path); n++) {
+        path = `${LOCAL_TRACK_PREFIX}/${match[1]} (${n})${match[2] || ''}`;
+    }
+    return path;
+}
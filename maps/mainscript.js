@@ -7,9 +7,10 @@
  * 
  * Features:
  * - Handles UI controls for selecting, clearing, and toggling the track list.
- * - Loads the GPX folder tree from GitHub, sorts it by date, and renders the UI.
+ * - Loads the GPX folder tree from the track manifest (or GitHub), sorts it by date, and renders the UI.
  * - Adds/removes tracks on the map when checkboxes are toggled.
  * - Automatically selects and displays the most recent track on load.
+ * - Imports track files dropped on the map or picked with the Import button into a "Local" folder.
  * 
  * Exports:
  *   (none; this is the main script and runs on page load)
@@ -19,18 +20,40 @@
  *   - fetch_tree.js (for fetching and sorting the GPX tree)
  *   - create_ui.js (for rendering the folder/file UI)
  *   - map.js (for adding/removing tracks on the map)
+ *   - chart_panel.js (for the time-series chart panel)
+ *   - playback.js (for replaying tracks)
+ *   - track_export.js (for exporting the selected tracks)
+ *   - local_tracks.js (for importing the visitor's own track files)
+ *   - live_mode.js (for following the latest track with ?live=1)
+ *   - stops_layer.js (for the anchorage / port-of-call markers)
+ *   - photo_layer.js (for the gallery photo markers)
+ *   - calendar_panel.js (for the calendar heatmap of sailing days)
+ *   - filter_bar.js (for the date range / area filter)
+ *   - search_box.js (for searching the track list)
  * 
  * Usage:
  *   Included as a module in index.html. Runs automatically on page
  * */
 import { trackListDiv, trackCheckboxesDiv } from './constants.js';
-import { fetchGpxTree, sortTreeByDate, findMostRecentTrack } from './fetch_tree.js';
-import { createUIFromTree } from './create_ui.js';
-import { addTrackToMap, removeTrackFromMap, addBoatMarker, resetViewToFallback } from './map.js';
-import { escapeCSSSelector } from './ui_helpers.js';
+import { fetchGpxTree, sortTreeByDate, findMostRecentTrack, parseTrackId } from './fetch_tree.js';
+import { createUIFromTree, showPassageItems, renderLocalFolder } from './create_ui.js';
+import { addTrackToMap, removeTrackFromMap, addBoatMarker, resetViewToFallback, getLoadedTrackViews, getActiveTimeRange } from './map.js';
+import { escapeCSSSelector, downloadTextFile } from './ui_helpers.js';
+import { initChartPanel } from './chart_panel.js';
+import { initPlayback } from './playback.js';
+import { EXPORT_FORMATS, exportTracks } from './track_export.js';
+import { importLocalFiles, restoreLocalTracks } from './local_tracks.js';
+import { initLiveMode } from './live_mode.js';
+import { initStopsLayer } from './stops_layer.js';
+import { initPhotoLayer } from './photo_layer.js';
+import { initCalendarPanel } from './calendar_panel.js';
+import { initFilterBar } from './filter_bar.js';
+import { initSearchBox } from './search_box.js';
 // === UI Controls ===
 document.getElementById('selectAll').addEventListener('click', () => {
-  const checkboxes = trackListDiv.querySelectorAll('input[type="checkbox"]');
+  // Legs are part of their file, so selecting everything skips them.
+  const checkboxes = [...trackListDiv.querySelectorAll('input[type="checkbox"]')]
+    .filter(cb => !cb.closest('.passage-item'));
   checkboxes.forEach(cb => {
     if (!cb.checked) {
       cb.checked = true;
@@ -53,6 +76,70 @@ document.getElementById('toggleTrackList').addEventListener('click', () => {
   trackListDiv.classList.toggle('hidden');
 });
 
+const exportFormatSelect = document.getElementById('exportFormat');
+Object.entries(EXPORT_FORMATS).forEach(([format, { label }]) => {
+  exportFormatSelect.add(new Option(label, format));
+});
+
+document.getElementById('exportTracks').addEventListener('click', () => {
+  const views = getLoadedTrackViews();
+  if (!views.length) {
+    alert('Select one or more tracks to export.');
+    return;
+  }
+  const { filename, mimeType, content } = exportTracks(views, exportFormatSelect.value, getActiveTimeRange());
+  downloadTextFile(filename, content, mimeType);
+});
+
+// === Local track files ===
+async function addLocalFiles(files) {
+  const { paths, errors } = await importLocalFiles(files);
+  await renderLocalFolder(trackCheckboxesDiv, { expand: true });
+
+  paths.forEach(path => {
+    const checkbox = trackCheckboxesDiv.querySelector(`input[type="checkbox"][value="${escapeCSSSelector(path)}"]`);
+    if (checkbox && !checkbox.checked) {
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new Event('change'));
+    }
+  });
+
+  if (errors.length) {
+    alert(`Could not import:\n${errors.map(({ name, message }) => `${name}: ${message}`).join('\n')}`);
+  }
+}
+
+const importFileInput = document.getElementById('importFile');
+document.getElementById('importTracks').addEventListener('click', () => importFileInput.click());
+importFileInput.addEventListener('change', () => {
+  void addLocalFiles([...importFileInput.files]);
+  importFileInput.value = '';
+});
+
+const mapElement = document.getElementById('map');
+mapElement.addEventListener('dragover', (e) => {
+  if (e.dataTransfer && [...e.dataTransfer.types].includes('Files')) {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    mapElement.classList.add('drop-target');
+  }
+});
+mapElement.addEventListener('dragleave', (e) => {
+  if (!mapElement.contains(e.relatedTarget)) {
+    mapElement.classList.remove('drop-target');
+  }
+});
+mapElement.addEventListener('drop', (e) => {
+  e.preventDefault();
+  mapElement.classList.remove('drop-target');
+  void addLocalFiles([...e.dataTransfer.files]);
+});
+
+const localTracksRestored = restoreLocalTracks();
+
+initChartPanel();
+initPlayback();
+
 
 // === Initialization ===
 // Inside the initialization:
@@ -60,8 +147,18 @@ fetchGpxTree().then(async tree => {
   const sortedTree = await sortTreeByDate(tree);
   trackCheckboxesDiv.innerHTML = '';
   await createUIFromTree(sortedTree, trackCheckboxesDiv);
+  // Saved local tracks are listed before ?tracks= is applied so shared links to them work.
+  await localTracksRestored;
+  await renderLocalFolder(trackCheckboxesDiv);
+  // Before ?tracks= so the selected tracks are drawn filtered from the start.
+  initFilterBar();
 
   await addBoatMarker(sortedTree);
+  void initLiveMode(sortedTree);
+  initStopsLayer(sortedTree);
+  initPhotoLayer(sortedTree);
+  initCalendarPanel(sortedTree);
+  initSearchBox();
 
   // === Select track from URL if provided ===
   const params = new URLSearchParams(window.location.search);
@@ -85,7 +182,12 @@ if (trackList === 'latest') {
   }
 } else if (trackList) {
   const filenames = trackList.split(',');
-  filenames.forEach(filename => {
+  for (const filename of filenames) {
+    // Passage legs are only listed once their file is expanded.
+    const { path, passageIndex } = parseTrackId(filename);
+    if (passageIndex !== null) {
+      await showPassageItems(path);
+    }
     const selector = `input[type="checkbox"][value="${escapeCSSSelector(filename)}"]`;
     const checkbox = trackCheckboxesDiv.querySelector(selector);
     if (checkbox) {
@@ -94,7 +196,7 @@ if (trackList === 'latest') {
     } else {
       console.warn(`⚠️ Track not found: ${filename}`);
     }
-  });
+  }
 }
   // === Select folders from ?folders= ===
   const folderList = params.get('folders');
@@ -2,15 +2,43 @@
  * map.js
  *
  * This module initializes the Leaflet map and provides functions to add and remove GPX tracks,
- * manage their display, and handle map view fitting and track coloring.
+ * manage their display, and handle map view fitting and track coloring. Tracks are drawn
+ * in one colour per <trk>, or as gradients by a metadata field or derived speed when one
+ * is picked in the "Colour by" control.
+ *
+ * The time-series chart (chart_panel.js) reads the loaded tracks through
+ * getLoadedTrackViews()/onLoadedTracksChange() and drives the map with
+ * showTrackPointAt() and highlightTimeRange(); replay (playback.js) moves boats
+ * with showPlaybackPositions(); live mode (live_mode.js) extends the latest
+ * track with updateLoadedTrack() and moves the boat with updateBoatMarker();
+ * the places Aion stopped (stops_layer.js) are drawn with showPlaceMarkers()
+ * and the gallery photos (photo_layer.js) with showPhotoMarkers().
+ * The filter bar (filter_bar.js) limits every track to a date range and/or an
+ * area drawn with drawFilterArea() through setTrackFilter(); the filtered views
+ * are what the chart, replay and export see.
  */
 
 import { fallbackView, loadedTracks } from './constants.js';
-import { getGpxInfo, findEndPoint, findMostRecentTrack, fetchGpxText } from './fetch_tree.js';
-import { formatDurationDistance } from './ui_helpers.js';
+import { findEndPoint, findMostRecentTrack, parseTrackId, getTrackTitle } from './fetch_tree.js';
+import { loadTrack } from './track_store.js';
+import { getLastPoint } from './gpx_parser.js';
+import { summarizeTracks } from './gpx_stats.js';
+import { formatTrackSummary } from './ui_helpers.js';
+import { normalizeMetadataEntries } from './point_metadata.js';
+import { getBoatCourse, createBoatStatusCard } from './boat_status.js';
+import { filterTracks, pointPassesFilter } from './track_filter.js';
+import {
+    COLOR_SCALES,
+    listColorFields,
+    getSegmentValues,
+    getValueRange,
+    createGradientLayer,
+    getScaleGradientCss
+} from './track_coloring.js';
 
 const map = L.map('map').setView(fallbackView.center, fallbackView.zoom);
 let boatMarker = null;
+let boatTrack = null;
 
 L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
     attribution: 'Map data © OpenStreetMap contributors'
@@ -29,14 +57,14 @@ const COLORS = [
 ];
 let colorIndex = 0;
 
+const TRACK_POLYLINE_OPTIONS = { weight: 3, opacity: 0.8 };
+const WAYPOINT_MARKER_OPTIONS = { radius: 5, weight: 2, color: '#1f2937', fillColor: '#ffffff', fillOpacity: 1 };
+
 const HOVER_DISTANCE_PX = 18;
 const HOVER_GRID_SIZE_PX = 30;
 const COMPACT_METADATA_ROW_LIMIT = 4;
-const METADATA_DESCRIPTOR_KEYS = new Set([
-    'value', 'val', 'reading', 'data', 'amount',
-    'unit', 'units', 'uom', 'type', 'datatype', 'dataType'
-]);
 
+const requestedTracks = new Set();
 const trackPointMetadata = new Map();
 let pointMetadataTooltip = null;
 let pendingHoverEvent = null;
@@ -45,63 +73,268 @@ let lastHoveredPoint = null;
 let metadataDisplayMode = 'compact';
 let metadataModeButton = null;
 
+// Per-file state for "colour by": the rendered view, its flat-coloured <trk>
+// layers and, while a field is selected, the gradient layer shown instead.
+const trackViews = new Map();
+const trackLineLayers = new Map();
+const gradientLayers = new Map();
+const colorSettings = { field: '', scale: 'viridis' };
+let colorControlElements = null;
+
+const loadedTracksListeners = new Set();
+let trackPointMarker = null;
+let timeRangeHighlight = null;
+let activeTimeRange = null;
+const playbackLayers = new Map();
+let placeMarkersLayer = null;
+let photoMarkersLayer = null;
+let trackFilter = null;
+let filterAreaLayer = null;
+
+const FILTER_AREA_STYLE = { color: '#1e3a8a', weight: 2, dashArray: '6 4', fill: true, fillOpacity: 0.05, interactive: false };
+
 createMetadataModeControl();
+createColorByControl();
 
 map.on('mousemove', queueHoverMetadataUpdate);
 map.on('mouseout', hidePointMetadataTooltip);
 map.on('zoomstart', hidePointMetadataTooltip);
 
 async function addTrackToMap(filename) {
-    const gpxLayer = new L.GPX(filename, {
-        async: true,
-        marker_options: { startIconUrl: null, endIconUrl: null }
+    requestedTracks.add(filename);
+
+    const { path, passageIndex } = parseTrackId(filename);
+    let track;
+    try {
+        track = await loadTrack(path);
+    } catch (error) {
+        console.error('Failed to load GPX track', filename, error);
+        return;
+    }
+
+    // The checkbox may have been cleared (or toggled twice) while the file loaded.
+    if (!requestedTracks.has(filename) || loadedTracks[filename]) {
+        return;
+    }
+
+    const view = applyTrackFilter(passageIndex === null ? getFileView(track) : getPassageView(track, passageIndex));
+    if (!view) {
+        console.warn('Passage not found:', filename);
+        return;
+    }
+
+    const gpxLayer = L.featureGroup();
+    const lineLayers = [];
+    view.tracks.forEach((trk, trackIndex) => {
+        const subLayer = createTrackLineLayer(filename, trk, trackIndex);
+        if (!subLayer) {
+            return;
+        }
+
+        addTrackInfoLabel(subLayer, view.info.tracks[trackIndex], getTrkTitle(filename, trk));
+        gpxLayer.addLayer(subLayer);
+        lineLayers.push(subLayer);
     });
 
-    gpxLayer.on('loaded', async () => {
-        const subtracks = gpxLayer.getLayers();
-        if (!subtracks.length) {
-            console.warn('No subtracks found in GPX layer for', filename);
+    view.routes.forEach((rte, routeIndex) => {
+        if (rte.points.length < 2) {
             return;
         }
+        const routeLayer = L.featureGroup([
+            L.polyline(rte.points.map(p => [p.lat, p.lon]), { ...TRACK_POLYLINE_OPTIONS, dashArray: '6 6' })
+        ]);
+        colorTrackByFile(routeLayer, `${filename}::rte${routeIndex}`);
+        gpxLayer.addLayer(routeLayer);
+    });
+
+    if (view.waypoints.length) {
+        gpxLayer.addLayer(L.featureGroup(view.waypoints.map(wpt => {
+            const marker = L.circleMarker([wpt.lat, wpt.lon], WAYPOINT_MARKER_OPTIONS);
+            if (wpt.name || wpt.desc) {
+                marker.bindTooltip(wpt.name || wpt.desc);
+            }
+            return marker;
+        })));
+    }
+
+    if (!gpxLayer.getLayers().length) {
+        console.warn('No subtracks found in GPX layer for', filename);
+        return;
+    }
 
-        let trackInfo = null;
-        try {
-            trackInfo = await getGpxInfo(filename);
-        } catch (error) {
-            console.error('Failed to parse GPX summary for', filename, error);
+    gpxLayer.addTo(map);
+    loadedTracks[filename] = gpxLayer;
+    trackViews.set(filename, view);
+    trackLineLayers.set(filename, lineLayers);
+    fitMapToAllTracks();
+    cacheTrackPointMetadata(filename, view);
+    refreshTrackColoring();
+    notifyLoadedTracksChange();
+}
+
+// One polyline per non-empty segment, tagged with its indices so live updates
+// can extend the right line.
+function createTrackLineLayer(filename, trk, trackIndex) {
+    const polylines = [];
+    trk.segments.forEach((segment, segmentIndex) => {
+        if (segment.points.length) {
+            polylines.push(createSegmentPolyline(segment, segmentIndex));
         }
+    });
+    if (!polylines.length) {
+        return null;
+    }
 
-        for (let i = 0; i < subtracks.length; i++) {
-            const subLayer = subtracks[i];
-            const trackId = `${filename}::trk${i}`;
-            colorTrackByFile(subLayer, trackId);
-
-            const markerPoint = findEndPoint(subLayer);
-            if (markerPoint && trackInfo) {
-                const summary = formatDurationDistance(trackInfo.durationSeconds, trackInfo.distanceMeters);
-                const infoIcon = L.divIcon({
-                    className: 'track-info-label',
-                    html: summary,
-                    iconSize: null
-                });
-
-                const label = L.marker(markerPoint, { icon: infoIcon, interactive: false });
-                label.addTo(map);
-                subLayer._infoLabel = label;
+    const subLayer = L.featureGroup(polylines);
+    subLayer._trackIndex = trackIndex;
+    colorTrackByFile(subLayer, `${filename}::trk${trackIndex}`);
+    return subLayer;
+}
+
+function createSegmentPolyline(segment, segmentIndex) {
+    const polyline = L.polyline(segment.points.map(p => [p.lat, p.lon]), TRACK_POLYLINE_OPTIONS);
+    polyline._segmentIndex = segmentIndex;
+    return polyline;
+}
+
+/**
+ * Live mode: swap a loaded file's data for a newer parse of the same file
+ * (from refreshTrack) and extend its polylines with just the added points.
+ */
+export function updateLoadedTrack(filename, track) {
+    const previousView = trackViews.get(filename);
+    const gpxLayer = loadedTracks[filename];
+    if (!previousView || !gpxLayer) {
+        return;
+    }
+    // New points may fall in or out of the filter anywhere, so draw the file again.
+    if (trackFilter) {
+        removeTrackFromMap(filename);
+        void addTrackToMap(filename);
+        return;
+    }
+
+    const view = getFileView(track);
+    const lineLayers = trackLineLayers.get(filename);
+    view.tracks.forEach((trk, trackIndex) => {
+        let subLayer = lineLayers.find(layer => layer._trackIndex === trackIndex);
+        if (!subLayer) {
+            subLayer = createTrackLineLayer(filename, trk, trackIndex);
+            if (subLayer) {
+                gpxLayer.addLayer(subLayer);
+                lineLayers.push(subLayer);
+                addTrackInfoLabel(subLayer, view.info.tracks[trackIndex], getTrkTitle(filename, trk));
+            }
+            return;
+        }
+
+        const previousSegments = previousView.tracks[trackIndex] ? previousView.tracks[trackIndex].segments : [];
+        trk.segments.forEach((segment, segmentIndex) => {
+            const polyline = subLayer.getLayers().find(layer => layer._segmentIndex === segmentIndex);
+            if (polyline) {
+                const previousCount = previousSegments[segmentIndex] ? previousSegments[segmentIndex].points.length : 0;
+                segment.points.slice(previousCount).forEach(p => polyline.addLatLng([p.lat, p.lon]));
+            } else if (segment.points.length) {
+                subLayer.addLayer(createSegmentPolyline(segment, segmentIndex));
             }
+        });
+        colorTrackByFile(subLayer, `${filename}::trk${trackIndex}`);
 
-            subLayer.addTo(map);
+        if (subLayer._infoLabel) {
+            map.removeLayer(subLayer._infoLabel);
+            subLayer._infoLabel = null;
         }
+        addTrackInfoLabel(subLayer, view.info.tracks[trackIndex], getTrkTitle(filename, trk));
+    });
+
+    trackViews.set(filename, view);
+    cacheTrackPointMetadata(filename, view);
+    refreshTrackColoring();
+    notifyLoadedTracksChange();
+}
+
+function getFileView(track) {
+    return {
+        tracks: track.model.tracks,
+        routes: track.model.routes,
+        waypoints: track.model.waypoints,
+        info: track.info
+    };
+}
+
+// Just the points of one passage, keeping the file's <trk> indices so colours
+// and labels line up with the whole-file view.
+function getPassageView(track, passageIndex) {
+    const passage = track.info.passages[passageIndex];
+    if (!passage) {
+        return null;
+    }
+
+    const tracks = track.model.tracks.map(trk => ({
+        ...trk,
+        segments: trk.segments
+            .map(segment => ({
+                points: segment.points.filter(p => p.time !== null && p.time >= passage.startTime && p.time <= passage.endTime)
+            }))
+            .filter(segment => segment.points.length)
+    }));
+
+    return {
+        tracks,
+        routes: [],
+        waypoints: [],
+        info: summarizeTracks(tracks)
+    };
+}
+
+// The part of a view that passes the track filter, with its stats recomputed.
+function applyTrackFilter(view) {
+    if (!view || !trackFilter) {
+        return view;
+    }
+
+    const tracks = filterTracks(view.tracks, trackFilter);
+    return {
+        tracks,
+        routes: view.routes.map(rte => ({ ...rte, points: rte.points.filter(p => pointPassesFilter(p, trackFilter)) })),
+        waypoints: view.waypoints.filter(wpt => pointPassesFilter(wpt, trackFilter)),
+        info: summarizeTracks(tracks)
+    };
+}
+
+// A <trk>'s own name when it has one, else the file's (see getTrackTitle), plus
+// the leg for a passage.
+function getTrkTitle(filename, trk) {
+    const { path, passageIndex } = parseTrackId(filename);
+    const title = trk.name && !trk.name.startsWith('{') ? trk.name : getTrackTitle(path);
+    return passageIndex === null ? title : `${title} · Leg ${passageIndex + 1}`;
+}
 
-        loadedTracks[filename] = gpxLayer;
-        fitMapToAllTracks();
-        void cacheTrackPointMetadata(filename);
+function addTrackInfoLabel(subLayer, trackSummary, title) {
+    const markerPoint = findEndPoint(subLayer);
+    if (!markerPoint || !trackSummary || trackSummary.pointCount < 2) {
+        return;
+    }
+
+    const content = document.createElement('div');
+    const titleElement = document.createElement('div');
+    titleElement.className = 'track-info-title';
+    titleElement.textContent = title;
+    content.append(titleElement, formatTrackSummary(trackSummary));
+
+    const infoIcon = L.divIcon({
+        className: 'track-info-label',
+        html: content,
+        iconSize: null
     });
 
-    gpxLayer.addTo(map);
+    const label = L.marker(markerPoint, { icon: infoIcon, interactive: false });
+    label.addTo(map);
+    subLayer._infoLabel = label;
 }
 
 function removeTrackFromMap(filename) {
+    requestedTracks.delete(filename);
     const gpxLayer = loadedTracks[filename];
     if (!gpxLayer) {
         console.warn('Track not found in loadedTracks:', filename);
@@ -124,9 +357,18 @@ function removeTrackFromMap(filename) {
         map.removeLayer(gpxLayer);
     }
 
+    if (gradientLayers.has(filename)) {
+        map.removeLayer(gradientLayers.get(filename));
+        gradientLayers.delete(filename);
+    }
+
     delete loadedTracks[filename];
     trackPointMetadata.delete(filename);
+    trackViews.delete(filename);
+    trackLineLayers.delete(filename);
     hidePointMetadataTooltip();
+    refreshTrackColoring();
+    notifyLoadedTracksChange();
     fitMapToAllTracks();
 
     if (Object.keys(loadedTracks).length === 0) {
@@ -149,6 +391,9 @@ function fitMapToAllTracks() {
     let combinedBounds = null;
     layers.forEach(layer => {
         const bounds = layer.getBounds();
+        if (!bounds.isValid()) {
+            return;
+        }
         combinedBounds = combinedBounds ? combinedBounds.extend(bounds) : bounds;
     });
 
@@ -189,269 +434,424 @@ function colorTrackByFile(trackLayer, id) {
     });
 }
 
-async function cacheTrackPointMetadata(filename) {
-    try {
-        const gpxText = await fetchGpxText(filename);
-        if (!loadedTracks[filename]) {
-            return;
-        }
+function notifyLoadedTracksChange() {
+    loadedTracksListeners.forEach(listener => listener());
+}
 
-        const points = parseTrackPointsWithMetadata(gpxText);
-        if (!points.length) {
-            trackPointMetadata.delete(filename);
-            return;
-        }
+export function onLoadedTracksChange(listener) {
+    loadedTracksListeners.add(listener);
+}
 
-        trackPointMetadata.set(filename, {
-            points,
-            indexZoom: null,
-            spatialIndex: null
-        });
-    } catch (error) {
-        console.warn('Unable to cache point metadata for', filename, error);
-        trackPointMetadata.delete(filename);
-    }
+// The tracks currently on the map as { filename, tracks, waypoints, color },
+// where tracks are model tracks (only the passage's points for a passage leg).
+export function getLoadedTrackViews() {
+    return [...trackViews.entries()].map(([filename, view]) => ({
+        filename,
+        tracks: view.tracks,
+        waypoints: view.waypoints,
+        color: getTrackColor(filename)
+    }));
 }
 
-function parseTrackPointsWithMetadata(gpxText) {
-    const parser = new DOMParser();
-    const xml = parser.parseFromString(gpxText, 'application/xml');
+// The time range currently highlighted on the map ({ start, end } in epoch ms),
+// else the date range of the track filter, or null.
+export function getActiveTimeRange() {
+    if (activeTimeRange || !trackFilter || (trackFilter.start === null && trackFilter.end === null)) {
+        return activeTimeRange;
+    }
 
-    if (xml.querySelector('parsererror')) {
-        return [];
+    // An open-ended filter ends where the filtered tracks do; without timed
+    // tracks there is no such end.
+    const timed = [...trackViews.values()].map(view => view.info).filter(info => info.startTime !== null);
+    if (!timed.length) {
+        return null;
     }
+    return {
+        start: trackFilter.start ?? Math.min(...timed.map(info => info.startTime)),
+        end: trackFilter.end ?? Math.max(...timed.map(info => info.endTime))
+    };
+}
 
-    const trkpts = xml.querySelectorAll('trkpt');
-    const points = [];
+export function getTrackFilter() {
+    return trackFilter;
+}
 
-    trkpts.forEach(trkpt => {
-        const lat = Number.parseFloat(trkpt.getAttribute('lat'));
-        const lon = Number.parseFloat(trkpt.getAttribute('lon'));
-        if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-            return;
-        }
+// Redraws every selected track with only the points passing the filter (see
+// track_filter.js) and outlines its area; null shows the whole tracks again.
+export async function setTrackFilter(filter) {
+    trackFilter = filter;
 
-        const metadata = extractMetadataObject(trkpt);
-        if (!metadata) {
-            return;
-        }
+    if (filterAreaLayer) {
+        map.removeLayer(filterAreaLayer);
+        filterAreaLayer = null;
+    }
+    if (filter && filter.area) {
+        filterAreaLayer = filter.area.type === 'bbox'
+            ? L.rectangle([[filter.area.south, filter.area.west], [filter.area.north, filter.area.east]], FILTER_AREA_STYLE)
+            : L.polygon(filter.area.points, FILTER_AREA_STYLE);
+        filterAreaLayer.addTo(map);
+    }
 
-        const metadataEntries = normalizeMetadataEntries(metadata);
-        if (!metadataEntries.length) {
-            return;
+    const filenames = [...requestedTracks];
+    filenames.forEach(filename => {
+        if (loadedTracks[filename]) {
+            removeTrackFromMap(filename);
         }
+    });
+    await Promise.all(filenames.map(filename => addTrackToMap(filename)));
+}
 
-        const elevationRaw = getChildText(trkpt, 'ele');
-        const elevation = Number.parseFloat(elevationRaw);
+/**
+ * Lets the visitor draw the filter area on the map: shape 'bbox' is a rectangle
+ * dragged out with the mouse, 'polygon' is drawn by clicking its corners and
+ * double-clicking (or clicking the first corner) to finish. Resolves to the
+ * area in track_filter.js form, or null when cancelled with Escape.
+ */
+export function drawFilterArea(shape) {
+    return new Promise(resolve => {
+        const container = map.getContainer();
+        const corners = [];
+        let dragStart = null;
+        let preview = null;
+
+        const updatePreview = latlngs => {
+            if (preview) {
+                map.removeLayer(preview);
+            }
+            preview = shape === 'bbox'
+                ? L.rectangle(latlngs, FILTER_AREA_STYLE)
+                : L.polygon(latlngs, FILTER_AREA_STYLE);
+            preview.addTo(map);
+        };
+
+        const finish = area => {
+            map.off('mousedown', onMouseDown);
+            map.off('mousemove', onMouseMove);
+            map.off('mouseup', onMouseUp);
+            map.off('click', onClick);
+            map.off('dblclick', onDoubleClick);
+            document.removeEventListener('keydown', onKeyDown);
+            if (preview) {
+                map.removeLayer(preview);
+            }
+            container.classList.remove('drawing-area');
+            map.dragging.enable();
+            map.doubleClickZoom.enable();
+            resolve(area);
+        };
+
+        const finishPolygon = () => {
+            if (corners.length >= 3) {
+                finish({ type: 'polygon', points: corners.map(latlng => [latlng.lat, latlng.lng]) });
+            }
+        };
 
-        points.push({
-            latlng: L.latLng(lat, lon),
-            time: getChildText(trkpt, 'time'),
-            elevation: Number.isFinite(elevation) ? elevation : null,
-            metadataEntries
-        });
+        const onMouseDown = e => {
+            if (shape === 'bbox') {
+                dragStart = e.latlng;
+                updatePreview([dragStart, dragStart]);
+            }
+        };
+        const onMouseMove = e => {
+            if (shape === 'bbox' && dragStart) {
+                updatePreview([dragStart, e.latlng]);
+            } else if (shape === 'polygon' && corners.length) {
+                updatePreview([...corners, e.latlng]);
+            }
+        };
+        const onMouseUp = e => {
+            if (shape !== 'bbox' || !dragStart) {
+                return;
+            }
+            const bounds = L.latLngBounds(dragStart, e.latlng);
+            dragStart = null;
+            if (bounds.getNorth() === bounds.getSouth() || bounds.getEast() === bounds.getWest()) {
+                return;
+            }
+            finish({ type: 'bbox', south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() });
+        };
+        const onClick = e => {
+            if (shape !== 'polygon') {
+                return;
+            }
+            const first = corners[0];
+            if (corners.length >= 3 && map.latLngToContainerPoint(first).distanceTo(e.containerPoint) < HOVER_DISTANCE_PX) {
+                finishPolygon();
+                return;
+            }
+            // The clicks of a finishing double-click land on the last corner.
+            const last = corners.at(-1);
+            if (last && map.latLngToContainerPoint(last).distanceTo(e.containerPoint) < 3) {
+                return;
+            }
+            corners.push(e.latlng);
+            updatePreview(corners);
+        };
+        const onDoubleClick = () => {
+            if (shape === 'polygon') {
+                finishPolygon();
+            }
+        };
+        const onKeyDown = e => {
+            if (e.key === 'Escape') {
+                finish(null);
+            }
+        };
+
+        container.classList.add('drawing-area');
+        map.dragging.disable();
+        map.doubleClickZoom.disable();
+        map.on('mousedown', onMouseDown);
+        map.on('mousemove', onMouseMove);
+        map.on('mouseup', onMouseUp);
+        map.on('click', onClick);
+        map.on('dblclick', onDoubleClick);
+        document.addEventListener('keydown', onKeyDown);
     });
-
-    return points;
 }
 
-function getChildText(parent, childName) {
-    for (const child of parent.children) {
-        const nodeName = (child.localName || child.tagName || '').toLowerCase();
-        if (nodeName === childName) {
-            return (child.textContent || '').trim();
-        }
-    }
-    return '';
+function getTrackColor(filename) {
+    const key = Object.keys(fileColorMap).find(id => id.startsWith(`${filename}::trk`));
+    return key ? fileColorMap[key] : COLORS[0];
 }
 
-function extractMetadataObject(trackPointNode) {
-    const candidates = [];
-
-    for (const child of trackPointNode.children) {
-        const nodeName = (child.localName || child.tagName || '').toLowerCase();
-        const text = (child.textContent || '').trim();
-        if (!text) {
-            continue;
-        }
-
-        if (nodeName === 'desc' || nodeName === 'cmt') {
-            candidates.push(text);
-        } else if (nodeName === 'extensions') {
-            collectJsonCandidates(child, candidates);
+// Marks a model point on the map and shows its metadata tooltip; null hides both.
+export function showTrackPointAt(point) {
+    if (!point) {
+        if (trackPointMarker) {
+            map.removeLayer(trackPointMarker);
         }
+        hidePointMetadataTooltip();
+        return;
     }
 
-    for (const candidate of candidates) {
-        const parsed = tryParseMetadataJson(candidate);
-        if (parsed && typeof parsed === 'object') {
-            return parsed;
-        }
+    const latlng = L.latLng(point.lat, point.lon);
+    if (!trackPointMarker) {
+        trackPointMarker = L.circleMarker(latlng, {
+            radius: 7,
+            weight: 3,
+            color: '#ffffff',
+            fillColor: '#dc2626',
+            fillOpacity: 1,
+            interactive: false
+        });
     }
+    trackPointMarker.setLatLng(latlng).addTo(map);
 
-    return null;
+    showPointMetadataTooltip({
+        latlng,
+        time: point.time,
+        elevation: point.ele,
+        metadataEntries: point.meta ? normalizeMetadataEntries(point.meta) : []
+    });
 }
 
-function collectJsonCandidates(rootNode, targetList) {
-    for (const node of rootNode.querySelectorAll('*')) {
-        const text = (node.textContent || '').trim();
-        if (!text || (!looksLikeJson(text) && !text.includes('{') && !text.includes('['))) {
-            continue;
-        }
-        targetList.push(text);
+// Outlines the parts of the loaded tracks within { start, end } (epoch ms)
+// and fits the map to them; null removes the highlight.
+export function highlightTimeRange(range) {
+    if (timeRangeHighlight) {
+        map.removeLayer(timeRangeHighlight);
+        timeRangeHighlight = null;
     }
-}
-
-function looksLikeJson(value) {
-    const text = value.trim();
-    return text.startsWith('{') || text.startsWith('[');
-}
-
-function tryParseMetadataJson(value) {
-    const text = value.trim();
-    if (!text) {
-        return null;
+    activeTimeRange = range;
+    if (!range) {
+        return;
     }
 
-    if (looksLikeJson(text)) {
-        try {
-            return JSON.parse(text);
-        } catch (_) {
-            // continue to fallback parsing
+    const runs = [];
+    trackViews.forEach(view => view.tracks.forEach(trk => trk.segments.forEach(segment => {
+        let run = [];
+        segment.points.forEach(point => {
+            if (point.time !== null && point.time >= range.start && point.time <= range.end) {
+                run.push([point.lat, point.lon]);
+            } else if (run.length) {
+                runs.push(run);
+                run = [];
+            }
+        });
+        if (run.length) {
+            runs.push(run);
         }
-    }
+    })));
 
-    const objectStart = text.indexOf('{');
-    const objectEnd = text.lastIndexOf('}');
-    if (objectStart >= 0 && objectEnd > objectStart) {
-        try {
-            return JSON.parse(text.slice(objectStart, objectEnd + 1));
-        } catch (_) {
-            // ignore
-        }
+    if (!runs.length) {
+        return;
     }
 
-    const arrayStart = text.indexOf('[');
-    const arrayEnd = text.lastIndexOf(']');
-    if (arrayStart >= 0 && arrayEnd > arrayStart) {
-        try {
-            return JSON.parse(text.slice(arrayStart, arrayEnd + 1));
-        } catch (_) {
-            // ignore
-        }
-    }
+    timeRangeHighlight = L.featureGroup([
+        L.polyline(runs, { color: '#ffffff', weight: 9, opacity: 0.9, interactive: false }),
+        L.polyline(runs, { color: '#f59e0b', weight: 5, opacity: 1, interactive: false })
+    ]).addTo(map);
 
-    return null;
+    map.fitBounds(timeRangeHighlight.getBounds(), { padding: [40, 40], maxZoom: 15 });
 }
 
-function normalizeMetadataEntries(metadata) {
-    const entries = [];
+function createColorByControl() {
+    const ColorByControl = L.Control.extend({
+        options: { position: 'topright' },
+        onAdd: () => {
+            const container = L.DomUtil.create('div', 'leaflet-bar track-color-control');
 
-    if (Array.isArray(metadata)) {
-        metadata.forEach((value, index) => {
-            appendMetadataEntries(entries, `entry_${index + 1}`, value);
-        });
-        return entries;
-    }
+            const fieldSelect = L.DomUtil.create('select', 'track-color-field', container);
+            fieldSelect.title = 'Colour tracks by';
 
-    if (metadata && typeof metadata === 'object') {
-        Object.entries(metadata).forEach(([key, value]) => {
-            appendMetadataEntries(entries, key, value);
-        });
-        return entries;
-    }
+            const scaleSelect = L.DomUtil.create('select', 'track-color-scale', container);
+            scaleSelect.title = 'Colour scale';
+            Object.entries(COLOR_SCALES).forEach(([name, scale]) => {
+                scaleSelect.add(new Option(scale.label, name, false, name === colorSettings.scale));
+            });
+
+            const legend = L.DomUtil.create('div', 'track-color-legend', container);
+            const bar = L.DomUtil.create('div', 'track-color-legend-bar', legend);
+            const labels = L.DomUtil.create('div', 'track-color-legend-labels', legend);
+            const minLabel = L.DomUtil.create('span', '', labels);
+            const maxLabel = L.DomUtil.create('span', '', labels);
+
+            colorControlElements = { fieldSelect, scaleSelect, legend, bar, minLabel, maxLabel };
+            updateColorFieldOptions([]);
+
+            L.DomEvent.disableClickPropagation(container);
+            L.DomEvent.disableScrollPropagation(container);
+            L.DomEvent.on(fieldSelect, 'change', () => {
+                colorSettings.field = fieldSelect.value;
+                refreshTrackColoring();
+            });
+            L.DomEvent.on(scaleSelect, 'change', () => {
+                colorSettings.scale = scaleSelect.value;
+                refreshTrackColoring();
+            });
+
+            return container;
+        }
+    });
 
-    appendNormalizedMetadata(entries, 'value', metadata, '', inferValueType(metadata));
-    return entries;
+    map.addControl(new ColorByControl());
 }
 
-function appendMetadataEntries(entries, keyPath, value) {
-    if (value === undefined || value === null) {
+function updateColorFieldOptions(fields) {
+    if (!colorControlElements) {
         return;
     }
 
-    if (Array.isArray(value)) {
-        value.forEach((item, index) => {
-            appendMetadataEntries(entries, `${keyPath}[${index + 1}]`, item);
+    const { fieldSelect } = colorControlElements;
+    fieldSelect.innerHTML = '';
+    fieldSelect.add(new Option('Colour by: track', ''));
+    fields.forEach(field => {
+        const unit = field.unit ? ` (${field.unit})` : '';
+        fieldSelect.add(new Option(`Colour by: ${field.label}${unit}`, field.key));
+    });
+    fieldSelect.value = colorSettings.field;
+    fieldSelect.disabled = fields.length === 0;
+}
+
+// Re-applies the current "colour by" setting to every loaded track. The range
+// is shared by all loaded tracks so the same colour means the same value.
+function refreshTrackColoring() {
+    const fieldsByKey = new Map();
+    trackViews.forEach(view => {
+        if (!view.colorFields) {
+            view.colorFields = listColorFields(view.tracks);
+        }
+        view.colorFields.forEach(field => {
+            if (!fieldsByKey.has(field.key)) {
+                fieldsByKey.set(field.key, field);
+            }
         });
-        return;
+    });
+
+    const field = fieldsByKey.get(colorSettings.field) || null;
+    if (!field) {
+        colorSettings.field = '';
     }
+    updateColorFieldOptions([...fieldsByKey.values()]);
 
-    if (typeof value === 'object') {
-        const metricValue = firstDefined(value.value, value.val, value.reading, value.data, value.amount);
-        const metricUnit = firstDefined(value.unit, value.units, value.uom);
-        const metricType = firstDefined(value.type, value.dataType, value.datatype);
+    gradientLayers.forEach(layer => map.removeLayer(layer));
+    gradientLayers.clear();
 
-        if (metricValue !== undefined || metricUnit !== undefined || metricType !== undefined) {
-            appendNormalizedMetadata(
-                entries,
-                keyPath,
-                metricValue !== undefined ? metricValue : '-',
-                metricUnit || '',
-                metricType || (metricValue !== undefined ? inferValueType(metricValue) : '')
-            );
+    const valuesByFile = new Map();
+    if (field) {
+        trackViews.forEach((view, filename) => {
+            if (!view.colorValues) {
+                view.colorValues = new Map();
+            }
+            if (!view.colorValues.has(field.key)) {
+                view.colorValues.set(field.key, getSegmentValues(view.tracks, field.key));
+            }
+            valuesByFile.set(filename, view.colorValues.get(field.key));
+        });
+    }
 
-            Object.entries(value).forEach(([nestedKey, nestedValue]) => {
-                if (!METADATA_DESCRIPTOR_KEYS.has(nestedKey)) {
-                    appendMetadataEntries(entries, `${keyPath}.${nestedKey}`, nestedValue);
-                }
-            });
+    const range = field ? getValueRange([...valuesByFile.values()].flat()) : null;
+
+    trackLineLayers.forEach((lineLayers, filename) => {
+        if (!field) {
+            lineLayers.forEach(layer => map.addLayer(layer));
             return;
         }
 
-        Object.entries(value).forEach(([nestedKey, nestedValue]) => {
-            appendMetadataEntries(entries, `${keyPath}.${nestedKey}`, nestedValue);
-        });
+        lineLayers.forEach(layer => map.removeLayer(layer));
+        const gradientLayer = createGradientLayer(trackViews.get(filename).tracks, valuesByFile.get(filename), range, colorSettings.scale);
+        gradientLayer.addTo(map);
+        gradientLayers.set(filename, gradientLayer);
+    });
+
+    updateColorLegend(field, range);
+}
+
+function updateColorLegend(field, range) {
+    if (!colorControlElements) {
+        return;
+    }
+
+    const { legend, bar, minLabel, maxLabel } = colorControlElements;
+    legend.style.display = field ? '' : 'none';
+    if (!field) {
         return;
     }
 
-    appendNormalizedMetadata(entries, keyPath, value, '', inferValueType(value));
+    const unit = field.unit ? ` ${field.unit}` : '';
+    bar.style.background = getScaleGradientCss(colorSettings.scale);
+    minLabel.textContent = range ? `${formatMetadataValue(range.min)}${unit}` : 'no data';
+    maxLabel.textContent = range ? `${formatMetadataValue(range.max)}${unit}` : '';
 }
 
-function appendNormalizedMetadata(entries, label, value, unit, type) {
-    if (value === undefined || value === null) {
+function cacheTrackPointMetadata(filename, view) {
+    const points = collectTrackPointsWithMetadata(filename, view.tracks);
+    if (!points.length) {
+        trackPointMetadata.delete(filename);
         return;
     }
 
-    entries.push({
-        label: prettyLabel(label),
-        value,
-        unit,
-        type
+    trackPointMetadata.set(filename, {
+        points,
+        indexZoom: null,
+        spatialIndex: null
     });
 }
 
-function prettyLabel(label) {
-    const cleaned = label
-        .replace(/\[(\d+)\]/g, ' $1')
-        .split('.')
-        .map(part => part
-            .replace(/[_-]+/g, ' ')
-            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
-            .trim())
-        .filter(Boolean)
-        .map(part => part.charAt(0).toUpperCase() + part.slice(1));
-
-    return cleaned.join(' / ');
-}
+function collectTrackPointsWithMetadata(filename, tracks) {
+    const points = [];
 
-function inferValueType(value) {
-    if (value === null) {
-        return 'null';
-    }
-    if (Array.isArray(value)) {
-        return 'array';
-    }
-    return typeof value;
-}
+    tracks.forEach(trk => trk.segments.forEach(segment => segment.points.forEach(point => {
+        if (!point.meta) {
+            return;
+        }
 
-function firstDefined(...values) {
-    for (const value of values) {
-        if (value !== undefined && value !== null && value !== '') {
-            return value;
+        const metadataEntries = normalizeMetadataEntries(point.meta);
+        if (!metadataEntries.length) {
+            return;
         }
-    }
-    return undefined;
+
+        points.push({
+            latlng: L.latLng(point.lat, point.lon),
+            time: point.time,
+            elevation: point.ele,
+            trackTitle: getTrkTitle(filename, trk),
+            metadataEntries
+        });
+    })));
+
+    return points;
 }
 
 function queueHoverMetadataUpdate(event) {
@@ -588,6 +988,13 @@ function buildPointMetadataContent(point) {
     title.textContent = formatPointTime(point.time) || 'Point Details';
     container.appendChild(title);
 
+    if (point.trackTitle) {
+        const trackTitle = document.createElement('div');
+        trackTitle.className = 'point-metadata-subtitle';
+        trackTitle.textContent = point.trackTitle;
+        container.appendChild(trackTitle);
+    }
+
     const mode = document.createElement('div');
     mode.className = 'point-metadata-mode';
     mode.textContent = metadataDisplayMode === 'compact' ? 'Mode: Compact' : 'Mode: Expanded';
@@ -722,45 +1129,181 @@ export async function addBoatMarker(tree) {
         return;
     }
 
-    const gpxText = await fetchGpxText(mostRecent);
-    if (!gpxText) {
-        console.warn(`Failed to fetch GPX text for ${mostRecent}`);
+    let track;
+    try {
+        track = await loadTrack(mostRecent);
+    } catch (error) {
+        console.warn(`Failed to load GPX track ${mostRecent}`, error);
         return;
     }
 
-    const parser = new DOMParser();
-    const xml = parser.parseFromString(gpxText, 'application/xml');
-    const trkpts = xml.querySelectorAll('trkpt');
-    if (trkpts.length === 0) {
+    placeBoatMarker(track);
+}
+
+/**
+ * Move the boat to the last point of a (refreshed) track, pointing along its
+ * course. With follow set the map pans to keep the boat centred.
+ */
+export function updateBoatMarker(track, { follow = false } = {}) {
+    const lastPt = placeBoatMarker(track);
+    if (lastPt && follow) {
+        map.panTo([lastPt.lat, lastPt.lon]);
+    }
+}
+
+function placeBoatMarker(track) {
+    const lastPt = getLastPoint(track.model);
+    if (!lastPt) {
         console.warn('No <trkpt> elements found in GPX. Cannot place boat marker.');
-        return;
+        return null;
     }
 
-    const lastPt = trkpts[trkpts.length - 1];
-    const lat = parseFloat(lastPt.getAttribute('lat'));
-    const lon = parseFloat(lastPt.getAttribute('lon'));
-    if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-        return;
+    const { lat, lon } = lastPt;
+    const icon = createBoatIcon('crimson', getBoatCourse(track.model));
+    boatTrack = track;
+
+    if (boatMarker) {
+        boatMarker.setLatLng([lat, lon]).setIcon(icon);
+        if (boatMarker.isPopupOpen()) {
+            boatMarker.setPopupContent(createBoatStatusCard(boatTrack));
+        }
+    } else {
+        boatMarker = L.marker([lat, lon], {
+            icon,
+            title: 'SV Aion – click for status'
+        });
+        boatMarker.bindPopup(() => createBoatStatusCard(boatTrack), { className: 'boat-status-popup', minWidth: 220 });
+        boatMarker.setZIndexOffset(1000);
     }
+    // Replay hides the live boat until it is closed.
+    if (!playbackLayers.size && !map.hasLayer(boatMarker)) {
+        boatMarker.addTo(map);
+    }
+
+    fallbackView.center = [lat, lon];
+    return lastPt;
+}
 
-    const boatIcon = L.divIcon({
+// With a course (COG or heading, see boat_status.js) the boat is drawn from
+// above and turned to point along it, centred on its position; without one it
+// is the upright sailing glyph.
+function createBoatIcon(color = 'crimson', course = null) {
+    const style = `font-size:45px; color:${color};`;
+    if (course === null) {
+        return L.divIcon({
+            className: 'material-boat-icon',
+            html: `<span class="material-symbols-outlined" style="${style}">sailing</span>`,
+            iconSize: [45, 45],
+            iconAnchor: [16, 16]
+        });
+    }
+    return L.divIcon({
         className: 'material-boat-icon',
-        html: '<span class="material-symbols-outlined" style="font-size:45px; color:crimson;">sailing</span>',
+        html: `<span class="material-symbols-outlined boat-course-glyph" style="${style} transform: rotate(${Math.round(course)}deg);">navigation</span>`,
         iconSize: [45, 45],
-        iconAnchor: [16, 16]
+        iconAnchor: [22, 22]
     });
+}
 
-    if (boatMarker) {
+// Replay: one boat per track at [{ filename, lat, lon, color, wake }] (wake is a
+// list of [lat, lon]). The live boat marker is hidden until this is called with null.
+export function showPlaybackPositions(positions) {
+    if (!positions) {
+        playbackLayers.forEach(({ marker, wake }) => {
+            map.removeLayer(marker);
+            map.removeLayer(wake);
+        });
+        playbackLayers.clear();
+        if (boatMarker && !map.hasLayer(boatMarker)) {
+            boatMarker.addTo(map);
+        }
+        return;
+    }
+
+    if (boatMarker && map.hasLayer(boatMarker)) {
         map.removeLayer(boatMarker);
     }
 
-    boatMarker = L.marker([lat, lon], {
-        icon: boatIcon,
-        interactive: false
-    }).addTo(map);
+    const shown = new Set();
+    positions.forEach(({ filename, lat, lon, color, wake }) => {
+        shown.add(filename);
+        if (!playbackLayers.has(filename)) {
+            playbackLayers.set(filename, {
+                wake: L.polyline([], { color: '#ffffff', weight: 6, opacity: 0.85, interactive: false }).addTo(map),
+                marker: L.marker([lat, lon], { icon: createBoatIcon(color), interactive: false, zIndexOffset: 1000 }).addTo(map)
+            });
+        }
+        const layers = playbackLayers.get(filename);
+        layers.marker.setLatLng([lat, lon]);
+        layers.wake.setLatLngs(wake);
+    });
 
-    fallbackView.center = [lat, lon];
-    boatMarker.setZIndexOffset(1000);
+    playbackLayers.forEach(({ marker, wake }, filename) => {
+        if (!shown.has(filename)) {
+            map.removeLayer(marker);
+            map.removeLayer(wake);
+            playbackLayers.delete(filename);
+        }
+    });
+}
+
+// Anchor/dock markers for [{ lat, lon, state, title, popup }] (popup is an
+// element or a function returning one); null removes them.
+export function showPlaceMarkers(places) {
+    if (placeMarkersLayer) {
+        map.removeLayer(placeMarkersLayer);
+        placeMarkersLayer = null;
+    }
+    if (!places) {
+        return;
+    }
+
+    placeMarkersLayer = L.layerGroup(places.map(({ lat, lon, state, title, popup }) => L.marker([lat, lon], {
+        icon: L.divIcon({
+            className: `place-marker place-marker-${state}`,
+            html: `<span class="material-symbols-outlined">${state === 'docked' ? 'directions_boat' : 'anchor'}</span>`,
+            iconSize: [26, 26],
+            iconAnchor: [13, 13]
+        }),
+        title,
+        zIndexOffset: 500
+    }).bindPopup(popup, { className: 'place-popup', minWidth: 200 }))).addTo(map);
+}
+
+// Thumbnail markers of gallery photos; estimated positions get a dashed frame.
+// Centres the map on photos[focusIndex] when given.
+export function showPhotoMarkers(photos, focusIndex = -1) {
+    if (photoMarkersLayer) {
+        map.removeLayer(photoMarkersLayer);
+        photoMarkersLayer = null;
+    }
+    if (!photos) {
+        return;
+    }
+
+    const markers = photos.map(({ lat, lon, thumbnailUrl, title, estimated, onClick }) => {
+        const image = document.createElement('img');
+        image.src = thumbnailUrl;
+        image.alt = title;
+        image.loading = 'lazy';
+        return L.marker([lat, lon], {
+            icon: L.divIcon({
+                className: `photo-marker${estimated ? ' photo-marker-estimated' : ''}`,
+                html: image,
+                iconSize: [44, 44],
+                iconAnchor: [22, 22]
+            }),
+            title,
+            zIndexOffset: 600
+        }).on('click', onClick);
+    });
+    photoMarkersLayer = L.layerGroup(markers).addTo(map);
+
+    const focusMarker = markers[focusIndex];
+    if (focusMarker) {
+        map.setView(focusMarker.getLatLng(), Math.max(map.getZoom(), 14));
+        focusMarker.getElement().classList.add('photo-marker-focused');
+    }
 }
 
 export { addTrackToMap, removeTrackFromMap };
@@ -0,0 +1,302 @@
+/**
+ * nmea_parser.js
+ *
+ * Parses raw NMEA 0183 logs (.nmea/.log, one sentence per line, optionally
+ * prefixed by a logger timestamp) into the same track model that gpx_parser.js
+ * produces, so instrument logs can be shown without converting them to GPX.
+ *
+ * Position fixes come from RMC (position, date, SOG, COG, variation) and GGA
+ * (position, altitude); an RMC and a GGA with the same UTC time are merged into
+ * one point. Instrument sentences have no time of their own, so each reading
+ * is attached to the most recent fix:
+ *   - VTG: course and speed over ground
+ *   - MWV: apparent or true wind angle and speed (converted to knots)
+ *   - DPT: depth below the transducer
+ *   - HDG: magnetic heading, plus true heading when the variation is known
+ * Point metadata uses the same { value, units, type } objects the boat logger
+ * writes into GPX <desc>, so normalizeMetadataEntries renders it unchanged.
+ *
+ * Damaged logs are handled gracefully: sentences with a bad checksum or
+ * unreadable fields are skipped (and counted in parseStats, for the caller to
+ * report, and in metadata.desc), void fixes are ignored, and a gap of more
+ * than MAX_FIX_GAP_MS between fixes (or time going backwards) starts a new
+ * track segment. GGA fixes before the first RMC have no date and are dropped.
+ *
+ * Exports:
+ *   - parseNmeaModel(nmeaText): Returns the track model for an NMEA log, with
+ *     parseStats: { sentences, checksumErrors, unreadable, undated, gaps }.
+ */
+
+const SENTENCE_PATTERN = /\$([A-Z]{2})([A-Z]{3}),([^*\r\n]*)(?:\*([0-9A-Fa-f]{2}))?/;
+
+// A longer silence than this between fixes is drawn as a break in the track.
+const MAX_FIX_GAP_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WIND_SPEED_TO_KNOTS = {
+    N: 1,
+    K: 1 / 1.852,
+    M: 3600 / 1852,
+    S: 0.868976
+};
+
+const SENTENCE_PARSERS = {
+    RMC: parseRmc,
+    GGA: parseGga,
+    VTG: parseVtg,
+    MWV: parseMwv,
+    DPT: parseDpt,
+    HDG: parseHdg
+};
+
+export function parseNmeaModel(nmeaText) {
+    const state = {
+        date: null,
+        variation: null,
+        segments: [],
+        segment: null,
+        current: null,
+        lastTime: null,
+        pendingMeta: {},
+        stats: { sentences: 0, checksumErrors: 0, unreadable: 0, undated: 0, gaps: 0 }
+    };
+
+    nmeaText.split(/\r?\n/).forEach(line => {
+        const match = line.match(SENTENCE_PATTERN);
+        if (!match) {
+            return;
+        }
+        const [sentence, , type, body, checksum] = match;
+        state.stats.sentences += 1;
+        if (checksum && !isChecksumValid(sentence.slice(1, sentence.indexOf('*')), checksum)) {
+            state.stats.checksumErrors += 1;
+            return;
+        }
+        const parser = SENTENCE_PARSERS[type];
+        if (!parser) {
+            return;
+        }
+        try {
+            parser(body.split(','), state);
+        } catch (error) {
+            state.stats.unreadable += 1;
+        }
+    });
+
+    const segments = state.segments
+        .filter(points => points.length)
+        .map(points => ({ points: points.map(toModelPoint) }));
+    const pointCount = segments.reduce((sum, segment) => sum + segment.points.length, 0);
+
+    const { checksumErrors, unreadable, undated, gaps } = state.stats;
+    return {
+        metadata: {
+            name: '',
+            desc: `${pointCount} fixes from ${state.stats.sentences} NMEA sentences`
+                + (checksumErrors ? `, ${checksumErrors} bad checksums` : '')
+                + (unreadable ? `, ${unreadable} unreadable` : '')
+                + (undated ? `, ${undated} undated fixes dropped` : '')
+                + (gaps ? `, ${gaps} gaps` : ''),
+            time: segments.length ? segments[0].points[0].time : null,
+            creator: 'NMEA 0183',
+            author: '',
+            link: null
+        },
+        tracks: segments.length ? [{ name: '', desc: '', type: '', segments }] : [],
+        routes: [],
+        waypoints: [],
+        parseStats: state.stats
+    };
+}
+
+function isChecksumValid(payload, checksum) {
+    let sum = 0;
+    for (let i = 0; i < payload.length; i++) {
+        sum ^= payload.charCodeAt(i);
+    }
+    return sum === Number.parseInt(checksum, 16);
+}
+
+// $--RMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,sog,cog,ddmmyy,variation,E/W,...
+function parseRmc(fields, state) {
+    const [time, status, lat, latHemisphere, lon, lonHemisphere, sog, cog, date, variation, variationDirection] = fields;
+    if (date && /^\d{6}$/.test(date)) {
+        state.date = {
+            day: Number(date.slice(0, 2)),
+            month: Number(date.slice(2, 4)),
+            year: 2000 + Number(date.slice(4, 6))
+        };
+    }
+    const magneticVariation = parseSigned(variation, variationDirection, 'W');
+    if (magneticVariation !== null) {
+        state.variation = magneticVariation;
+    }
+    if (status !== 'A') {
+        return;
+    }
+    const point = getFixPoint(state, time, parseCoordinate(lat, latHemisphere), parseCoordinate(lon, lonHemisphere));
+    if (point) {
+        setMetric(point.meta, 'speed_over_ground', sog, 'kts', 'speed');
+        setMetric(point.meta, 'course_over_ground', cog, 'deg', 'angle');
+    }
+}
+
+// $--GGA,hhmmss.ss,llll.ll,a,yyyyy.yy,a,quality,satellites,hdop,altitude,M,...
+function parseGga(fields, state) {
+    const [time, lat, latHemisphere, lon, lonHemisphere, quality, , , altitude] = fields;
+    if (!quality || quality === '0') {
+        return;
+    }
+    const point = getFixPoint(state, time, parseCoordinate(lat, latHemisphere), parseCoordinate(lon, lonHemisphere));
+    if (point && altitude !== '' && Number.isFinite(Number(altitude))) {
+        point.ele = Number(altitude);
+    }
+}
+
+// $--VTG,cogTrue,T,cogMagnetic,M,sogKnots,N,sogKmh,K[,mode]
+function parseVtg(fields, state) {
+    const [cogTrue, , , , sogKnots, , sogKmh, , mode] = fields;
+    if (mode === 'N') {
+        return;
+    }
+    const meta = getReadingMeta(state);
+    setMetric(meta, 'course_over_ground', cogTrue, 'deg', 'angle');
+    if (sogKnots !== undefined && sogKnots !== '') {
+        setMetric(meta, 'speed_over_ground', sogKnots, 'kts', 'speed');
+    } else if (sogKmh) {
+        setMetric(meta, 'speed_over_ground', String(Number(sogKmh) / 1.852), 'kts', 'speed');
+    }
+}
+
+// $--MWV,angle,R|T,speed,K|M|N|S,A|V  (R = apparent/relative, T = true)
+function parseMwv(fields, state) {
+    const [angle, reference, speed, unit, status] = fields;
+    if (status !== 'A') {
+        return;
+    }
+    const kind = reference === 'T' ? 'true' : 'apparent';
+    const meta = getReadingMeta(state);
+    setMetric(meta, `wind_angle_${kind}`, angle, 'deg', 'angle');
+    const factor = WIND_SPEED_TO_KNOTS[unit];
+    if (factor && speed !== '') {
+        setMetric(meta, `wind_speed_${kind}`, String(Number(speed) * factor), 'kts', 'speed');
+    }
+}
+
+// $--DPT,depthBelowTransducerMetres,offsetMetres[,maxRange]
+function parseDpt(fields, state) {
+    const [depth] = fields;
+    setMetric(getReadingMeta(state), 'depth', depth, 'm', 'distance');
+}
+
+// $--HDG,magneticSensorHeading,deviation,E/W,variation,E/W
+function parseHdg(fields, state) {
+    const [heading, deviation, deviationDirection, variation, variationDirection] = fields;
+    if (heading === '' || !Number.isFinite(Number(heading))) {
+        return;
+    }
+    const meta = getReadingMeta(state);
+    const magnetic = Number(heading) + (parseSigned(deviation, deviationDirection, 'W') || 0);
+    setMetric(meta, 'magnetic_heading', String(normalizeAngle(magnetic)), 'deg', 'angle');
+
+    const sentenceVariation = parseSigned(variation, variationDirection, 'W');
+    const magneticVariation = sentenceVariation !== null ? sentenceVariation : state.variation;
+    if (magneticVariation !== null) {
+        setMetric(meta, 'true_heading', String(normalizeAngle(magnetic + magneticVariation)), 'deg', 'angle');
+    }
+}
+
+// Readings belong to the latest fix; before the first fix they wait for it.
+function getReadingMeta(state) {
+    return state.current ? state.current.meta : state.pendingMeta;
+}
+
+// The point for this UTC time: the current one when RMC and GGA report the same fix.
+function getFixPoint(state, timeField, lat, lon) {
+    if (lat === null || lon === null) {
+        return null;
+    }
+    if (state.current && state.current.timeField === timeField) {
+        return state.current;
+    }
+
+    let time = toEpochMs(state.date, timeField);
+    if (time === null) {
+        state.stats.undated += 1;
+        return null;
+    }
+    // GGA carries no date: a time far before the last fix means midnight has passed.
+    if (state.lastTime !== null && time < state.lastTime - DAY_MS / 2) {
+        time += DAY_MS;
+    }
+
+    if (!state.segment || time < state.lastTime || time - state.lastTime > MAX_FIX_GAP_MS) {
+        if (state.segment) {
+            state.stats.gaps += 1;
+        }
+        state.segment = [];
+        state.segments.push(state.segment);
+    }
+
+    const point = { lat, lon, time, timeField, ele: null, meta: { ...state.pendingMeta } };
+    state.pendingMeta = {};
+    state.segment.push(point);
+    state.current = point;
+    state.lastTime = time;
+    return point;
+}
+
+function toEpochMs(date, timeField) {
+    if (!date || !timeField || !/^\d{6}(\.\d+)?$/.test(timeField)) {
+        return null;
+    }
+    const hours = Number(timeField.slice(0, 2));
+    const minutes = Number(timeField.slice(2, 4));
+    const seconds = Number(timeField.slice(4));
+    const time = Date.UTC(date.year, date.month - 1, date.day, hours, minutes, 0) + Math.round(seconds * 1000);
+    return Number.isFinite(time) ? time : null;
+}
+
+// NMEA positions are ddmm.mmmm / dddmm.mmmm plus a hemisphere letter.
+function parseCoordinate(value, hemisphere) {
+    if (!value || !hemisphere) {
+        return null;
+    }
+    const number = Number.parseFloat(value);
+    if (!Number.isFinite(number)) {
+        return null;
+    }
+    const degrees = Math.floor(number / 100);
+    const decimal = degrees + (number - degrees * 100) / 60;
+    if (decimal > (hemisphere === 'N' || hemisphere === 'S' ? 90 : 180)) {
+        return null;
+    }
+    return hemisphere === 'S' || hemisphere === 'W' ? -decimal : decimal;
+}
+
+// A magnitude plus a direction letter; negativeDirection ("W") makes it negative.
+function parseSigned(value, direction, negativeDirection) {
+    if (value === undefined || value === '' || !Number.isFinite(Number(value))) {
+        return null;
+    }
+    return direction === negativeDirection ? -Number(value) : Number(value);
+}
+
+function normalizeAngle(degrees) {
+    return Math.round((((degrees % 360) + 360) % 360) * 10) / 10;
+}
+
+// Same { value, units, type } shape the boat logger writes into GPX <desc>.
+function setMetric(meta, key, text, units, type) {
+    if (text === undefined || text === '') {
+        return;
+    }
+    const value = Number(text);
+    if (Number.isFinite(value)) {
+        meta[key] = { value: Math.round(value * 100) / 100, units, type };
+    }
+}
+
+function toModelPoint({ lat, lon, time, ele, meta }) {
+    return { lat, lon, time, ele, meta: Object.keys(meta).length ? meta : null };
+}
@@ -0,0 +1,122 @@
+/**
+ * photo_gallery.js
+ *
+ * The photo grid of the home page gallery and the album pages, and the album
+ * picker of the home page. Each photo tile shows the preview (at the size the
+ * tile needs, see photo_picture.js), its caption and date, and a link to the
+ * photo on the voyage map; clicking the preview opens the lightbox, which
+ * steps through the photos in the order they are shown.
+ *
+ * Exports:
+ *   - renderGallery(container, photos, groupBy): Fills container with the
+ *     photos under a heading per month or voyage (see groupPhotos()), or in
+ *     one grid without headings when groupBy is null. Returns the photos in
+ *     the order shown, the list the lightbox steps through.
+ *   - renderAlbumPicker(container, albums): Fills container with a card per
+ *     album (see listGalleryAlbums()) linking to its album page.
+ *
+ * Dependencies:
+ *   - photo_source.js (for the map and album links)
+ *   - photo_metadata.js (for grouping and captions)
+ *   - photo_lightbox.js (for showing a photo)
+ *   - photo_picture.js (for responsive previews)
+ *   - track_metadata.js (for the months an album covers)
+ */
+import { getPhotoMapUrl, getAlbumUrl } from './photo_source.js';
+import { groupPhotos, formatPhotoTitle, formatPhotoDetails } from './photo_metadata.js';
+import { openLightbox } from './photo_lightbox.js';
+import { createPicture } from './photo_picture.js';
+import { formatMonthSpan } from './track_metadata.js';
+
+// Width the previews are laid out at: a grid column (see .image-gallery and
+// .album-picker), at most half a phone screen.
+const PREVIEW_SIZES = '(max-width: 480px) 50vw, 240px';
+
+export function renderGallery(container, photos, groupBy) {
+    const groups = groupBy ? groupPhotos(photos, groupBy) : [{ key: 'all', title: '', photos }];
+    const shownPhotos = groups.flatMap(group => group.photos);
+
+    container.innerHTML = '';
+    groups.forEach(group => {
+        if (group.title) {
+            const heading = document.createElement('h3');
+            heading.className = 'gallery-group-title';
+            heading.textContent = group.title;
+            container.appendChild(heading);
+        }
+
+        const grid = document.createElement('div');
+        grid.className = 'image-gallery';
+        group.photos.forEach(photo => {
+            grid.appendChild(createGalleryItem(photo, () => openLightbox(shownPhotos, shownPhotos.indexOf(photo))));
+        });
+        container.appendChild(grid);
+    });
+    return shownPhotos;
+}
+
+export function renderAlbumPicker(container, albums) {
+    container.innerHTML = '';
+    albums.forEach(album => {
+        const card = document.createElement('a');
+        card.className = 'album-card';
+        card.href = getAlbumUrl(album.path);
+
+        // The album's latest photo is its cover.
+        const cover = album.photos.at(-1);
+        if (cover) {
+            const { picture, img } = createPicture(cover.previewUrl, cover.previewSources, PREVIEW_SIZES);
+            img.alt = '';
+            img.loading = 'lazy';
+            card.appendChild(picture);
+        }
+
+        const title = document.createElement('span');
+        title.className = 'album-card-title';
+        title.textContent = album.title;
+
+        const times = album.photos.map(photo => photo.time).filter(time => time !== null);
+        const details = document.createElement('span');
+        details.className = 'album-card-details';
+        details.textContent = [
+            times.length ? formatMonthSpan(Math.min(...times), Math.max(...times)) : '',
+            `${album.photos.length} photo${album.photos.length === 1 ? '' : 's'}`
+        ].filter(Boolean).join(' · ');
+
+        card.append(title, details);
+        container.appendChild(card);
+    });
+}
+
+function createGalleryItem(photo, onOpen) {
+    const item = document.createElement('figure');
+    item.className = 'gallery-item';
+
+    const { picture, img } = createPicture(photo.previewUrl, photo.previewSources, PREVIEW_SIZES);
+    img.alt = formatPhotoTitle(photo);
+    img.loading = 'lazy';
+    img.addEventListener('click', onOpen);
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'gallery-caption';
+    caption.textContent = photo.caption || photo.description || '';
+    const date = document.createElement('span');
+    date.className = 'gallery-date';
+    date.textContent = photo.time !== null
+        ? new Date(photo.time).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+        : '';
+    date.title = formatPhotoDetails(photo);
+    caption.appendChild(date);
+
+    item.append(picture, caption);
+
+    // Photos without a position or a date cannot be placed on the map.
+    if (photo.lat !== null || photo.time !== null) {
+        const mapLink = document.createElement('a');
+        mapLink.className = 'gallery-map-link';
+        mapLink.href = getPhotoMapUrl(photo.name);
+        mapLink.textContent = '📍 Show on map';
+        item.appendChild(mapLink);
+    }
+    return item;
+}
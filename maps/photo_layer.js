@@ -0,0 +1,190 @@
+/**
+ * photo_layer.js
+ *
+ * The "📷 Photos" toggle: shows the gallery photos as thumbnail markers where
+ * they were taken. A photo's position is its EXIF GPS position; photos without
+ * one are placed on the track sailed at their capture time, interpolated
+ * between the two track points around it (these markers are drawn dashed).
+ * Photos with neither stay off the map. Clicking a marker opens the photo in
+ * the same lightbox as the home page gallery.
+ *
+ * Turned on at load with ?photos=1, which the toggle keeps in the URL;
+ * ?photo=<name> (the gallery's "show on map" link) also centres the map on
+ * that photo, or opens it in the lightbox when it could not be placed.
+ *
+ * Exports:
+ *   - initPhotoLayer(tree): Wires up the #togglePhotos button in index.html.
+ *
+ * Dependencies:
+ *   - photo_source.js (for the gallery photos)
+ *   - photo_metadata.js (for titles and captions)
+ *   - photo_lightbox.js (for showing a photo)
+ *   - fetch_tree.js (for track paths)
+ *   - track_source.js (for the time span of each track)
+ *   - track_store.js (for loading tracks)
+ *   - track_filter.js (for ruling out tracks by time span)
+ *   - map.js (for drawing the markers)
+ *   - url_params.js (for keeping ?photos= in the URL)
+ */
+import { listGalleryPhotos } from './photo_source.js';
+import { formatPhotoTitle, formatPhotoDetails } from './photo_metadata.js';
+import { openLightbox } from './photo_lightbox.js';
+import { collectTrackPaths } from './fetch_tree.js';
+import { getTrackEntry } from './track_source.js';
+import { loadTrack } from './track_store.js';
+import { entryMayPass } from './track_filter.js';
+import { showPhotoMarkers } from './map.js';
+import { setUrlParams } from './url_params.js';
+
+// Points further apart than this are not interpolated between (the logger
+// was off); a photo taken in such a gap is put on a track point at most
+// NEAREST_POINT_MS away, if there is one.
+const MAX_INTERPOLATION_GAP_MS = 6 * 60 * 60 * 1000;
+const NEAREST_POINT_MS = 30 * 60 * 1000;
+
+export function initPhotoLayer(tree) {
+    const button = document.getElementById('togglePhotos');
+    if (!button) {
+        return;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    let focusName = params.get('photo');
+    let photosPromise = null;
+    let visible = false;
+
+    const setVisible = async show => {
+        visible = show;
+        button.classList.toggle('active', show);
+        updateUrl(show);
+        if (!show) {
+            showPhotoMarkers(null);
+            return;
+        }
+
+        if (!photosPromise) {
+            photosPromise = placePhotos(tree, (placed, total) => {
+                button.textContent = `📷 Photos (${placed}/${total})`;
+            }).finally(() => {
+                button.textContent = '📷 Photos';
+            });
+        }
+
+        let photos;
+        try {
+            photos = await photosPromise;
+        } catch (error) {
+            console.error('Photos: gallery unavailable', error);
+            photosPromise = null;
+            button.title = 'Gallery photos could not be loaded';
+            return;
+        }
+
+        const placed = photos.filter(photo => photo.position);
+        button.title = `${placed.length} of ${photos.length} gallery photos placed on the map`;
+        if (!visible) {
+            return;
+        }
+
+        const focusIndex = focusName ? placed.findIndex(photo => photo.name === focusName) : -1;
+        showPhotoMarkers(placed.map((photo, index) => ({
+            lat: photo.position.lat,
+            lon: photo.position.lon,
+            thumbnailUrl: photo.previewUrl,
+            title: [formatPhotoTitle(photo), formatPhotoDetails(photo)].filter(Boolean).join(' · '),
+            estimated: photo.position.estimated,
+            onClick: () => openLightbox(placed, index)
+        })), focusIndex);
+
+        if (focusName && focusIndex === -1) {
+            const photo = photos.find(candidate => candidate.name === focusName);
+            if (photo) {
+                console.warn(`Photos: no position for ${focusName}`);
+                openLightbox([photo], 0);
+            } else {
+                console.warn(`Photos: not in the gallery: ${focusName}`);
+            }
+        }
+        focusName = null;
+    };
+
+    button.addEventListener('click', () => {
+        void setVisible(!visible);
+    });
+
+    if (params.get('photos') === '1' || focusName) {
+        void setVisible(true);
+    }
+}
+
+// The gallery photos with their position ({ lat, lon, estimated } or null).
+async function placePhotos(tree, onProgress) {
+    const photos = await listGalleryPhotos();
+    const trackPaths = collectTrackPaths(tree);
+    const placed = [];
+
+    for (let i = 0; i < photos.length; i++) {
+        onProgress(i, photos.length);
+        const photo = photos[i];
+        let position = null;
+        if (photo.lat !== null) {
+            position = { lat: photo.lat, lon: photo.lon, estimated: false };
+        } else if (photo.time !== null) {
+            position = await locateOnTracks(trackPaths, photo.time);
+        }
+        placed.push({ ...photo, position });
+    }
+
+    return placed;
+}
+
+async function locateOnTracks(paths, time) {
+    const timeFilter = { start: time, end: time, area: null };
+    for (const path of paths) {
+        const entry = getTrackEntry(path);
+        if (entry && !entryMayPass(entry, timeFilter)) {
+            continue;
+        }
+        try {
+            const { model } = await loadTrack(path);
+            const position = interpolatePosition(model.tracks, time);
+            if (position) {
+                return { ...position, estimated: true };
+            }
+        } catch (error) {
+            console.warn('Photos: skipping', path, error);
+        }
+    }
+    return null;
+}
+
+// Position at the given time between the two timed points around it, else the
+// nearest point when one is close enough in time.
+function interpolatePosition(tracks, time) {
+    let nearest = null;
+    for (const trk of tracks) {
+        for (const segment of trk.segments) {
+            const points = segment.points.filter(point => point.time !== null);
+            for (let i = 0; i < points.length; i++) {
+                const point = points[i];
+                const next = points[i + 1];
+                if (next && point.time <= time && time <= next.time && next.time - point.time <= MAX_INTERPOLATION_GAP_MS) {
+                    const fraction = next.time > point.time ? (time - point.time) / (next.time - point.time) : 0;
+                    return {
+                        lat: point.lat + (next.lat - point.lat) * fraction,
+                        lon: point.lon + (next.lon - point.lon) * fraction
+                    };
+                }
+                const offset = Math.abs(point.time - time);
+                if (offset <= NEAREST_POINT_MS && (!nearest || offset < nearest.offset)) {
+                    nearest = { lat: point.lat, lon: point.lon, offset };
+                }
+            }
+        }
+    }
+    return nearest ? { lat: nearest.lat, lon: nearest.lon } : null;
+}
+
+function updateUrl(show) {
+    setUrlParams(show ? { photos: '1' } : { photos: null, photo: null });
+}
@@ -0,0 +1,417 @@
+/**
+ * photo_lightbox.js
+ *
+ * The full-screen photo viewer of the home page gallery, shared with the album
+ * pages and the photo markers of the map so all open photos the same way.
+ * Shows one photo of a list at a time with its caption, date and place; arrow
+ * keys, a swipe (with Hammer.js, when the page loads it) or the filmstrip of
+ * thumbnails move through the list, Escape, the × or a click beside the photo
+ * close it. The photos either side of the current one are preloaded. When
+ * #lightbox-img sits in a <picture>, the AVIF/WebP variant of the size the
+ * screen needs is loaded (see photo_picture.js), and a larger one on zooming.
+ *
+ * The photo zooms with a pinch, a double tap (or double click) or the mouse
+ * wheel, and pans with a drag while zoomed. The ▶ button (or the space bar)
+ * starts a slideshow, the ⬇ link downloads the full-size image.
+ *
+ * While open, the URL hash names the photo (#photo=DSCF6812) so it can be
+ * shared; pages call openLightboxFromHash() once their photos are listed to
+ * reopen it. Closing puts the page back where it was scrolled to.
+ *
+ * Uses the #lightbox markup each page provides: #lightbox-img and
+ * #lightbox-caption inside #lightbox, and a .lightbox-close button. The
+ * .lightbox-slideshow button, .lightbox-download link and #lightbox-filmstrip
+ * are optional.
+ *
+ * Exports:
+ *   - openLightbox(photos, index): Shows photos[index] of a list of gallery
+ *     photos (see photo_source.js).
+ *   - openLightboxFromHash(photos): Opens the photo the URL hash names, if it
+ *     is in photos; returns whether it did. Also follows later changes of the
+ *     hash (e.g. the back button) within the same list.
+ *   - closeLightbox(): Hides the lightbox.
+ *
+ * Dependencies:
+ *   - photo_metadata.js (for the caption)
+ *   - photo_picture.js (for the variants of the photo)
+ *   - Hammer.js (optional, for swiping and pinching)
+ */
+import { formatPhotoTitle, formatPhotoDetails } from './photo_metadata.js';
+import { createPicture, setPictureSources } from './photo_picture.js';
+
+const HASH_PREFIX = '#photo=';
+const SLIDESHOW_INTERVAL_MS = 4000;
+const MAX_ZOOM = 5;
+const DOUBLE_TAP_ZOOM = 2.5;
+// Width the photo is laid out at (see #lightbox-img), and while zoomed in,
+// where the largest variant is wanted.
+const PHOTO_SIZES = '90vw';
+const ZOOMED_SIZES = `${90 * MAX_ZOOM}vw`;
+
+let photos = [];
+let currentIndex = 0;
+let initialized = false;
+let hashPhotos = null;
+let savedScroll = null;
+let slideshowTimer = null;
+// Keeps the preloaded neighbours referenced until they have loaded.
+let preloaded = [];
+// The zoom and pan of the current photo: a scale around the photo's centre,
+// then an offset in pixels.
+const view = { scale: 1, x: 0, y: 0 };
+
+export function openLightbox(list, index) {
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox || !list.length) {
+        return;
+    }
+    initLightbox(lightbox);
+    if (!isOpen()) {
+        savedScroll = { x: window.scrollX, y: window.scrollY };
+    }
+    photos = list;
+    lightbox.style.display = 'flex';
+    document.body.style.overflow = 'hidden';
+    renderFilmstrip();
+    showPhoto(index);
+}
+
+export function openLightboxFromHash(list) {
+    if (!hashPhotos) {
+        window.addEventListener('hashchange', () => {
+            if (!openLightboxFromHash(hashPhotos) && isOpen() && !getHashName()) {
+                closeLightbox();
+            }
+        });
+    }
+    hashPhotos = list;
+
+    const name = getHashName();
+    const index = name ? list.findIndex(photo => photo.name === name) : -1;
+    if (index === -1) {
+        return false;
+    }
+    if (isOpen() && photos === list) {
+        if (index !== currentIndex) {
+            showPhoto(index);
+        }
+    } else {
+        openLightbox(list, index);
+    }
+    return true;
+}
+
+export function closeLightbox() {
+    const lightbox = document.getElementById('lightbox');
+    if (!lightbox) {
+        return;
+    }
+    const wasOpen = isOpen();
+    stopSlideshow();
+    lightbox.style.display = 'none';
+    const lightboxImg = document.getElementById('lightbox-img');
+    setPictureSources(lightboxImg, [], PHOTO_SIZES);
+    lightboxImg.src = '';
+    document.body.style.overflow = '';
+    preloaded = [];
+
+    if (getHashName()) {
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+    if (wasOpen && savedScroll) {
+        window.scrollTo(savedScroll.x, savedScroll.y);
+    }
+    savedScroll = null;
+}
+
+function isOpen() {
+    const lightbox = document.getElementById('lightbox');
+    return Boolean(lightbox) && lightbox.style.display === 'flex';
+}
+
+function getHashName() {
+    const hash = window.location.hash;
+    return hash.startsWith(HASH_PREFIX) ? decodeURIComponent(hash.slice(HASH_PREFIX.length)) : null;
+}
+
+function showPhoto(index) {
+    currentIndex = (index + photos.length) % photos.length;
+    const lightboxImg = document.getElementById('lightbox-img');
+    const photo = photos[currentIndex];
+
+    resetZoom();
+    lightboxImg.style.opacity = 0;
+    lightboxImg.onload = () => {
+        lightboxImg.style.opacity = 1;
+    };
+    lightboxImg.alt = formatPhotoTitle(photo);
+    setPictureSources(lightboxImg, photo.fullSources || [], PHOTO_SIZES);
+    lightboxImg.src = photo.fullUrl;
+
+    const caption = document.getElementById('lightbox-caption');
+    if (caption) {
+        caption.innerHTML = '';
+        const title = document.createElement('div');
+        title.className = 'lightbox-caption-title';
+        title.textContent = formatPhotoTitle(photo);
+        const details = document.createElement('div');
+        details.className = 'lightbox-caption-details';
+        details.textContent = formatPhotoDetails(photo);
+        caption.append(title, details);
+    }
+
+    const download = document.querySelector('#lightbox .lightbox-download');
+    if (download) {
+        download.href = photo.fullUrl;
+        download.download = decodeURIComponent(new URL(photo.fullUrl).pathname.split('/').pop());
+    }
+
+    const filmstrip = document.getElementById('lightbox-filmstrip');
+    if (filmstrip) {
+        [...filmstrip.children].forEach((thumbnail, thumbnailIndex) => {
+            thumbnail.classList.toggle('active', thumbnailIndex === currentIndex);
+        });
+        // Centre the current thumbnail (scrollIntoView() would scroll the page too).
+        const active = filmstrip.children[currentIndex];
+        if (active) {
+            filmstrip.scrollLeft = active.offsetLeft - filmstrip.offsetLeft - (filmstrip.clientWidth - active.offsetWidth) / 2;
+        }
+    }
+
+    history.replaceState(null, '', `${window.location.pathname}${window.location.search}${HASH_PREFIX}${encodeURIComponent(photo.name)}`);
+    preloadNeighbours();
+    if (slideshowTimer) {
+        scheduleSlideshow();
+    }
+}
+
+function preloadNeighbours() {
+    preloaded = [currentIndex + 1, currentIndex - 1]
+        .map(index => photos[(index + photos.length) % photos.length])
+        .filter(photo => photo !== photos[currentIndex])
+        // A detached <picture> loads the same variant the lightbox would.
+        .map(photo => createPicture(photo.fullUrl, photo.fullSources || [], PHOTO_SIZES).img);
+}
+
+function renderFilmstrip() {
+    const filmstrip = document.getElementById('lightbox-filmstrip');
+    if (!filmstrip) {
+        return;
+    }
+    filmstrip.innerHTML = '';
+    filmstrip.hidden = photos.length < 2;
+    photos.forEach((photo, index) => {
+        const thumbnail = document.createElement('img');
+        thumbnail.src = photo.previewUrl;
+        thumbnail.alt = formatPhotoTitle(photo);
+        thumbnail.title = formatPhotoTitle(photo);
+        thumbnail.loading = 'lazy';
+        thumbnail.draggable = false;
+        thumbnail.addEventListener('click', () => showPhoto(index));
+        filmstrip.appendChild(thumbnail);
+    });
+}
+
+function toggleSlideshow() {
+    if (slideshowTimer) {
+        stopSlideshow();
+    } else {
+        scheduleSlideshow();
+    }
+}
+
+function scheduleSlideshow() {
+    clearTimeout(slideshowTimer);
+    slideshowTimer = setTimeout(() => {
+        // Hold a zoomed photo until it is zoomed back out.
+        if (view.scale > 1) {
+            scheduleSlideshow();
+        } else {
+            showPhoto(currentIndex + 1);
+        }
+    }, SLIDESHOW_INTERVAL_MS);
+    updateSlideshowButton();
+}
+
+function stopSlideshow() {
+    clearTimeout(slideshowTimer);
+    slideshowTimer = null;
+    updateSlideshowButton();
+}
+
+function updateSlideshowButton() {
+    const button = document.querySelector('#lightbox .lightbox-slideshow');
+    if (button) {
+        button.textContent = slideshowTimer ? '⏸' : '▶';
+        button.title = slideshowTimer ? 'Pause the slideshow (space)' : 'Play a slideshow (space)';
+    }
+}
+
+function resetZoom() {
+    view.scale = 1;
+    view.x = 0;
+    view.y = 0;
+    applyZoom();
+}
+
+// Zooms to scale keeping the image point under (clientX, clientY) in place.
+function zoomTo(scale, clientX, clientY) {
+    const lightboxImg = document.getElementById('lightbox-img');
+    const newScale = Math.min(MAX_ZOOM, Math.max(1, scale));
+    const rect = lightboxImg.getBoundingClientRect();
+    // The point relative to the centre of the unzoomed, unpanned photo.
+    const pointX = clientX - (rect.left + rect.width / 2 - view.x);
+    const pointY = clientY - (rect.top + rect.height / 2 - view.y);
+    view.x = pointX - (pointX - view.x) * (newScale / view.scale);
+    view.y = pointY - (pointY - view.y) * (newScale / view.scale);
+    view.scale = newScale;
+    applyZoom();
+}
+
+function panTo(x, y) {
+    view.x = x;
+    view.y = y;
+    applyZoom();
+}
+
+function applyZoom() {
+    const lightboxImg = document.getElementById('lightbox-img');
+    // Keep the zoomed photo covering its unzoomed frame.
+    const maxX = lightboxImg.offsetWidth * (view.scale - 1) / 2;
+    const maxY = lightboxImg.offsetHeight * (view.scale - 1) / 2;
+    view.x = Math.min(maxX, Math.max(-maxX, view.x));
+    view.y = Math.min(maxY, Math.max(-maxY, view.y));
+    lightboxImg.style.transform = view.scale > 1 ? `translate(${view.x}px, ${view.y}px) scale(${view.scale})` : '';
+    lightboxImg.classList.toggle('zoomed', view.scale > 1);
+    if (lightboxImg.parentElement) {
+        const sizes = view.scale > 1 ? ZOOMED_SIZES : PHOTO_SIZES;
+        lightboxImg.parentElement.querySelectorAll('source').forEach(source => {
+            if (source.sizes !== sizes) source.sizes = sizes;
+        });
+    }
+}
+
+function initLightbox(lightbox) {
+    if (initialized) {
+        return;
+    }
+    initialized = true;
+
+    const lightboxImg = document.getElementById('lightbox-img');
+    lightboxImg.draggable = false;
+    // A drag that ends beside the zoomed photo must not close the lightbox.
+    let panned = false;
+
+    // Close on a click beside the photo, but not on the photo itself.
+    lightbox.addEventListener('click', e => {
+        if (e.target === lightbox && !panned) {
+            closeLightbox();
+        }
+    });
+    lightboxImg.addEventListener('click', e => e.stopPropagation());
+    lightbox.querySelector('.lightbox-close').addEventListener('click', closeLightbox);
+
+    const slideshowButton = lightbox.querySelector('.lightbox-slideshow');
+    if (slideshowButton) {
+        slideshowButton.addEventListener('click', toggleSlideshow);
+    }
+
+    document.addEventListener('keydown', e => {
+        if (!isOpen()) {
+            return;
+        }
+        if (e.key === 'ArrowRight') {
+            showPhoto(currentIndex + 1);
+        } else if (e.key === 'ArrowLeft') {
+            showPhoto(currentIndex - 1);
+        } else if (e.key === 'Escape') {
+            closeLightbox();
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            toggleSlideshow();
+        }
+    });
+
+    const filmstrip = document.getElementById('lightbox-filmstrip');
+    const inFilmstrip = target => Boolean(filmstrip) && filmstrip.contains(target);
+
+    lightbox.addEventListener('wheel', e => {
+        if (inFilmstrip(e.target)) {
+            return;
+        }
+        e.preventDefault();
+        zoomTo(view.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), e.clientX, e.clientY);
+    }, { passive: false });
+
+    if (window.Hammer) {
+        const hammer = new window.Hammer(lightbox);
+        hammer.get('swipe').set({ direction: window.Hammer.DIRECTION_HORIZONTAL });
+        hammer.get('pan').set({ direction: window.Hammer.DIRECTION_ALL });
+        hammer.get('pinch').set({ enable: true }).recognizeWith(hammer.get('pan'));
+        // Swiping only turns the page while the photo is not zoomed in. The
+        // filmstrip is scrolled by hand, as Hammer takes over touch scrolling.
+        hammer.on('swipeleft', e => {
+            if (view.scale === 1 && !inFilmstrip(e.target)) showPhoto(currentIndex + 1);
+        });
+        hammer.on('swiperight', e => {
+            if (view.scale === 1 && !inFilmstrip(e.target)) showPhoto(currentIndex - 1);
+        });
+
+        let start = null;
+        hammer.on('pinchstart panstart', e => {
+            start = { ...view, filmstrip: inFilmstrip(e.target) ? filmstrip.scrollLeft : null };
+        });
+        hammer.on('pinchmove', e => {
+            if (start && start.filmstrip === null) {
+                zoomTo(start.scale * e.scale, e.center.x, e.center.y);
+            }
+        });
+        hammer.on('panmove', e => {
+            if (!start || e.pointers.length !== 1) {
+                return;
+            }
+            if (start.filmstrip !== null) {
+                filmstrip.scrollLeft = start.filmstrip - e.deltaX;
+            } else if (view.scale > 1) {
+                panned = true;
+                panTo(start.x + e.deltaX, start.y + e.deltaY);
+            }
+        });
+        hammer.on('pinchend panend pancancel', () => {
+            start = null;
+            // Let the click that ends a drag pass before clicks close again.
+            setTimeout(() => {
+                panned = false;
+            }, 0);
+        });
+        hammer.on('doubletap', e => {
+            if (!inFilmstrip(e.target)) {
+                zoomTo(view.scale > 1 ? 1 : DOUBLE_TAP_ZOOM, e.center.x, e.center.y);
+            }
+        });
+    } else {
+        // Without Hammer, a double click zooms and a mouse drag pans.
+        lightboxImg.addEventListener('dblclick', e => {
+            zoomTo(view.scale > 1 ? 1 : DOUBLE_TAP_ZOOM, e.clientX, e.clientY);
+        });
+        lightboxImg.addEventListener('pointerdown', e => {
+            if (view.scale === 1) {
+                return;
+            }
+            const start = { x: view.x - e.clientX, y: view.y - e.clientY };
+            const move = moveEvent => {
+                panned = true;
+                panTo(start.x + moveEvent.clientX, start.y + moveEvent.clientY);
+            };
+            const end = () => {
+                window.removeEventListener('pointermove', move);
+                window.removeEventListener('pointerup', end);
+                setTimeout(() => {
+                    panned = false;
+                }, 0);
+            };
+            window.addEventListener('pointermove', move);
+            window.addEventListener('pointerup', end);
+        });
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * photo_metadata.js
+ *
+ * What the gallery says about a photo and how it orders them. A photo is
+ * { name, album, time, lat, lon, camera, description, caption, voyage, place, ... },
+ * as listed by photo_source.js: time is epoch ms or null, caption is the
+ * optional text from images/gallery/captions.json, voyage the track folder
+ * (relative to gpxFiles/) sailed when the photo was taken and place the
+ * gazetteer name of where it was taken. Shared by the gallery sidecar script
+ * and the browser. No DOM or Leaflet dependencies.
+ *
+ * Exports:
+ *   - formatCamera(make, model): Returns e.g. "Google Pixel 9 Pro" or "FUJIFILM X-T5".
+ *   - findVoyage(time, entries): The track folder (e.g. "2025/DomesticBareboat",
+ *     '' for the top level) whose manifest entries span the given time, or null.
+ *   - sortPhotos(photos): Copy sorted oldest first; undated photos last, by name.
+ *   - groupPhotos(photos, by): Splits sorted photos into [{ key, title, photos }]
+ *     by 'month' or 'voyage', keeping their order.
+ *   - formatPhotoTitle(photo): The photo's caption, description or readable name.
+ *   - formatPhotoDetails(photo): Returns e.g. "18 May 2026, 22:28 · Annapolis · Google Pixel 9 Pro".
+ *   - parseGalleryPath(path, { directory, previews, fullres }): For an image in
+ *     the gallery layout of constants.js, returns { kind, album, name, width, type }
+ *     where kind is 'preview' or 'fullres', album the album path ('' for loose
+ *     photos), width the pixel width of a srcset variant (null for the preview
+ *     or full-size image itself) and type its MIME type; null for any other path.
+ *   - describeAlbum(path, albumFile): Returns { path, title, description, trackFolder }
+ *     of an album from its optional album.json contents; by default it is
+ *     titled after its folder and shows the track folder of the same path.
+ *
+ * Dependencies: none
+ */
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif)$/i;
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif' };
+const UNDATED_KEY = 'undated';
+const NO_VOYAGE_KEY = 'other';
+
+export function formatCamera(make, model) {
+    if (!model) {
+        return make || '';
+    }
+    // Most cameras repeat the make in the model ("Canon EOS R6").
+    return !make || model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0]) ? model : `${make} ${model}`;
+}
+
+export function findVoyage(time, entries) {
+    if (time === null || time === undefined) {
+        return null;
+    }
+
+    // A voyage spans from the first to the last point of the tracks in its
+    // folder, so photos taken at anchor between two days' tracks belong to it.
+    const spans = new Map();
+    entries.forEach(entry => {
+        const firstTime = entry.firstTime ? Date.parse(entry.firstTime) : NaN;
+        const lastTime = entry.lastTime ? Date.parse(entry.lastTime) : NaN;
+        if (!Number.isFinite(firstTime) || !Number.isFinite(lastTime)) {
+            return;
+        }
+        // Manifest paths are relative to maps/ and start with gpxFiles/.
+        const folder = entry.path.split('/').slice(1, -1).join('/');
+        const span = spans.get(folder);
+        spans.set(folder, span
+            ? { start: Math.min(span.start, firstTime), end: Math.max(span.end, lastTime) }
+            : { start: firstTime, end: lastTime });
+    });
+
+    // Where folders overlap (a whole-year log beside a cruise), the shortest one wins.
+    let best = null;
+    spans.forEach((span, folder) => {
+        if (span.start <= time && time <= span.end && (!best || span.end - span.start < best.length)) {
+            best = { folder, length: span.end - span.start };
+        }
+    });
+    return best ? best.folder : null;
+}
+
+export function sortPhotos(photos) {
+    return [...photos].sort((a, b) => {
+        if (a.time !== null && b.time !== null && a.time !== b.time) {
+            return a.time - b.time;
+        }
+        if ((a.time === null) !== (b.time === null)) {
+            return a.time === null ? 1 : -1;
+        }
+        return a.name.localeCompare(b.name);
+    });
+}
+
+export function groupPhotos(photos, by) {
+    const groups = new Map();
+    photos.forEach(photo => {
+        const key = by === 'voyage' ? voyageKey(photo) : monthKey(photo);
+        if (!groups.has(key)) {
+            groups.set(key, { key, title: by === 'voyage' ? voyageTitle(photo) : monthTitle(photo), photos: [] });
+        }
+        groups.get(key).photos.push(photo);
+    });
+
+    // Undated photos and those from no voyage go last.
+    const last = [UNDATED_KEY, NO_VOYAGE_KEY];
+    return [...groups.values()].sort((a, b) => last.includes(a.key) - last.includes(b.key));
+}
+
+export function formatPhotoTitle(photo) {
+    return photo.caption || photo.description || photo.name.replace(/[-_]+/g, ' ');
+}
+
+export function formatPhotoDetails(photo) {
+    const date = photo.time !== null
+        ? new Date(photo.time).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+        : '';
+    return [date, photo.place, photo.camera].filter(Boolean).join(' · ');
+}
+
+export function parseGalleryPath(path, { directory, previews, fullres }) {
+    if (!path.startsWith(directory + '/') || !IMAGE_EXTENSIONS.test(path)) {
+        return null;
+    }
+    const parts = path.slice(directory.length + 1).split('/');
+    const folder = parts.at(-2);
+    if (folder !== previews && folder !== fullres) {
+        return null;
+    }
+    const filename = parts.at(-1);
+    const variant = filename.replace(IMAGE_EXTENSIONS, '').match(/^(.*?)(?:_(?:preview|fullres)(?:-(\d+)w)?)?$/);
+    return {
+        kind: folder === previews ? 'preview' : 'fullres',
+        album: parts.slice(0, -2).join('/'),
+        name: variant[1],
+        width: variant[2] ? Number(variant[2]) : null,
+        type: IMAGE_TYPES[filename.match(IMAGE_EXTENSIONS)[1].toLowerCase()]
+    };
+}
+
+export function describeAlbum(path, albumFile) {
+    const file = albumFile && typeof albumFile === 'object' ? albumFile : {};
+    return {
+        path,
+        title: typeof file.title === 'string' && file.title ? file.title : path.split('/').pop(),
+        description: typeof file.description === 'string' ? file.description : '',
+        trackFolder: typeof file.trackFolder === 'string' ? file.trackFolder : path
+    };
+}
+
+function monthKey(photo) {
+    if (photo.time === null) {
+        return UNDATED_KEY;
+    }
+    const date = new Date(photo.time);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function monthTitle(photo) {
+    return photo.time === null
+        ? 'Undated'
+        : new Date(photo.time).toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+}
+
+function voyageKey(photo) {
+    return photo.voyage === null || photo.voyage === undefined ? NO_VOYAGE_KEY : `voyage:${photo.voyage}`;
+}
+
+// Voyages are named after their track folder; the tracks at the top level after the year.
+function voyageTitle(photo) {
+    if (photo.voyage === null || photo.voyage === undefined) {
+        return 'Other photos';
+    }
+    return photo.voyage ? photo.voyage.split('/').pop() : String(new Date(photo.time).getFullYear());
+}
@@ -0,0 +1,56 @@
+/**
+ * photo_picture.js
+ *
+ * Responsive gallery images. A photo's preview and full-size image come with
+ * AVIF and WebP variants at several widths (see build_gallery_images.mjs);
+ * an <img> inside a <picture> gets a <source> per format listing them, so the
+ * browser loads the smallest variant it can show sharply and falls back to
+ * the plain image when it has none, or cannot decode either format.
+ *
+ * Exports:
+ *   - createPicture(url, sources, sizes): Returns { picture, img }, a new
+ *     <picture> showing url with the given sources ({ url, width, type }) for
+ *     an image laid out at sizes (e.g. "200px").
+ *   - setPictureSources(img, sources, sizes): Replaces the sources of the
+ *     <picture> holding img; does nothing for an img outside one.
+ *
+ * Dependencies: none
+ */
+
+// Formats listed first are preferred by the browser.
+const TYPE_ORDER = ['image/avif', 'image/webp'];
+
+export function createPicture(url, sources, sizes) {
+    const picture = document.createElement('picture');
+    const img = document.createElement('img');
+    picture.appendChild(img);
+    setPictureSources(img, sources, sizes);
+    img.src = url;
+    return { picture, img };
+}
+
+export function setPictureSources(img, sources, sizes) {
+    const picture = img.parentElement;
+    if (!picture || picture.tagName !== 'PICTURE') {
+        return;
+    }
+    picture.querySelectorAll('source').forEach(source => source.remove());
+
+    const types = [...new Set(sources.map(source => source.type))]
+        .sort((a, b) => rankType(a) - rankType(b));
+    types.forEach(type => {
+        const source = document.createElement('source');
+        source.type = type;
+        source.srcset = sources
+            .filter(candidate => candidate.type === type)
+            .map(candidate => `${candidate.url} ${candidate.width}w`)
+            .join(', ');
+        source.sizes = sizes;
+        picture.insertBefore(source, img);
+    });
+}
+
+function rankType(type) {
+    const rank = TYPE_ORDER.indexOf(type);
+    return rank === -1 ? TYPE_ORDER.length : rank;
+}
@@ -0,0 +1,224 @@
+/**
+ * photo_source.js
+ *
+ * The list of gallery photos and albums, shared by the home page gallery, the
+ * album pages and the photo layer of the map. Photos are described by
+ * images/gallery/gallery.json, the sidecar written by
+ * scripts/build_gallery_sidecar.mjs (run by scripts/build_gallery_images.mjs,
+ * which writes the images). Without it the gallery folders are listed
+ * through the GitHub tree API (a static host cannot list a directory), each
+ * preview is paired with the full-size image of the same photo and the EXIF
+ * is read in the browser. Images are loaded from the site itself either way.
+ * See GALLERY_DIRECTORY in constants.js for the folder layout.
+ *
+ * Exports:
+ *   - listGalleryPhotos(): Resolves to every photo, oldest first (see
+ *     photo_metadata.js), each { name, album, previewUrl, fullUrl, previewSources,
+ *     fullSources, time, lat, lon, camera, description, caption, voyage, place },
+ *     where name is the photo's file name without the _preview suffix and
+ *     extension (e.g. "PXL_20260518_222813108"), album the album path ('' for
+ *     loose photos) and the sources the AVIF/WebP variants of the preview and
+ *     full-size image for srcset, each { url, width, type } (see photo_picture.js).
+ *   - listGalleryAlbums(): Resolves to the albums, newest first, each
+ *     { path, title, description, trackFolder, photos }.
+ *   - getPhotoName(filename): The photo name of a preview or full-size file name.
+ *   - getPhotoMapUrl(name): Link to the photo on the voyage map.
+ *   - getAlbumUrl(path): Link to an album page.
+ *
+ * Dependencies:
+ *   - constants.js (for GitHub coordinates, the gallery folders and home port)
+ *   - exif.js (for reading photos without the sidecar)
+ *   - photo_metadata.js (for camera names, voyages, albums and ordering)
+ *   - anchorages.js (for place names)
+ */
+import {
+    GITHUB_USER,
+    GITHUB_REPO,
+    GITHUB_BRANCH,
+    GALLERY_DIRECTORY,
+    GALLERY_PREVIEW_FOLDER,
+    GALLERY_FULLRES_FOLDER,
+    GALLERY_ALBUM_FILE,
+    GALLERY_SIDECAR_FILE,
+    GALLERY_CAPTIONS_FILE,
+    GPX_DIRECTORY,
+    GPX_MANIFEST_FILE,
+    PLACES_FILE,
+    HOME_PORT
+} from './constants.js';
+import { readExif } from './exif.js';
+import { formatCamera, findVoyage, sortPhotos, describeAlbum, parseGalleryPath } from './photo_metadata.js';
+import { findPlaceName } from './anchorages.js';
+
+// This module lives in maps/, one level below the site root.
+const MAPS_URL = new URL('./', import.meta.url);
+const SITE_ROOT_URL = new URL('../', import.meta.url);
+const GALLERY_LAYOUT = { directory: GALLERY_DIRECTORY, previews: GALLERY_PREVIEW_FOLDER, fullres: GALLERY_FULLRES_FOLDER };
+
+let galleryPromise = null;
+
+export async function listGalleryPhotos() {
+    return (await loadGallery()).photos;
+}
+
+export async function listGalleryAlbums() {
+    return (await loadGallery()).albums;
+}
+
+export function getPhotoName(filename) {
+    return filename.split('/').pop().replace(/\.[^/.]+$/, '').replace(/_(preview|fullres)(-\d+w)?$/, '');
+}
+
+export function getPhotoMapUrl(name) {
+    return new URL(`maps/?photos=1&photo=${encodeURIComponent(name)}`, SITE_ROOT_URL).href;
+}
+
+export function getAlbumUrl(path) {
+    return new URL(`maps/album/?album=${encodeURIComponent(path)}`, SITE_ROOT_URL).href;
+}
+
+function loadGallery() {
+    if (!galleryPromise) {
+        galleryPromise = fetchSidecarGallery()
+            .catch(error => {
+                console.warn('Gallery sidecar unavailable, reading the photos instead:', error);
+                return fetchListedGallery();
+            })
+            .then(({ photos, albums }) => {
+                const sorted = sortPhotos(photos);
+                return {
+                    photos: sorted,
+                    albums: albums
+                        .map(album => ({ ...album, photos: sorted.filter(photo => photo.album === album.path) }))
+                        .sort((a, b) => latestTime(b) - latestTime(a) || a.path.localeCompare(b.path))
+                };
+            })
+            .catch(error => {
+                galleryPromise = null;
+                throw error;
+            });
+    }
+    return galleryPromise;
+}
+
+async function fetchSidecarGallery() {
+    const response = await fetch(new URL(GALLERY_SIDECAR_FILE, SITE_ROOT_URL), { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Gallery sidecar request failed: ${response.status}`);
+    }
+    const data = await response.json();
+    if (!Array.isArray(data.photos)) {
+        throw new Error('Gallery sidecar has no photos');
+    }
+
+    const photos = data.photos.map(photo => {
+        const time = photo.time ? Date.parse(photo.time) : NaN;
+        return {
+            name: photo.name,
+            album: photo.album || '',
+            previewUrl: toSiteUrl(photo.preview),
+            fullUrl: toSiteUrl(photo.fullres || photo.preview),
+            previewSources: toSources(photo.previewSources),
+            fullSources: toSources(photo.fullresSources),
+            time: Number.isFinite(time) ? time : null,
+            lat: photo.lat ?? null,
+            lon: photo.lon ?? null,
+            camera: photo.camera || '',
+            description: photo.description || '',
+            caption: photo.caption || '',
+            voyage: photo.voyage ?? null,
+            place: photo.place || ''
+        };
+    });
+    return { photos, albums: Array.isArray(data.albums) ? data.albums : [] };
+}
+
+async function fetchListedGallery() {
+    const url = `https://api.github.com/repos/${GITHUB_USER}/${GITHUB_REPO}/git/trees/${GITHUB_BRANCH}?recursive=1`;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`GitHub API error: ${response.status}`);
+    }
+    const data = await response.json();
+    const images = (data.tree || [])
+        .map(item => ({ path: item.path, ...parseGalleryPath(item.path, GALLERY_LAYOUT) }))
+        .filter(image => image.kind);
+
+    const fullresPaths = new Map(images
+        .filter(image => image.kind === 'fullres' && image.width === null)
+        .map(image => [`${image.album}/${image.name}`, image.path]));
+    const sourcesOf = (kind, album, name) => toSources(images
+        .filter(image => image.kind === kind && image.width !== null && image.album === album && image.name === name)
+        .sort((a, b) => a.width - b.width));
+    const albumPaths = [...new Set(images.map(image => image.album).filter(Boolean))];
+    const [captions, trackEntries, gazetteer, ...albumFiles] = await Promise.all([
+        fetchOptionalJson(new URL(GALLERY_CAPTIONS_FILE, SITE_ROOT_URL)),
+        fetchOptionalJson(new URL(`${GPX_DIRECTORY}/${GPX_MANIFEST_FILE}`, MAPS_URL)),
+        fetchOptionalJson(new URL(PLACES_FILE, MAPS_URL)),
+        ...albumPaths.map(album => fetchOptionalJson(new URL(`${GALLERY_DIRECTORY}/${album}/${GALLERY_ALBUM_FILE}`, SITE_ROOT_URL)))
+    ]);
+
+    const photos = [];
+    for (const { path, album, name } of images.filter(image => image.kind === 'preview' && image.width === null)) {
+        const photo = {
+            name,
+            album,
+            previewUrl: toSiteUrl(path),
+            fullUrl: toSiteUrl(fullresPaths.get(`${album}/${name}`) || path),
+            previewSources: sourcesOf('preview', album, name),
+            fullSources: sourcesOf('fullres', album, name)
+        };
+        // Previews keep the EXIF of the original; the full-size image is only
+        // downloaded for a preview without it.
+        const exif = await fetchExif(photo.previewUrl) || await fetchExif(photo.fullUrl);
+        const time = exif ? exif.time : null;
+        const lat = exif ? exif.lat : null;
+        const lon = exif ? exif.lon : null;
+        photos.push({
+            ...photo,
+            time,
+            lat,
+            lon,
+            camera: exif ? formatCamera(exif.make, exif.model) : '',
+            description: exif ? exif.description : '',
+            caption: captions && typeof captions[name] === 'string' ? captions[name] : '',
+            voyage: trackEntries ? findVoyage(time, trackEntries.tracks || []) : null,
+            place: lat !== null && gazetteer ? findPlaceName(lat, lon, gazetteer.places || [], HOME_PORT) : ''
+        });
+    }
+    return { photos, albums: albumPaths.map((album, index) => describeAlbum(album, albumFiles[index])) };
+}
+
+async function fetchExif(url) {
+    try {
+        const response = await fetch(url);
+        return response.ok ? readExif(await response.arrayBuffer()) : null;
+    } catch (error) {
+        console.warn('Gallery: could not read', url, error);
+        return null;
+    }
+}
+
+async function fetchOptionalJson(url) {
+    try {
+        const response = await fetch(url, { cache: 'no-cache' });
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function latestTime(album) {
+    const times = album.photos.map(photo => photo.time).filter(time => time !== null);
+    return times.length ? Math.max(...times) : -Infinity;
+}
+
+function toSources(sources) {
+    return Array.isArray(sources)
+        ? sources.map(source => ({ url: toSiteUrl(source.path), width: source.width, type: source.type }))
+        : [];
+}
+
+function toSiteUrl(path) {
+    return new URL(path.split('/').map(encodeURIComponent).join('/'), SITE_ROOT_URL).href;
+}
@@ -0,0 +1,300 @@
+/**
+ * playback.js
+ *
+ * Replays the selected tracks on the map: a boat marker per track moves along
+ * the track by its <time> stamps, trailing a short wake. All tracks share one
+ * clock, either in real time (tracks sailed at the same time move together) or
+ * with their starts aligned so separate legs, such as the Chesapeake bareboat
+ * days, can be compared side by side.
+ *
+ * The replay position is kept in the URL as ?t=<seconds from the start of the
+ * replay> (plus &align=1 when starts are aligned) so it can be shared.
+ *
+ * Exports:
+ *   - initPlayback(): Wires up the #playbackPanel element in index.html.
+ *
+ * Dependencies:
+ *   - map.js (for the loaded tracks and the replay markers)
+ *   - url_params.js (for keeping the replay position in the URL)
+ */
+import { getLoadedTrackViews, onLoadedTracksChange, showPlaybackPositions } from './map.js';
+import { setUrlParams } from './url_params.js';
+
+const SPEED_MULTIPLIERS = [1, 10, 60, 300, 900, 3600, 14400];
+const DEFAULT_SPEED = 300;
+// Track time shown as the wake behind each boat.
+const WAKE_MS = 30 * 60 * 1000;
+const MAX_WAKE_POINTS = 300;
+// Boats are not interpolated across logging gaps longer than this.
+const MAX_INTERPOLATION_GAP_MS = 15 * 60 * 1000;
+const URL_UPDATE_INTERVAL_MS = 1000;
+
+export function initPlayback() {
+    const panel = document.getElementById('playbackPanel');
+    const toggleButton = document.getElementById('togglePlayback');
+    const playButton = document.getElementById('playbackPlay');
+    const speedSelect = document.getElementById('playbackSpeed');
+    const scrubber = document.getElementById('playbackScrubber');
+    const timeLabel = document.getElementById('playbackTime');
+    const alignCheckbox = document.getElementById('playbackAlign');
+    if (!panel || !toggleButton || !playButton || !speedSelect || !scrubber || !timeLabel || !alignCheckbox) {
+        return;
+    }
+
+    const params = new URLSearchParams(window.location.search);
+    const requestedOffset = Number.parseFloat(params.get('t'));
+
+    const state = {
+        timelines: [],
+        clockStart: 0,
+        durationSeconds: 0,
+        offsetSeconds: Number.isFinite(requestedOffset) ? Math.max(0, requestedOffset) : 0,
+        align: params.get('align') === '1',
+        speed: DEFAULT_SPEED,
+        playing: false,
+        frameId: null,
+        lastFrameTime: null,
+        lastUrlUpdate: 0
+    };
+
+    SPEED_MULTIPLIERS.forEach(multiplier => {
+        speedSelect.add(new Option(`${multiplier}×`, multiplier, false, multiplier === state.speed));
+    });
+    alignCheckbox.checked = state.align;
+
+    function isOpen() {
+        return !panel.classList.contains('collapsed');
+    }
+
+    function rebuildTimelines() {
+        state.timelines = getLoadedTrackViews()
+            .map(view => ({ filename: view.filename, color: view.color, points: buildTimeline(view.tracks) }))
+            .filter(timeline => timeline.points.length);
+
+        if (!state.timelines.length) {
+            state.clockStart = 0;
+            state.durationSeconds = 0;
+        } else if (state.align) {
+            state.clockStart = 0;
+            state.durationSeconds = Math.max(...state.timelines.map(t => t.points.at(-1).time - t.points[0].time)) / 1000;
+        } else {
+            state.clockStart = Math.min(...state.timelines.map(t => t.points[0].time));
+            state.durationSeconds = (Math.max(...state.timelines.map(t => t.points.at(-1).time)) - state.clockStart) / 1000;
+        }
+
+        // The offset is not clamped here: a shared ?t= may be past the end of
+        // whichever track happens to finish loading first.
+        scrubber.max = Math.ceil(state.durationSeconds);
+        render();
+    }
+
+    function render() {
+        scrubber.value = Math.round(state.offsetSeconds);
+        playButton.textContent = state.playing ? '⏸' : '▶';
+
+        if (!state.timelines.length) {
+            timeLabel.textContent = 'Select tracks to replay';
+            showPlaybackPositions(isOpen() ? [] : null);
+            return;
+        }
+
+        timeLabel.textContent = state.align
+            ? `+${formatElapsed(state.offsetSeconds)}`
+            : new Date(state.clockStart + state.offsetSeconds * 1000).toLocaleString();
+
+        if (!isOpen()) {
+            return;
+        }
+
+        showPlaybackPositions(state.timelines.map(timeline => {
+            const time = (state.align ? timeline.points[0].time : state.clockStart) + state.offsetSeconds * 1000;
+            const position = getPositionAt(timeline.points, time);
+            return {
+                filename: timeline.filename,
+                color: timeline.color,
+                lat: position.lat,
+                lon: position.lon,
+                wake: getWake(timeline.points, time, position)
+            };
+        }));
+    }
+
+    function updateUrl(force = false) {
+        const now = performance.now();
+        if (!force && now - state.lastUrlUpdate < URL_UPDATE_INTERVAL_MS) {
+            return;
+        }
+        state.lastUrlUpdate = now;
+
+        setUrlParams({
+            t: isOpen() ? Math.round(state.offsetSeconds) : null,
+            align: isOpen() && state.align ? '1' : null
+        });
+    }
+
+    function tick(frameTime) {
+        if (state.lastFrameTime !== null) {
+            state.offsetSeconds += ((frameTime - state.lastFrameTime) / 1000) * state.speed;
+        }
+        state.lastFrameTime = frameTime;
+
+        if (state.offsetSeconds >= state.durationSeconds) {
+            state.offsetSeconds = state.durationSeconds;
+            pause();
+            return;
+        }
+
+        render();
+        updateUrl();
+        state.frameId = window.requestAnimationFrame(tick);
+    }
+
+    function play() {
+        if (!state.timelines.length) {
+            return;
+        }
+        if (state.offsetSeconds >= state.durationSeconds) {
+            state.offsetSeconds = 0;
+        }
+        state.playing = true;
+        state.lastFrameTime = null;
+        state.frameId = window.requestAnimationFrame(tick);
+        render();
+    }
+
+    function pause() {
+        state.playing = false;
+        if (state.frameId !== null) {
+            window.cancelAnimationFrame(state.frameId);
+            state.frameId = null;
+        }
+        render();
+        updateUrl(true);
+    }
+
+    toggleButton.addEventListener('click', () => {
+        panel.classList.toggle('collapsed');
+        if (isOpen()) {
+            rebuildTimelines();
+        } else {
+            pause();
+            showPlaybackPositions(null);
+        }
+        updateUrl(true);
+    });
+
+    playButton.addEventListener('click', () => {
+        if (state.playing) {
+            pause();
+        } else {
+            play();
+        }
+    });
+
+    speedSelect.addEventListener('change', () => {
+        state.speed = Number(speedSelect.value);
+    });
+
+    scrubber.addEventListener('input', () => {
+        state.offsetSeconds = Number(scrubber.value);
+        render();
+        updateUrl();
+    });
+    scrubber.addEventListener('change', () => updateUrl(true));
+
+    alignCheckbox.addEventListener('change', () => {
+        state.align = alignCheckbox.checked;
+        state.offsetSeconds = 0;
+        rebuildTimelines();
+        updateUrl(true);
+    });
+
+    onLoadedTracksChange(() => {
+        if (isOpen()) {
+            rebuildTimelines();
+        }
+    });
+
+    // A shared link opens the replay at the linked time.
+    if (params.has('t')) {
+        panel.classList.remove('collapsed');
+        rebuildTimelines();
+    }
+}
+
+// Every timestamped point of the file in time order, each remembering which
+// segment it came from so boats are not interpolated across segment breaks.
+function buildTimeline(tracks) {
+    const points = [];
+    tracks.forEach((trk, trackIndex) => trk.segments.forEach((segment, segmentIndex) => {
+        segment.points.forEach(point => {
+            if (point.time !== null) {
+                points.push({ time: point.time, lat: point.lat, lon: point.lon, segment: `${trackIndex}:${segmentIndex}` });
+            }
+        });
+    }));
+    return points.sort((a, b) => a.time - b.time);
+}
+
+// Index of the last point at or before time (-1 when time is before the first point).
+function findPointIndex(points, time) {
+    let low = 0;
+    let high = points.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (points[mid].time <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+function getPositionAt(points, time) {
+    const index = findPointIndex(points, time);
+    if (index < 0) {
+        return points[0];
+    }
+    const previous = points[index];
+    const next = points[index + 1];
+    if (!next || next.segment !== previous.segment || next.time - previous.time > MAX_INTERPOLATION_GAP_MS) {
+        return previous;
+    }
+
+    const fraction = (time - previous.time) / (next.time - previous.time);
+    return {
+        lat: previous.lat + (next.lat - previous.lat) * fraction,
+        lon: previous.lon + (next.lon - previous.lon) * fraction
+    };
+}
+
+function getWake(points, time, position) {
+    const endIndex = findPointIndex(points, time);
+    if (endIndex < 0) {
+        return [];
+    }
+
+    let startIndex = endIndex;
+    while (startIndex > 0 && points[startIndex - 1].time >= time - WAKE_MS) {
+        startIndex--;
+    }
+
+    const step = Math.max(1, Math.ceil((endIndex - startIndex + 1) / MAX_WAKE_POINTS));
+    const wake = [];
+    for (let i = startIndex; i <= endIndex; i += step) {
+        wake.push([points[i].lat, points[i].lon]);
+    }
+    wake.push([position.lat, position.lon]);
+    return wake;
+}
+
+function formatElapsed(seconds) {
+    const totalMinutes = Math.floor(seconds / 60);
+    const days = Math.floor(totalMinutes / (24 * 60));
+    const hours = Math.floor((totalMinutes % (24 * 60)) / 60);
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return days ? `${days}d ${hours}:${minutes}` : `${hours}:${minutes}`;
+}
@@ -0,0 +1,147 @@
+/**
+ * point_metadata.js
+ *
+ * Normalizes the JSON metadata logged with each track point (wind, SOG, depth,
+ * signal strength, ...) into a flat list of labelled entries. Used by the hover
+ * tooltip and by anything that needs per-point metric values, such as colouring
+ * tracks by a field. No DOM or Leaflet dependencies.
+ *
+ * Metric objects may be plain values or { value, unit(s), type } objects, and
+ * numbers are sometimes logged as strings (e.g. "174.50006").
+ *
+ * Exports:
+ *   - normalizeMetadataEntries(metadata): Returns [{ label, value, unit, type }].
+ *   - getNumericValue(value): The value as a finite number, or null.
+ *   - getNumericEntry(entries, label): The entry with this label if its value is numeric, or null.
+ */
+
+const METADATA_DESCRIPTOR_KEYS = new Set([
+    'value', 'val', 'reading', 'data', 'amount',
+    'unit', 'units', 'uom', 'type', 'datatype', 'dataType'
+]);
+
+export function normalizeMetadataEntries(metadata) {
+    const entries = [];
+
+    if (Array.isArray(metadata)) {
+        metadata.forEach((value, index) => {
+            appendMetadataEntries(entries, `entry_${index + 1}`, value);
+        });
+        return entries;
+    }
+
+    if (metadata && typeof metadata === 'object') {
+        Object.entries(metadata).forEach(([key, value]) => {
+            appendMetadataEntries(entries, key, value);
+        });
+        return entries;
+    }
+
+    appendNormalizedMetadata(entries, 'value', metadata, '', inferValueType(metadata));
+    return entries;
+}
+
+function appendMetadataEntries(entries, keyPath, value) {
+    if (value === undefined || value === null) {
+        return;
+    }
+
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => {
+            appendMetadataEntries(entries, `${keyPath}[${index + 1}]`, item);
+        });
+        return;
+    }
+
+    if (typeof value === 'object') {
+        const metricValue = firstDefined(value.value, value.val, value.reading, value.data, value.amount);
+        const metricUnit = firstDefined(value.unit, value.units, value.uom);
+        const metricType = firstDefined(value.type, value.dataType, value.datatype);
+
+        if (metricValue !== undefined || metricUnit !== undefined || metricType !== undefined) {
+            appendNormalizedMetadata(
+                entries,
+                keyPath,
+                metricValue !== undefined ? metricValue : '-',
+                metricUnit || '',
+                metricType || (metricValue !== undefined ? inferValueType(metricValue) : '')
+            );
+
+            Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+                if (!METADATA_DESCRIPTOR_KEYS.has(nestedKey)) {
+                    appendMetadataEntries(entries, `${keyPath}.${nestedKey}`, nestedValue);
+                }
+            });
+            return;
+        }
+
+        Object.entries(value).forEach(([nestedKey, nestedValue]) => {
+            appendMetadataEntries(entries, `${keyPath}.${nestedKey}`, nestedValue);
+        });
+        return;
+    }
+
+    appendNormalizedMetadata(entries, keyPath, value, '', inferValueType(value));
+}
+
+function appendNormalizedMetadata(entries, label, value, unit, type) {
+    if (value === undefined || value === null) {
+        return;
+    }
+
+    entries.push({
+        label: prettyLabel(label),
+        value,
+        unit,
+        type
+    });
+}
+
+function prettyLabel(label) {
+    const cleaned = label
+        .replace(/\[(\d+)\]/g, ' $1')
+        .split('.')
+        .map(part => part
+            .replace(/[_-]+/g, ' ')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .trim())
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1));
+
+    return cleaned.join(' / ');
+}
+
+function inferValueType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+}
+
+function firstDefined(...values) {
+    for (const value of values) {
+        if (value !== undefined && value !== null && value !== '') {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+export function getNumericValue(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+    return null;
+}
+
+export function getNumericEntry(entries, label) {
+    const entry = entries.find(e => e.label === label);
+    return entry && getNumericValue(entry.value) !== null ? entry : null;
+}
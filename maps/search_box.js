@@ -0,0 +1,216 @@
+/**
+ * search_box.js
+ *
+ * The search box above the track list. As you type, only the files matching
+ * the query stay listed (see track_search.js for what matches: file and folder
+ * names, GPX <name>/<desc> texts and dates like "2025-06" or "last week"),
+ * folders holding a match are expanded and the matching text is highlighted.
+ * Arrow keys move through the results, Enter toggles the current one and
+ * Escape clears the search; "Select all" checks every result.
+ *
+ * Names and time spans come from the manifest; tracks it does not describe
+ * (imported local files, the GitHub fallback source) are searched with what is
+ * known once they have been loaded.
+ *
+ * Exports:
+ *   - initSearchBox(): Wires up #searchControls in index.html. Call once the
+ *     track list is built.
+ *
+ * Dependencies:
+ *   - constants.js (for the track checkbox container)
+ *   - track_search.js (for parsing and matching queries)
+ *   - track_source.js (for manifest entries)
+ *   - track_store.js (for tracks already loaded)
+ */
+import { trackCheckboxesDiv } from './constants.js';
+import { parseSearchQuery, matchesSearch, findSearchHits } from './track_search.js';
+import { getTrackEntry } from './track_source.js';
+import { getLoadedTrack } from './track_store.js';
+
+const highlightedElements = new Map();
+const expandedBySearch = new Set();
+
+export function initSearchBox() {
+    const input = document.getElementById('trackSearch');
+    const selectButton = document.getElementById('selectSearchResults');
+    const status = document.getElementById('searchStatus');
+    if (!input || !selectButton || !status) {
+        return;
+    }
+
+    let results = [];
+    let activeIndex = -1;
+
+    const setActive = index => {
+        if (results[activeIndex]) {
+            results[activeIndex].classList.remove('search-active');
+        }
+        activeIndex = results.length ? (index + results.length) % results.length : -1;
+        if (results[activeIndex]) {
+            results[activeIndex].classList.add('search-active');
+            results[activeIndex].scrollIntoView({ block: 'nearest' });
+        }
+    };
+
+    const update = () => {
+        if (results[activeIndex]) {
+            results[activeIndex].classList.remove('search-active');
+        }
+        activeIndex = -1;
+        const search = parseSearchQuery(input.value);
+        results = applySearch(search);
+        selectButton.disabled = !results.length;
+        if (!search) {
+            status.textContent = '';
+        } else {
+            status.textContent = results.length
+                ? `${results.length} track${results.length === 1 ? '' : 's'} found`
+                : 'No tracks found';
+        }
+    };
+
+    input.addEventListener('input', update);
+    input.addEventListener('keydown', e => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (activeIndex === -1) {
+                setActive(e.key === 'ArrowDown' ? 0 : -1);
+            } else {
+                setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+            }
+        } else if (e.key === 'Enter' && results[activeIndex]) {
+            e.preventDefault();
+            results[activeIndex].querySelector('input[type="checkbox"]').click();
+        } else if (e.key === 'Escape' && input.value) {
+            e.preventDefault();
+            input.value = '';
+            update();
+        }
+    });
+
+    selectButton.addEventListener('click', () => {
+        results.forEach(item => {
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            if (!checkbox.checked) {
+                checkbox.checked = true;
+                checkbox.dispatchEvent(new Event('change'));
+            }
+        });
+    });
+
+    selectButton.disabled = true;
+}
+
+// Shows only the matching files (all of them for a null search) and returns
+// their .track-item elements in list order.
+function applySearch(search) {
+    clearHighlights();
+    expandedBySearch.forEach(sublist => setExpanded(sublist, false));
+    expandedBySearch.clear();
+
+    const results = [];
+    trackCheckboxesDiv.querySelectorAll('.track-item:not(.passage-item)').forEach(item => {
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        const matches = !search || matchesSearch(describeTrack(checkbox.value), search);
+        item.classList.toggle('search-hidden', !matches);
+
+        // The passage list of a file follows its .track-item.
+        const passageList = item.nextElementSibling;
+        if (passageList && passageList.classList.contains('passage-list')) {
+            passageList.classList.toggle('search-hidden', !matches);
+        }
+
+        if (matches) {
+            results.push(item);
+            if (search) {
+                highlight(item.querySelector('label'), search.terms);
+            }
+        }
+    });
+
+    trackCheckboxesDiv.querySelectorAll('.folder').forEach(folder => {
+        const hasMatch = Boolean(folder.querySelector('.track-item:not(.passage-item):not(.search-hidden)'));
+        folder.classList.toggle('search-hidden', Boolean(search) && !hasMatch);
+        if (search && hasMatch) {
+            highlight(folder.querySelector(':scope > .folder-header .folder-label'), search.terms);
+            const sublist = folder.querySelector(':scope > .sublist');
+            if (sublist && !sublist.classList.contains('expanded')) {
+                setExpanded(sublist, true);
+                expandedBySearch.add(sublist);
+            }
+        }
+    });
+
+    return results;
+}
+
+function describeTrack(path) {
+    const entry = getTrackEntry(path);
+    const record = getLoadedTrack(path);
+    const names = entry && Array.isArray(entry.names) ? [...entry.names] : [];
+
+    if (record) {
+        const { metadata, tracks } = record.model;
+        [metadata.name, metadata.desc, ...tracks.flatMap(trk => [trk.name, trk.desc])].forEach(name => {
+            if (name && !names.includes(name)) {
+                names.push(name);
+            }
+        });
+    }
+
+    const firstTime = entry && entry.firstTime ? Date.parse(entry.firstTime) : NaN;
+    const lastTime = entry && entry.lastTime ? Date.parse(entry.lastTime) : NaN;
+    return {
+        path,
+        names,
+        startTime: Number.isFinite(firstTime) ? firstTime : record ? record.info.startTime : null,
+        endTime: Number.isFinite(lastTime) ? lastTime : record ? record.info.endTime : null
+    };
+}
+
+function setExpanded(sublist, expanded) {
+    sublist.classList.toggle('expanded', expanded);
+    const toggleIcon = sublist.parentElement.querySelector(':scope > .folder-header .toggle-icon');
+    if (toggleIcon) {
+        toggleIcon.textContent = expanded ? '▾' : '▸';
+    }
+}
+
+// Wraps the hits in the element's leading text in <mark>; restored by clearHighlights().
+function highlight(element, terms) {
+    const textNode = element ? element.firstChild : null;
+    if (!textNode || textNode.nodeType !== Node.TEXT_NODE || !terms.length) {
+        return;
+    }
+    const text = textNode.textContent;
+    const hits = findSearchHits(text, terms);
+    if (!hits.length) {
+        return;
+    }
+
+    const fragment = document.createDocumentFragment();
+    let position = 0;
+    hits.forEach(([start, end]) => {
+        fragment.append(text.slice(position, start));
+        const mark = document.createElement('mark');
+        mark.className = 'search-hit';
+        mark.textContent = text.slice(start, end);
+        fragment.append(mark);
+        position = end;
+    });
+    fragment.append(text.slice(position));
+
+    const marked = [...fragment.childNodes];
+    textNode.replaceWith(fragment);
+    highlightedElements.set(element, { text, marked });
+}
+
+function clearHighlights() {
+    highlightedElements.forEach(({ text, marked }) => {
+        if (marked[0].isConnected) {
+            marked[0].replaceWith(document.createTextNode(text));
+            marked.slice(1).forEach(node => node.remove());
+        }
+    });
+    highlightedElements.clear();
+}
@@ -0,0 +1,342 @@
+/**
+ * stats.js
+ *
+ * The voyage statistics dashboard (maps/stats/index.html). Loads every track
+ * listed by fetchGpxTree() through the same track store, parser and cache as
+ * the map, then shows distance and hours underway per month and year, the
+ * longest passage, the fastest SOG, nights at anchor and the wind speeds
+ * sailed in, with sortable tables per trip and per track.
+ *
+ * Each folder is a trip of its own: the "2025" row only counts the files
+ * directly in 2025/, and 2025/DomesticBareboat is listed separately. The
+ * scope picker (?folder=) limits the whole dashboard to one folder and the
+ * folders below it.
+ *
+ * The page sets <base href="../"> so the track list and files are fetched
+ * from the same relative paths as on the map page.
+ *
+ * Dependencies:
+ *   - constants.js (for the GPX directory and the home port)
+ *   - fetch_tree.js (for the track list and passage ids)
+ *   - track_store.js (for loading parsed tracks)
+ *   - voyage_stats.js (for totals across tracks)
+ *   - wind_analysis.js, wind_plots.js (for the wind distribution and rose)
+ *   - stats_charts.js (for the bar charts and total cards)
+ *   - units.js (for nautical miles and hours)
+ *   - url_params.js (for keeping ?folder= in the URL)
+ */
+import { GPX_DIRECTORY, HOME_PORT } from '../constants.js';
+import { fetchGpxTree, collectTrackPaths, makePassageId } from '../fetch_tree.js';
+import { loadTrack } from '../track_store.js';
+import { summarizeVoyages } from '../voyage_stats.js';
+import { extractWindSamples, buildWindRose, buildWindDistribution } from '../wind_analysis.js';
+import { renderWindRose } from '../wind_plots.js';
+import { renderBarChart, createStatsCard } from '../stats_charts.js';
+import { METERS_TO_NM, formatHours } from '../units.js';
+import { setUrlParams } from '../url_params.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const statusElement = document.getElementById('statsStatus');
+const scopeSelect = document.getElementById('statsScope');
+
+let records = [];
+
+async function init() {
+    statusElement.textContent = 'Loading track list...';
+    const tree = await fetchGpxTree();
+    const paths = collectTrackPaths(tree);
+    if (!paths.length) {
+        statusElement.textContent = 'No tracks found.';
+        return;
+    }
+
+    let failed = 0;
+    for (let i = 0; i < paths.length; i++) {
+        statusElement.textContent = `Loading tracks... ${i}/${paths.length}`;
+        try {
+            const { model, info } = await loadTrack(paths[i]);
+            records.push({
+                path: paths[i],
+                folder: getFolder(paths[i]),
+                info,
+                windSamples: extractWindSamples(model.tracks)
+            });
+        } catch (error) {
+            console.warn('Stats: skipping', paths[i], error);
+            failed++;
+        }
+    }
+    statusElement.textContent = failed ? `${failed} track${failed === 1 ? '' : 's'} failed to load` : '';
+
+    populateScopes();
+    scopeSelect.addEventListener('change', () => {
+        updateUrl(scopeSelect.value);
+        render(scopeSelect.value);
+    });
+    render(scopeSelect.value);
+}
+
+// "gpxFiles/2025/DomesticBareboat/Day 1.gpx" -> "2025/DomesticBareboat"; top-level files -> "".
+function getFolder(path) {
+    const parts = path.slice(GPX_DIRECTORY.length + 1).split('/');
+    return parts.slice(0, -1).join('/');
+}
+
+function isInScope(folder, scope) {
+    return !scope || folder === scope || folder.startsWith(scope + '/');
+}
+
+function getFolders() {
+    return [...new Set(records.map(record => record.folder))].sort();
+}
+
+function populateScopes() {
+    const requested = new URLSearchParams(window.location.search).get('folder') || '';
+    scopeSelect.innerHTML = '';
+    scopeSelect.appendChild(new Option('All tracks', ''));
+
+    const scopes = new Set();
+    getFolders().forEach(folder => {
+        const parts = folder.split('/');
+        parts.forEach((_, i) => {
+            if (folder) {
+                scopes.add(parts.slice(0, i + 1).join('/'));
+            }
+        });
+    });
+    [...scopes].sort().forEach(scope => {
+        const depth = scope.split('/').length - 1;
+        scopeSelect.appendChild(new Option(`${'\u00a0\u00a0'.repeat(depth)}${scope.split('/').pop()}`, scope));
+    });
+
+    scopeSelect.value = scopes.has(requested) ? requested : '';
+}
+
+function updateUrl(scope) {
+    setUrlParams({ folder: scope || null });
+}
+
+function render(scope) {
+    const selected = records.filter(record => isInScope(record.folder, scope));
+    const summary = summarizeVoyages(selected, HOME_PORT);
+
+    renderTotals(summary);
+    renderBarChart(document.getElementById('statsMonthDistance'), monthBars(summary.months, m => m.underwayMeters * METERS_TO_NM), {
+        color: '#3182bd',
+        formatValue: value => `${Math.round(value)} nm`
+    });
+    renderBarChart(document.getElementById('statsMonthHours'), monthBars(summary.months, m => m.movingSeconds / 3600), {
+        color: '#41ab5d',
+        formatValue: value => `${Math.round(value)} h`
+    });
+    renderYears(summary.years);
+    renderWind(selected);
+    renderTrips(selected);
+    renderTracks(selected);
+}
+
+function monthBars(months, getValue) {
+    return months.map(month => {
+        const [year, monthNumber] = month.key.split('-');
+        const label = MONTH_NAMES[Number(monthNumber) - 1];
+        return {
+            label,
+            sublabel: monthNumber === '01' || month === months[0] ? year : '',
+            value: getValue(month),
+            title: `${label} ${year}: ${formatNm(month.underwayMeters)}, ${formatHours(month.movingSeconds)} underway`
+        };
+    });
+}
+
+function renderTotals(summary) {
+    const container = document.getElementById('statsTotals');
+    container.innerHTML = '';
+
+    const addCard = (label, value, detail, href) => container.appendChild(createStatsCard(label, value, detail, href));
+
+    addCard('underway', formatNm(summary.underwayMeters), `${summary.trackCount} track${summary.trackCount === 1 ? '' : 's'}`);
+    addCard('hours underway', formatHours(summary.movingSeconds), `${summary.passageCount} passage${summary.passageCount === 1 ? '' : 's'}`);
+
+    const longest = summary.longestPassage;
+    if (longest) {
+        addCard('longest passage', formatNm(longest.passage.distanceMeters),
+            `${formatDate(longest.passage.startTime)} · ${formatHours(longest.passage.durationSeconds)}`,
+            getMapLink(makePassageId(longest.path, longest.index)));
+    }
+    if (summary.fastest) {
+        addCard('fastest SOG', `${summary.fastest.maxSogKnots.toFixed(1)} kn`, getFileName(summary.fastest.path),
+            getMapLink(summary.fastest.path));
+    }
+    addCard('nights at anchor', String(summary.nightsAtAnchor),
+        `${summary.anchorageCount} anchorage${summary.anchorageCount === 1 ? '' : 's'}`);
+}
+
+function renderYears(years) {
+    renderSortableTable(document.getElementById('statsYears'), [
+        { label: 'Year', value: year => year.key },
+        { label: 'Distance', value: year => year.underwayMeters, format: year => formatNm(year.underwayMeters) },
+        { label: 'Underway', value: year => year.movingSeconds, format: year => formatHours(year.movingSeconds) }
+    ], years, 0, -1);
+}
+
+function renderWind(selected) {
+    const samples = selected.flatMap(record => record.windSamples);
+    const summary = document.getElementById('statsWindSummary');
+    const speedsContainer = document.getElementById('statsWindSpeeds');
+    const roseContainer = document.getElementById('statsWindRose');
+
+    const distribution = buildWindDistribution(samples);
+    if (!distribution.total) {
+        summary.textContent = 'No wind data logged in these tracks.';
+        speedsContainer.innerHTML = '';
+        roseContainer.innerHTML = '';
+        return;
+    }
+
+    summary.textContent = `${distribution.total} wind readings while sailing`;
+    renderBarChart(speedsContainer, distribution.speedBins.map((low, i) => {
+        const high = distribution.speedBins[i + 1];
+        return {
+            label: high ? `${low}–${high}` : `${low}+`,
+            value: distribution.counts[i] / distribution.total * 100,
+            title: `${high ? `${low}–${high}` : `${low}+`} kn: ${distribution.counts[i]} readings`
+        };
+    }), { color: '#08519c', formatValue: value => `${Math.round(value)}%` });
+    renderWindRose(roseContainer, buildWindRose(samples));
+}
+
+function renderTrips(selected) {
+    const trips = getFolders()
+        .map(folder => {
+            const tripRecords = selected.filter(record => record.folder === folder);
+            return { folder, records: tripRecords, summary: summarizeVoyages(tripRecords, HOME_PORT) };
+        })
+        .filter(trip => trip.records.length)
+        .map(trip => ({
+            ...trip,
+            startTime: minTime(trip.records.map(record => record.info.startTime)),
+            endTime: maxTime(trip.records.map(record => record.info.endTime))
+        }));
+
+    renderSortableTable(document.getElementById('statsTrips'), [
+        { label: 'Trip', value: trip => trip.folder || 'Top level', format: trip => createFolderLink(trip.folder) },
+        { label: 'From', value: trip => trip.startTime ?? 0, format: trip => formatDate(trip.startTime) },
+        { label: 'To', value: trip => trip.endTime ?? 0, format: trip => formatDate(trip.endTime) },
+        { label: 'Tracks', value: trip => trip.records.length },
+        { label: 'Distance', value: trip => trip.summary.underwayMeters, format: trip => formatNm(trip.summary.underwayMeters) },
+        { label: 'Underway', value: trip => trip.summary.movingSeconds, format: trip => formatHours(trip.summary.movingSeconds) },
+        { label: 'Passages', value: trip => trip.summary.passageCount },
+        { label: 'Max SOG', value: trip => trip.summary.fastest?.maxSogKnots ?? 0, format: trip => formatKnots(trip.summary.fastest?.maxSogKnots) },
+        { label: 'Nights at anchor', value: trip => trip.summary.nightsAtAnchor }
+    ], trips, 1, -1);
+}
+
+function renderTracks(selected) {
+    renderSortableTable(document.getElementById('statsTracks'), [
+        { label: 'Track', value: record => getFileName(record.path), format: record => createMapLink(getFileName(record.path), record.path) },
+        { label: 'Trip', value: record => record.folder || 'Top level' },
+        { label: 'Start', value: record => record.info.startTime ?? 0, format: record => formatDate(record.info.startTime) },
+        { label: 'Distance', value: record => record.info.underwayMeters, format: record => formatNm(record.info.underwayMeters) },
+        { label: 'Underway', value: record => record.info.movingSeconds, format: record => formatHours(record.info.movingSeconds) },
+        { label: 'Passages', value: record => record.info.passageCount },
+        { label: 'Max SOG', value: record => record.info.maxSogKnots, format: record => formatKnots(record.info.maxSogKnots) }
+    ], selected, 2, -1);
+}
+
+/**
+ * Fill a <table> with one row per item. Clicking a header sorts by that
+ * column; clicking it again reverses the order.
+ * columns: [{ label, value(item) for sorting, format(item) -> string|Node (defaults to value) }]
+ */
+function renderSortableTable(table, columns, items, sortColumn, sortDirection) {
+    const draw = () => {
+        table.innerHTML = '';
+        const headerRow = table.createTHead().insertRow();
+        columns.forEach((column, index) => {
+            const header = document.createElement('th');
+            header.textContent = column.label;
+            if (index === sortColumn) {
+                header.setAttribute('aria-sort', sortDirection > 0 ? 'ascending' : 'descending');
+            }
+            header.addEventListener('click', () => {
+                sortDirection = index === sortColumn ? -sortDirection : 1;
+                sortColumn = index;
+                draw();
+            });
+            headerRow.appendChild(header);
+        });
+
+        const body = table.createTBody();
+        const { value } = columns[sortColumn];
+        [...items]
+            .sort((a, b) => {
+                const x = value(a);
+                const y = value(b);
+                return sortDirection * (typeof x === 'string' ? x.localeCompare(y, undefined, { numeric: true }) : x - y);
+            })
+            .forEach(item => {
+                const row = body.insertRow();
+                columns.forEach(column => {
+                    const content = column.format ? column.format(item) : column.value(item);
+                    row.insertCell().append(content instanceof Node ? content : String(content));
+                });
+            });
+    };
+    draw();
+}
+
+// Links are relative to the page's <base>, i.e. the map page.
+function getMapLink(trackId) {
+    return `./?tracks=${encodeURIComponent(trackId)}`;
+}
+
+function createMapLink(text, trackId) {
+    const link = document.createElement('a');
+    link.href = getMapLink(trackId);
+    link.textContent = text;
+    return link;
+}
+
+function createFolderLink(folder) {
+    if (!folder) {
+        return 'Top level';
+    }
+    const link = document.createElement('a');
+    link.href = `./?folders=${encodeURIComponent(folder.split('/').pop())}`;
+    link.textContent = folder;
+    return link;
+}
+
+function getFileName(path) {
+    return path.split('/').pop();
+}
+
+function minTime(times) {
+    const valid = times.filter(time => time !== null);
+    return valid.length ? Math.min(...valid) : null;
+}
+
+function maxTime(times) {
+    const valid = times.filter(time => time !== null);
+    return valid.length ? Math.max(...valid) : null;
+}
+
+function formatNm(meters) {
+    return `${(meters * METERS_TO_NM).toFixed(1)} nm`;
+}
+
+function formatKnots(knots) {
+    return knots ? `${knots.toFixed(1)} kn` : '–';
+}
+
+function formatDate(time) {
+    return time !== null && time !== undefined
+        ? new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' })
+        : '–';
+}
+
+init().catch(error => {
+    console.error('Stats: failed to load', error);
+    statusElement.textContent = 'Failed to load the tracks.';
+});
@@ -0,0 +1,118 @@
+/**
+ * stats_charts.js
+ *
+ * SVG bar chart for the statistics dashboard (monthly miles and hours, wind
+ * speeds sailed in), and the total cards it shares with the album pages.
+ *
+ * Exports:
+ *   - renderBarChart(container, bars, options): Draws one bar per
+ *     { label, sublabel, value, title } with a value axis (sublabel and title
+ *     are optional). Options: color, formatValue(value) for the axis and tooltips.
+ *   - createStatsCard(label, value, detail, href): Returns a .stats-card with a
+ *     big value over its label and an optional detail line; with an href it is
+ *     a link to the map.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const HEIGHT = 200;
+const BAR_WIDTH = 28;
+const BAR_GAP = 6;
+const MARGIN = { top: 10, right: 10, bottom: 34, left: 44 };
+
+export function renderBarChart(container, bars, { color = '#3182bd', formatValue = value => String(value) } = {}) {
+    container.innerHTML = '';
+    if (!bars.length) {
+        container.textContent = 'No data';
+        return;
+    }
+
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const width = MARGIN.left + MARGIN.right + bars.length * (BAR_WIDTH + BAR_GAP);
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${HEIGHT}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', HEIGHT);
+    svg.classList.add('stats-chart');
+
+    const maxValue = Math.max(...bars.map(bar => bar.value));
+    const step = niceStep(maxValue);
+    const top = Math.max(step, Math.ceil(maxValue / step) * step);
+    const y = value => MARGIN.top + plotHeight - (value / top) * plotHeight;
+
+    for (let tick = 0; tick <= top + step / 2; tick += step) {
+        appendLine(svg, MARGIN.left, y(tick), width - MARGIN.right, y(tick), 'stats-chart-grid');
+        appendText(svg, MARGIN.left - 4, y(tick) + 4, formatValue(tick), 'stats-chart-axis-label', 'end');
+    }
+
+    bars.forEach((bar, i) => {
+        const x = MARGIN.left + BAR_GAP / 2 + i * (BAR_WIDTH + BAR_GAP);
+        const rect = document.createElementNS(SVG_NS, 'rect');
+        rect.setAttribute('x', x);
+        rect.setAttribute('y', y(bar.value));
+        rect.setAttribute('width', BAR_WIDTH);
+        rect.setAttribute('height', Math.max(0, y(0) - y(bar.value)));
+        rect.setAttribute('fill', color);
+        rect.classList.add('stats-chart-bar');
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = bar.title || `${bar.label}: ${formatValue(bar.value)}`;
+        rect.appendChild(title);
+        svg.appendChild(rect);
+
+        appendText(svg, x + BAR_WIDTH / 2, HEIGHT - MARGIN.bottom + 14, bar.label, 'stats-chart-axis-label', 'middle');
+        if (bar.sublabel) {
+            appendText(svg, x + BAR_WIDTH / 2, HEIGHT - MARGIN.bottom + 27, bar.sublabel, 'stats-chart-axis-label', 'middle');
+        }
+    });
+
+    container.appendChild(svg);
+}
+
+export function createStatsCard(label, value, detail = '', href = null) {
+    const card = document.createElement(href ? 'a' : 'div');
+    card.className = 'stats-card';
+    if (href) {
+        card.href = href;
+        card.title = 'Show on the map';
+    }
+    const valueElement = document.createElement('div');
+    valueElement.className = 'stats-card-value';
+    valueElement.textContent = value;
+    const labelElement = document.createElement('div');
+    labelElement.className = 'stats-card-label';
+    labelElement.textContent = label;
+    card.append(valueElement, labelElement);
+    if (detail) {
+        const detailElement = document.createElement('div');
+        detailElement.className = 'stats-card-detail';
+        detailElement.textContent = detail;
+        card.appendChild(detailElement);
+    }
+    return card;
+}
+
+function appendLine(svg, x1, y1, x2, y2, className) {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.classList.add(className);
+    svg.appendChild(line);
+}
+
+function appendText(svg, x, y, text, className, anchor) {
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.setAttribute('text-anchor', anchor);
+    label.textContent = text;
+    label.classList.add(className);
+    svg.appendChild(label);
+}
+
+// 1, 2 or 5 times a power of ten, giving about four gridlines.
+function niceStep(maxValue) {
+    const rough = Math.max(maxValue, 1e-6) / 4;
+    const power = 10 ** Math.floor(Math.log10(rough));
+    return [1, 2, 5, 10].map(m => m * power).find(s => s >= rough);
+}
@@ -0,0 +1,151 @@
+/**
+ * stops_layer.js
+ *
+ * The "⚓ Stops" toggle: loads every track in the tree, finds the places Aion
+ * stayed with anchorages.js and shows them as anchor (or dock) markers whose
+ * popup lists each visit's arrival and departure dates and nights spent.
+ * Turned on at load with ?stops=1, which the toggle keeps in the URL.
+ *
+ * Loading every track is only done once the layer is turned on; the IndexedDB
+ * track cache keeps it cheap on later visits.
+ *
+ * Exports:
+ *   - initStopsLayer(tree): Wires up the #toggleStops button in index.html.
+ *
+ * Dependencies:
+ *   - constants.js (for the home port and the gazetteer file name)
+ *   - fetch_tree.js (for track paths)
+ *   - track_store.js (for loading tracks)
+ *   - anchorages.js (for grouping stays into places)
+ *   - map.js (for drawing the markers)
+ *   - ui_helpers.js (for formatting)
+ *   - url_params.js (for keeping ?stops= in the URL)
+ */
+import { HOME_PORT, PLACES_FILE } from './constants.js';
+import { collectTrackPaths } from './fetch_tree.js';
+import { loadTrack } from './track_store.js';
+import { findPlaces } from './anchorages.js';
+import { showPlaceMarkers } from './map.js';
+import { formatLatLon } from './ui_helpers.js';
+import { setUrlParams } from './url_params.js';
+
+export function initStopsLayer(tree) {
+    const button = document.getElementById('toggleStops');
+    if (!button) {
+        return;
+    }
+
+    let placesPromise = null;
+    let visible = false;
+
+    const setVisible = async show => {
+        visible = show;
+        button.classList.toggle('active', show);
+        updateUrl(show);
+        if (!show) {
+            showPlaceMarkers(null);
+            return;
+        }
+
+        if (!placesPromise) {
+            placesPromise = detectPlaces(tree, (loaded, total) => {
+                button.textContent = `⚓ Stops (${loaded}/${total})`;
+            }).finally(() => {
+                button.textContent = '⚓ Stops';
+            });
+        }
+        const places = await placesPromise;
+        if (visible) {
+            showPlaceMarkers(places.map(place => ({
+                lat: place.lat,
+                lon: place.lon,
+                state: place.state,
+                title: place.name || formatLatLon(place.lat, place.lon),
+                popup: () => createPlacePopup(place)
+            })));
+        }
+    };
+
+    button.addEventListener('click', () => {
+        void setVisible(!visible);
+    });
+
+    if (new URLSearchParams(window.location.search).get('stops') === '1') {
+        void setVisible(true);
+    }
+}
+
+async function detectPlaces(tree, onProgress) {
+    const paths = collectTrackPaths(tree);
+    const gazetteer = await loadGazetteer();
+    const stays = [];
+
+    for (let i = 0; i < paths.length; i++) {
+        onProgress(i, paths.length);
+        try {
+            const { info } = await loadTrack(paths[i]);
+            stays.push(...info.stays);
+        } catch (error) {
+            console.warn('Stops: skipping', paths[i], error);
+        }
+    }
+
+    return findPlaces(stays, gazetteer, HOME_PORT);
+}
+
+// The gazetteer is optional: a missing or broken places.json leaves places unnamed.
+async function loadGazetteer() {
+    try {
+        const response = await fetch(PLACES_FILE, { cache: 'no-cache' });
+        if (!response.ok) {
+            return [];
+        }
+        const data = await response.json();
+        return Array.isArray(data.places) ? data.places : [];
+    } catch (error) {
+        console.warn('Stops: no gazetteer', error);
+        return [];
+    }
+}
+
+function createPlacePopup(place) {
+    const container = document.createElement('div');
+    container.className = 'place-popup-content';
+
+    const title = document.createElement('div');
+    title.className = 'place-popup-title';
+    title.textContent = place.name || formatLatLon(place.lat, place.lon);
+    container.appendChild(title);
+
+    const summary = document.createElement('div');
+    summary.className = 'place-popup-summary';
+    const visitCount = place.visits.length;
+    summary.textContent = `${place.state === 'docked' ? 'Docked' : 'At anchor'} · ${visitCount} visit${visitCount === 1 ? '' : 's'}`
+        + ` · ${place.nights} night${place.nights === 1 ? '' : 's'}`;
+    container.appendChild(summary);
+
+    const list = document.createElement('ul');
+    place.visits.slice().reverse().forEach(visit => {
+        const item = document.createElement('li');
+        item.textContent = `${formatVisitDates(visit.arrival, visit.departure)} · `
+            + (visit.nights ? `${visit.nights} night${visit.nights === 1 ? '' : 's'}` : 'day stop');
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+
+    return container;
+}
+
+function formatVisitDates(arrival, departure) {
+    const start = new Date(arrival);
+    const end = new Date(departure);
+    const dayOptions = { month: 'short', day: 'numeric' };
+    const endText = end.toLocaleDateString(undefined, { ...dayOptions, year: 'numeric' });
+    return start.toDateString() === end.toDateString()
+        ? endText
+        : `${start.toLocaleDateString(undefined, dayOptions)} → ${endText}`;
+}
+
+function updateUrl(show) {
+    setUrlParams({ stops: show ? '1' : null });
+}
@@ -0,0 +1,339 @@
+/**
+ * time_chart.js
+ *
+ * A small dependency-free SVG time-series chart. Each series is drawn as one
+ * path, decimated to the min/max sample of every pixel column so month-long
+ * tracks stay responsive. Hovering reports the nearest sample; dragging selects
+ * a time range (a "brush") and clicking without dragging clears it.
+ *
+ * Exports:
+ *   - createTimeSeriesChart(container, { onHover, onBrush }): Returns
+ *     { setSeries(series, unit), clearBrush(), render() }.
+ *       series: [{ color, samples: [{ time, value, point }] }] in time order;
+ *       a sample with value null breaks the line.
+ *       onHover(sample | null), onBrush({ start, end } | null) with epoch ms times.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MARGIN = { top: 8, right: 12, bottom: 20, left: 48 };
+const DEFAULT_WIDTH = 600;
+const DEFAULT_HEIGHT = 160;
+const MIN_BRUSH_PX = 4;
+const X_TICK_COUNT = 5;
+
+export function createTimeSeriesChart(container, { onHover = () => {}, onBrush = () => {} } = {}) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.classList.add('time-chart');
+    container.appendChild(svg);
+
+    let series = [];
+    let unit = '';
+    let layout = null;
+    let brush = null;
+    let dragStartX = null;
+
+    function render() {
+        svg.innerHTML = '';
+        const width = container.clientWidth || DEFAULT_WIDTH;
+        const height = container.clientHeight || DEFAULT_HEIGHT;
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const extent = getExtent(series);
+        if (!extent) {
+            layout = null;
+            appendText(svg, width / 2, height / 2, 'No data for the selected tracks', 'time-chart-empty');
+            return;
+        }
+
+        const plotWidth = Math.max(1, width - MARGIN.left - MARGIN.right);
+        const plotHeight = Math.max(1, height - MARGIN.top - MARGIN.bottom);
+        const timeSpan = Math.max(1, extent.maxTime - extent.minTime);
+        const valueSpan = extent.maxValue - extent.minValue || 1;
+        layout = {
+            ...extent,
+            plotWidth,
+            x: time => MARGIN.left + ((time - extent.minTime) / timeSpan) * plotWidth,
+            y: value => MARGIN.top + (1 - (value - extent.minValue) / valueSpan) * plotHeight,
+            timeAt: x => extent.minTime + ((x - MARGIN.left) / plotWidth) * timeSpan
+        };
+
+        renderAxes(width, height);
+
+        series.forEach(({ color, samples }) => {
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('d', buildPath(decimate(samples, layout), layout));
+            path.setAttribute('stroke', color);
+            path.classList.add('time-chart-line');
+            svg.appendChild(path);
+        });
+
+        const brushRect = document.createElementNS(SVG_NS, 'rect');
+        brushRect.classList.add('time-chart-brush');
+        brushRect.setAttribute('y', MARGIN.top);
+        brushRect.setAttribute('height', plotHeight);
+        svg.appendChild(brushRect);
+
+        const cursor = document.createElementNS(SVG_NS, 'line');
+        cursor.classList.add('time-chart-cursor');
+        cursor.setAttribute('y1', MARGIN.top);
+        cursor.setAttribute('y2', MARGIN.top + plotHeight);
+        svg.appendChild(cursor);
+
+        const overlay = document.createElementNS(SVG_NS, 'rect');
+        overlay.classList.add('time-chart-overlay');
+        overlay.setAttribute('x', MARGIN.left);
+        overlay.setAttribute('y', MARGIN.top);
+        overlay.setAttribute('width', plotWidth);
+        overlay.setAttribute('height', plotHeight);
+        svg.appendChild(overlay);
+
+        layout.brushRect = brushRect;
+        layout.cursor = cursor;
+        drawBrush();
+        attachPointerHandlers(overlay);
+    }
+
+    function renderAxes(width, height) {
+        const { minValue, maxValue, minTime, maxTime } = layout;
+        const suffix = unit ? ` ${unit}` : '';
+
+        [minValue, (minValue + maxValue) / 2, maxValue].forEach(value => {
+            const y = layout.y(value);
+            appendLine(svg, MARGIN.left, y, width - MARGIN.right, y, 'time-chart-grid');
+            appendText(svg, MARGIN.left - 4, y + 3, `${formatValue(value)}${suffix}`, 'time-chart-y-label');
+        });
+
+        for (let i = 0; i < X_TICK_COUNT; i++) {
+            const time = minTime + ((maxTime - minTime) * i) / (X_TICK_COUNT - 1);
+            appendText(svg, layout.x(time), height - 5, formatTick(time, maxTime - minTime), 'time-chart-x-label');
+        }
+    }
+
+    function attachPointerHandlers(overlay) {
+        overlay.addEventListener('pointerdown', event => {
+            dragStartX = getLocalX(event);
+            overlay.setPointerCapture?.(event.pointerId);
+        });
+
+        overlay.addEventListener('pointermove', event => {
+            const x = getLocalX(event);
+            if (dragStartX !== null) {
+                brush = toTimeRange(dragStartX, x);
+                drawBrush();
+            }
+            hover(x);
+        });
+
+        overlay.addEventListener('pointerup', event => {
+            if (dragStartX === null) {
+                return;
+            }
+            const x = getLocalX(event);
+            const dragged = Math.abs(x - dragStartX) >= MIN_BRUSH_PX;
+            brush = dragged ? toTimeRange(dragStartX, x) : null;
+            dragStartX = null;
+            drawBrush();
+            onBrush(brush);
+        });
+
+        overlay.addEventListener('pointerleave', () => {
+            if (dragStartX !== null) {
+                return;
+            }
+            layout.cursor.style.display = 'none';
+            onHover(null);
+        });
+    }
+
+    function hover(x) {
+        const sample = findNearestSample(series, layout.timeAt(x));
+        if (!sample) {
+            return;
+        }
+        layout.cursor.setAttribute('x1', layout.x(sample.time));
+        layout.cursor.setAttribute('x2', layout.x(sample.time));
+        layout.cursor.style.display = '';
+        onHover(sample);
+    }
+
+    function drawBrush() {
+        if (!layout) {
+            return;
+        }
+        if (!brush) {
+            layout.brushRect.style.display = 'none';
+            return;
+        }
+        const x1 = layout.x(brush.start);
+        const x2 = layout.x(brush.end);
+        layout.brushRect.setAttribute('x', x1);
+        layout.brushRect.setAttribute('width', Math.max(1, x2 - x1));
+        layout.brushRect.style.display = '';
+    }
+
+    function toTimeRange(x1, x2) {
+        const clamp = x => Math.min(MARGIN.left + layout.plotWidth, Math.max(MARGIN.left, x));
+        const [a, b] = [clamp(x1), clamp(x2)].sort((p, q) => p - q);
+        return { start: layout.timeAt(a), end: layout.timeAt(b) };
+    }
+
+    function getLocalX(event) {
+        const bounds = svg.getBoundingClientRect();
+        return event.clientX - bounds.left;
+    }
+
+    window.addEventListener('resize', () => {
+        if (container.offsetParent !== null) {
+            render();
+        }
+    });
+
+    return {
+        setSeries(nextSeries, nextUnit = '') {
+            series = nextSeries;
+            unit = nextUnit;
+            if (!getExtent(series)) {
+                brush = null;
+            }
+            render();
+        },
+        clearBrush() {
+            brush = null;
+            drawBrush();
+        },
+        render
+    };
+}
+
+function getExtent(series) {
+    let minTime = Infinity;
+    let maxTime = -Infinity;
+    let minValue = Infinity;
+    let maxValue = -Infinity;
+
+    series.forEach(({ samples }) => samples.forEach(({ time, value }) => {
+        if (value === null) {
+            return;
+        }
+        minTime = Math.min(minTime, time);
+        maxTime = Math.max(maxTime, time);
+        minValue = Math.min(minValue, value);
+        maxValue = Math.max(maxValue, value);
+    }));
+
+    return minTime <= maxTime ? { minTime, maxTime, minValue, maxValue } : null;
+}
+
+// Keeps the first, lowest, highest and last sample of every pixel column.
+function decimate(samples, layout) {
+    const kept = [];
+    let column = null;
+    let bucket = [];
+
+    const flush = () => {
+        if (!bucket.length) {
+            return;
+        }
+        if (bucket.length <= 4) {
+            kept.push(...bucket);
+        } else {
+            let low = bucket[0];
+            let high = bucket[0];
+            bucket.forEach(sample => {
+                if (sample.value < low.value) low = sample;
+                if (sample.value > high.value) high = sample;
+            });
+            const picked = new Set([bucket[0], low, high, bucket.at(-1)]);
+            kept.push(...bucket.filter(sample => picked.has(sample)));
+        }
+        bucket = [];
+    };
+
+    samples.forEach(sample => {
+        if (sample.value === null) {
+            flush();
+            kept.push(sample);
+            return;
+        }
+        const sampleColumn = Math.floor(layout.x(sample.time));
+        if (sampleColumn !== column) {
+            flush();
+            column = sampleColumn;
+        }
+        bucket.push(sample);
+    });
+    flush();
+
+    return kept;
+}
+
+function buildPath(samples, layout) {
+    let d = '';
+    let penDown = false;
+    samples.forEach(({ time, value }) => {
+        if (value === null) {
+            penDown = false;
+            return;
+        }
+        d += `${penDown ? 'L' : 'M'}${layout.x(time).toFixed(1)} ${layout.y(value).toFixed(1)}`;
+        penDown = true;
+    });
+    return d;
+}
+
+function findNearestSample(series, time) {
+    let best = null;
+    series.forEach(({ samples }) => {
+        let low = 0;
+        let high = samples.length - 1;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (samples[mid].time < time) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        [low - 1, low].forEach(index => {
+            const sample = samples[index];
+            if (sample && sample.value !== null
+                && (!best || Math.abs(sample.time - time) < Math.abs(best.time - time))) {
+                best = sample;
+            }
+        });
+    });
+    return best;
+}
+
+function appendLine(svg, x1, y1, x2, y2, className) {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.classList.add(className);
+    svg.appendChild(line);
+}
+
+function appendText(svg, x, y, text, className) {
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.textContent = text;
+    label.classList.add(className);
+    svg.appendChild(label);
+}
+
+function formatValue(value) {
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: Math.abs(value) < 10 ? 1 : 0 }).format(value);
+}
+
+function formatTick(time, spanMs) {
+    const date = new Date(time);
+    if (spanMs > 2 * 24 * 3600 * 1000) {
+        return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+}
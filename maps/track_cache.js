@@ -0,0 +1,139 @@
+/**
+ * track_cache.js
+ *
+ * Persistent IndexedDB cache of parsed GPX tracks, so repeat visits can skip
+ * downloading and parsing files whose git blob SHA has not changed. Every
+ * function resolves to null/undefined instead of throwing when IndexedDB is
+ * unavailable (private browsing, file:// pages), so callers can treat the
+ * cache as best-effort.
+ *
+ * A second store keeps the tracks a visitor imported from their own files, so
+ * they are still listed on the next visit.
+ *
+ * Exports:
+ *   - readCachedTrack(path, sha): Resolves to the cached record, or null on a miss.
+ *   - writeCachedTrack(record): Stores a { path, sha, model, info } record.
+ *   - readLocalTracks(): Resolves to every stored { path, model } local track.
+ *   - writeLocalTrack(record): Stores a { path, model } local track.
+ *   - deleteLocalTrack(path): Removes a stored local track.
+ */
+
+const DB_NAME = 'aion-track-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'tracks';
+const LOCAL_STORE_NAME = 'localTracks';
+
+// Bump whenever the shape of the parsed model or info changes so stale
+// records from older versions of the site are ignored.
+const CACHE_FORMAT = 8;
+// Imported tracks only keep the model (info is recomputed on restore), so they
+// have their own format and survive changes to info.
+const LOCAL_FORMAT = 4;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise(resolve => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                [STORE_NAME, LOCAL_STORE_NAME].forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath: 'path' });
+                    }
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Track cache unavailable:', request.error);
+                resolve(null);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+export async function readCachedTrack(path, sha) {
+    if (!sha) {
+        return null;
+    }
+
+    const db = await openDatabase();
+    if (!db) {
+        return null;
+    }
+
+    return new Promise(resolve => {
+        const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(path);
+        request.onsuccess = () => {
+            const record = request.result;
+            resolve(record && record.sha === sha && record.format === CACHE_FORMAT ? record : null);
+        };
+        request.onerror = () => resolve(null);
+    });
+}
+
+export async function writeCachedTrack(record) {
+    if (!record.sha) {
+        return;
+    }
+
+    const db = await openDatabase();
+    if (!db) {
+        return;
+    }
+
+    return new Promise(resolve => {
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        transaction.objectStore(STORE_NAME).put({ ...record, format: CACHE_FORMAT });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => {
+            console.warn('Unable to cache track', record.path, transaction.error);
+            resolve();
+        };
+    });
+}
+
+export async function readLocalTracks() {
+    const db = await openDatabase();
+    if (!db) {
+        return [];
+    }
+
+    return new Promise(resolve => {
+        const request = db.transaction(LOCAL_STORE_NAME, 'readonly').objectStore(LOCAL_STORE_NAME).getAll();
+        request.onsuccess = () => resolve(request.result.filter(record => record.format === LOCAL_FORMAT));
+        request.onerror = () => resolve([]);
+    });
+}
+
+export async function writeLocalTrack(record) {
+    await updateLocalStore(store => store.put({ path: record.path, model: record.model, format: LOCAL_FORMAT }));
+}
+
+export async function deleteLocalTrack(path) {
+    await updateLocalStore(store => store.delete(path));
+}
+
+async function updateLocalStore(update) {
+    const db = await openDatabase();
+    if (!db) {
+        return;
+    }
+
+    return new Promise(resolve => {
+        const transaction = db.transaction(LOCAL_STORE_NAME, 'readwrite');
+        update(transaction.objectStore(LOCAL_STORE_NAME));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => {
+            console.warn('Unable to update local tracks', transaction.error);
+            resolve();
+        };
+    });
+}
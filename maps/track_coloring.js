@@ -0,0 +1,194 @@
+/**
+ * track_coloring.js
+ *
+ * Builds gradient polylines that colour a track by a per-point value: any
+ * numeric metadata field found by normalizeMetadataEntries, speed derived
+ * from time and distance, or elevation. Values are bucketed into COLOR_STEPS colours and
+ * every run of the same colour in a file is drawn as part of a single
+ * multi-polyline, so a month-long file becomes a few dozen Leaflet layers
+ * rather than one per point.
+ *
+ * Exports:
+ *   - COLOR_SCALES: Named colour scales ({ label, stops }).
+ *   - DERIVED_SPEED_FIELD: Field key for speed derived from the track itself.
+ *   - ELEVATION_FIELD: Field key for the GPX <ele> of each point.
+ *   - listColorFields(tracks): Numeric fields available in model tracks, [{ key, label, unit }].
+ *   - getSegmentValues(tracks, fieldKey): Per-segment arrays of point values (null when missing).
+ *   - getValueRange(segmentValues): { min, max } over the values, or null if there are none.
+ *   - createGradientLayer(tracks, segmentValues, range, scaleName): L.featureGroup of gradient polylines.
+ *   - getScaleGradientCss(scaleName): CSS linear-gradient() for a legend bar.
+ *
+ * Dependencies:
+ *   - point_metadata.js (for normalizing point metadata)
+ *   - gpx_stats.js (for derived speed)
+ */
+import { normalizeMetadataEntries, getNumericEntry, getNumericValue } from './point_metadata.js';
+import { pointSpeedsKnots } from './gpx_stats.js';
+
+export const COLOR_SCALES = {
+    viridis: {
+        label: 'Viridis',
+        stops: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725']
+    },
+    turbo: {
+        label: 'Turbo',
+        stops: ['#30123b', '#4662d7', '#36aaf9', '#1ae4b6', '#72fe5e', '#c8ef34', '#faba39', '#f66b19', '#ca2a04', '#7a0403']
+    },
+    coolwarm: {
+        label: 'Blue → Red',
+        stops: ['#3b4cc0', '#6f92f3', '#aac7fd', '#dddddd', '#f7b89c', '#e7745b', '#b40426']
+    },
+    magma: {
+        label: 'Magma',
+        stops: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf']
+    }
+};
+
+export const DERIVED_SPEED_FIELD = 'derived:speed';
+export const ELEVATION_FIELD = 'derived:elevation';
+
+const COLOR_STEPS = 32;
+const MISSING_VALUE_COLOR = '#9ca3af';
+const GRADIENT_POLYLINE_OPTIONS = { weight: 4, opacity: 0.9 };
+
+export function listColorFields(tracks) {
+    const fields = new Map();
+    let hasTimedSegments = false;
+    let hasElevation = false;
+
+    tracks.forEach(trk => trk.segments.forEach(segment => {
+        if (segment.points.filter(p => p.time !== null).length > 1) {
+            hasTimedSegments = true;
+        }
+        segment.points.forEach(point => {
+            if (point.ele !== null && point.ele !== undefined) {
+                hasElevation = true;
+            }
+            if (!point.meta) {
+                return;
+            }
+            normalizeMetadataEntries(point.meta).forEach(entry => {
+                if (!fields.has(entry.label) && getNumericValue(entry.value) !== null) {
+                    fields.set(entry.label, { key: entry.label, label: entry.label, unit: entry.unit || '' });
+                }
+            });
+        });
+    }));
+
+    const list = [...fields.values()].sort((a, b) => a.label.localeCompare(b.label));
+    if (hasElevation) {
+        list.unshift({ key: ELEVATION_FIELD, label: 'Elevation', unit: 'm' });
+    }
+    if (hasTimedSegments) {
+        list.unshift({ key: DERIVED_SPEED_FIELD, label: 'Speed (from track)', unit: 'kn' });
+    }
+    return list;
+}
+
+export function getSegmentValues(tracks, fieldKey) {
+    return tracks.map(trk => trk.segments.map(segment => {
+        if (fieldKey === DERIVED_SPEED_FIELD) {
+            return pointSpeedsKnots(segment.points);
+        }
+        if (fieldKey === ELEVATION_FIELD) {
+            return segment.points.map(point => point.ele ?? null);
+        }
+        return segment.points.map(point => {
+            if (!point.meta) {
+                return null;
+            }
+            const entry = getNumericEntry(normalizeMetadataEntries(point.meta), fieldKey);
+            return entry ? getNumericValue(entry.value) : null;
+        });
+    }));
+}
+
+export function getValueRange(segmentValues) {
+    let min = Infinity;
+    let max = -Infinity;
+
+    segmentValues.forEach(trackValues => trackValues.forEach(values => values.forEach(value => {
+        if (value !== null) {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        }
+    })));
+
+    return min <= max ? { min, max } : null;
+}
+
+export function createGradientLayer(tracks, segmentValues, range, scaleName) {
+    // One list of runs per colour step, plus one for lines with no value.
+    const runsByStep = Array.from({ length: COLOR_STEPS + 1 }, () => []);
+
+    tracks.forEach((trk, trackIndex) => trk.segments.forEach((segment, segmentIndex) => {
+        const values = segmentValues[trackIndex][segmentIndex];
+        const points = segment.points;
+        let currentStep = -1;
+        let currentRun = null;
+
+        for (let i = 1; i < points.length; i++) {
+            const step = getColorStep(averageValue(values[i - 1], values[i]), range);
+            if (step !== currentStep) {
+                currentRun = [[points[i - 1].lat, points[i - 1].lon]];
+                runsByStep[step].push(currentRun);
+                currentStep = step;
+            }
+            currentRun.push([points[i].lat, points[i].lon]);
+        }
+    }));
+
+    const layers = [];
+    runsByStep.forEach((runs, step) => {
+        if (!runs.length) {
+            return;
+        }
+        const color = step === COLOR_STEPS ? MISSING_VALUE_COLOR : sampleScale(scaleName, step / (COLOR_STEPS - 1));
+        layers.push(L.polyline(runs, { ...GRADIENT_POLYLINE_OPTIONS, color }));
+    });
+
+    return L.featureGroup(layers);
+}
+
+export function getScaleGradientCss(scaleName) {
+    const { stops } = COLOR_SCALES[scaleName] || COLOR_SCALES.viridis;
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+function averageValue(a, b) {
+    if (a === null) {
+        return b;
+    }
+    if (b === null) {
+        return a;
+    }
+    return (a + b) / 2;
+}
+
+// Index into runsByStep; COLOR_STEPS itself means "no value".
+function getColorStep(value, range) {
+    if (value === null || !range) {
+        return COLOR_STEPS;
+    }
+    const span = range.max - range.min;
+    const t = span > 0 ? (value - range.min) / span : 0.5;
+    return Math.min(COLOR_STEPS - 1, Math.max(0, Math.round(t * (COLOR_STEPS - 1))));
+}
+
+function sampleScale(scaleName, t) {
+    const { stops } = COLOR_SCALES[scaleName] || COLOR_SCALES.viridis;
+    const position = t * (stops.length - 1);
+    const index = Math.min(stops.length - 2, Math.floor(position));
+    return mixColors(stops[index], stops[index + 1], position - index);
+}
+
+function mixColors(from, to, amount) {
+    const a = parseHexColor(from);
+    const b = parseHexColor(to);
+    const channel = i => Math.round(a[i] + (b[i] - a[i]) * amount).toString(16).padStart(2, '0');
+    return `#${channel(0)}${channel(1)}${channel(2)}`;
+}
+
+function parseHexColor(hex) {
+    return [1, 3, 5].map(offset => Number.parseInt(hex.slice(offset, offset + 2), 16));
+}
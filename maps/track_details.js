@@ -0,0 +1,157 @@
+/**
+ * track_details.js
+ *
+ * Drawer with everything the header of a track file says about it: the GPX
+ * <metadata> (name, description, author, link, time), the device or program
+ * that wrote it, each <trk>'s name and type, plus point counts, the time span
+ * and the sampling interval of the logger. Opened from the ⓘ button next to a
+ * file in the track list.
+ *
+ * Exports:
+ *   - openTrackDetails(path): Loads the track and shows the #trackDetails drawer.
+ *
+ * Dependencies:
+ *   - track_store.js (for loading parsed tracks)
+ *   - track_metadata.js (for the header fields, title and sampling interval)
+ *   - fetch_tree.js (for the title the track is listed under)
+ *   - ui_helpers.js (for formatting)
+ */
+import { loadTrack } from './track_store.js';
+import { readTrackHeader, getSamplingInterval } from './track_metadata.js';
+import { getTrackTitle } from './fetch_tree.js';
+import { formatTrackSummary, formatTimeRange } from './ui_helpers.js';
+
+let requestCounter = 0;
+let keyListenerAdded = false;
+
+export async function openTrackDetails(path) {
+    const drawer = document.getElementById('trackDetails');
+    if (!drawer) {
+        return;
+    }
+
+    const titleElement = document.getElementById('trackDetailsTitle');
+    const body = document.getElementById('trackDetailsBody');
+    document.getElementById('closeTrackDetails').onclick = () => drawer.classList.add('hidden');
+    if (!keyListenerAdded) {
+        document.addEventListener('keydown', e => {
+            if (e.key === 'Escape') {
+                drawer.classList.add('hidden');
+            }
+        });
+        keyListenerAdded = true;
+    }
+
+    const requestId = ++requestCounter;
+    titleElement.textContent = getTrackTitle(path);
+    body.textContent = 'Loading...';
+    drawer.classList.remove('hidden');
+
+    let record;
+    try {
+        record = await loadTrack(path);
+    } catch (error) {
+        if (requestId === requestCounter) {
+            body.textContent = 'Track unavailable';
+        }
+        return;
+    }
+    if (requestId !== requestCounter) {
+        return;
+    }
+
+    const { model, info } = record;
+    const header = readTrackHeader(model);
+    titleElement.textContent = getTrackTitle(path);
+    body.innerHTML = '';
+
+    const segmentCount = model.tracks.reduce((sum, trk) => sum + trk.segments.length, 0);
+    const interval = getSamplingInterval(model.tracks);
+    body.appendChild(createList([
+        ['File', path.split('/').pop()],
+        ['Name', header.name],
+        ['Description', header.desc],
+        ['Type', header.type],
+        ['Device / app', header.creator],
+        ['Author', header.author],
+        ['Link', header.link],
+        ['Recorded', header.time !== null ? new Date(header.time).toLocaleString() : ''],
+        ['Time span', info.startTime !== null ? formatTimeRange(info.startTime, info.endTime) : ''],
+        ['Points', `${info.pointCount} in ${model.tracks.length} track${model.tracks.length === 1 ? '' : 's'}, ${segmentCount} segment${segmentCount === 1 ? '' : 's'}`],
+        ['Sampling interval', interval !== null ? `${formatInterval(interval)} (median)` : ''],
+        ['Routes', model.routes.length ? String(model.routes.length) : ''],
+        ['Waypoints', model.waypoints.length ? String(model.waypoints.length) : ''],
+        ['Summary', formatTrackSummary(info)]
+    ]));
+
+    const namedTracks = model.tracks.filter(trk => trk.name || trk.type);
+    if (model.tracks.length > 1 && namedTracks.length) {
+        const heading = document.createElement('h4');
+        heading.textContent = 'Tracks in this file';
+        body.appendChild(heading);
+
+        const list = document.createElement('ol');
+        list.className = 'track-details-tracks';
+        model.tracks.forEach(trk => {
+            const pointCount = trk.segments.reduce((sum, segment) => sum + segment.points.length, 0);
+            const item = document.createElement('li');
+            item.textContent = [trk.name || 'Unnamed', trk.type, `${pointCount} points`].filter(Boolean).join(' • ');
+            list.appendChild(item);
+        });
+        body.appendChild(list);
+    }
+}
+
+// <dl> of the rows that have a value; a link value is { href, text }.
+function createList(rows) {
+    const list = document.createElement('dl');
+    list.className = 'track-details-list';
+    rows.forEach(([label, value]) => {
+        if (!value || (typeof value !== 'string' && !value.href)) {
+            return;
+        }
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const definition = document.createElement('dd');
+        const url = typeof value === 'string' ? null : toWebUrl(value.href);
+        if (typeof value === 'string') {
+            definition.textContent = value;
+        } else if (url) {
+            const anchor = document.createElement('a');
+            anchor.href = url;
+            anchor.target = '_blank';
+            anchor.rel = 'noopener';
+            anchor.textContent = value.text || value.href;
+            definition.appendChild(anchor);
+        } else {
+            definition.textContent = value.text || value.href;
+        }
+        list.append(term, definition);
+    });
+    return list;
+}
+
+// Links come from the track file, which may be a visitor's own import, so only
+// http(s) URLs are followed; a bare host gets https://. Anything else (e.g. a
+// javascript: URL) is shown as text.
+function toWebUrl(href) {
+    const candidate = /^[a-z][a-z\d+.-]*:/i.test(href) ? href : `https://${href}`;
+    try {
+        const url = new URL(candidate);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatInterval(seconds) {
+    if (seconds < 60) {
+        return `${Number(seconds.toFixed(1))} s`;
+    }
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) {
+        const rest = Math.round(seconds % 60);
+        return rest ? `${minutes} min ${rest} s` : `${minutes} min`;
+    }
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
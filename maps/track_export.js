@@ -0,0 +1,306 @@
+/**
+ * track_export.js
+ *
+ * Serializes the selected tracks to GPX, KML, GeoJSON or CSV entirely in the
+ * browser. Every format is built from the parsed track model, so an optional
+ * time range can be applied and per-point metadata carried across:
+ *   - GPX keeps each point's metadata as JSON in <desc>, the way the boat logs
+ *     it, so exported files load back into the map unchanged.
+ *   - GeoJSON has a LineString per track and a Point per track point with the
+ *     normalized metadata as properties.
+ *   - CSV has one row per track point with a column per metadata field.
+ *
+ * Exports:
+ *   - EXPORT_FORMATS: { gpx, kml, geojson, csv } with label, extension and MIME type.
+ *   - exportTracks(views, format, timeRange): { filename, mimeType, content }.
+ *       views: [{ filename, tracks, waypoints }]; timeRange: { start, end } (epoch ms) or null.
+ *
+ * Dependencies:
+ *   - point_metadata.js (for flattening point metadata)
+ */
+import { normalizeMetadataEntries } from './point_metadata.js';
+
+export const EXPORT_FORMATS = {
+    gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' },
+    kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+    geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' }
+};
+
+const SERIALIZERS = {
+    gpx: toGpx,
+    kml: toKml,
+    geojson: toGeoJson,
+    csv: toCsv
+};
+
+export function exportTracks(views, format, timeRange = null) {
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const files = views.map(view => ({
+        name: getDisplayName(view.filename),
+        tracks: filterTracks(view.tracks, timeRange),
+        waypoints: timeRange ? [] : (view.waypoints || [])
+    }));
+
+    return {
+        filename: `${buildExportName(views, timeRange)}.${extension}`,
+        mimeType,
+        content: SERIALIZERS[format](files)
+    };
+}
+
+// Keeps the points inside the time range; segments left empty are dropped.
+function filterTracks(tracks, timeRange) {
+    if (!timeRange) {
+        return tracks;
+    }
+    return tracks.map(trk => ({
+        ...trk,
+        segments: trk.segments
+            .map(segment => ({
+                points: segment.points.filter(p => p.time !== null && p.time >= timeRange.start && p.time <= timeRange.end)
+            }))
+            .filter(segment => segment.points.length)
+    }));
+}
+
+function getDisplayName(filename) {
+    const [path, leg] = filename.split('#');
+    const base = path.split('/').pop().replace(/\.[^.]+$/, '');
+    return leg ? `${base} ${leg.replace(/^leg/, 'leg ')}` : base;
+}
+
+function buildExportName(views, timeRange) {
+    const base = views.length === 1
+        ? getDisplayName(views[0].filename).replace(/\s+/g, '_')
+        : `aion_tracks_${views.length}`;
+    if (!timeRange || !Number.isFinite(timeRange.start) || !Number.isFinite(timeRange.end)) {
+        return base;
+    }
+    const day = time => new Date(time).toISOString().slice(0, 10);
+    return `${base}_${day(timeRange.start)}_${day(timeRange.end)}`;
+}
+
+function forEachPoint(files, callback) {
+    files.forEach(file => file.tracks.forEach((trk, trackIndex) => trk.segments.forEach((segment, segmentIndex) => {
+        segment.points.forEach(point => callback(point, file, trackIndex, segmentIndex));
+    })));
+}
+
+function toIsoTime(time) {
+    return time === null || time === undefined ? '' : new Date(time).toISOString();
+}
+
+// Element text only; every attribute written here is a number.
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function toGpx(files) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="SV Aion track export" xmlns="http://www.topografix.com/GPX/1/1">',
+        '  <metadata>',
+        `    <name>${escapeXml(files.map(file => file.name).join(', '))}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        '  </metadata>'
+    ];
+
+    files.forEach(file => file.waypoints.forEach(wpt => {
+        lines.push(`  <wpt lat="${wpt.lat}" lon="${wpt.lon}">`);
+        lines.push(...gpxPointChildren(wpt, '    '));
+        if (wpt.name) lines.push(`    <name>${escapeXml(wpt.name)}</name>`);
+        if (wpt.sym) lines.push(`    <sym>${escapeXml(wpt.sym)}</sym>`);
+        lines.push('  </wpt>');
+    }));
+
+    files.forEach(file => file.tracks.forEach((trk, trackIndex) => {
+        if (!trk.segments.length) {
+            return;
+        }
+        lines.push('  <trk>');
+        lines.push(`    <name>${escapeXml(trk.name || (file.tracks.length > 1 ? `${file.name} (${trackIndex + 1})` : file.name))}</name>`);
+        if (trk.type) lines.push(`    <type>${escapeXml(trk.type)}</type>`);
+        trk.segments.forEach(segment => {
+            lines.push('    <trkseg>');
+            segment.points.forEach(point => {
+                lines.push(`      <trkpt lat="${point.lat}" lon="${point.lon}">`);
+                lines.push(...gpxPointChildren(point, '        '));
+                lines.push('      </trkpt>');
+            });
+            lines.push('    </trkseg>');
+        });
+        lines.push('  </trk>');
+    }));
+
+    lines.push('</gpx>');
+    return lines.join('\n') + '\n';
+}
+
+function gpxPointChildren(point, indent) {
+    const children = [];
+    if (point.ele !== null && point.ele !== undefined) {
+        children.push(`${indent}<ele>${point.ele}</ele>`);
+    }
+    if (point.time !== null && point.time !== undefined) {
+        children.push(`${indent}<time>${toIsoTime(point.time)}</time>`);
+    }
+    if (point.meta) {
+        children.push(`${indent}<desc>${escapeXml(JSON.stringify(point.meta))}</desc>`);
+    }
+    return children;
+}
+
+function toKml(files) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        '  <name>SV Aion tracks</name>'
+    ];
+
+    files.forEach(file => {
+        lines.push('  <Folder>');
+        lines.push(`    <name>${escapeXml(file.name)}</name>`);
+
+        file.waypoints.forEach(wpt => {
+            lines.push('    <Placemark>');
+            if (wpt.name) lines.push(`      <name>${escapeXml(wpt.name)}</name>`);
+            lines.push(`      <Point><coordinates>${kmlCoordinate(wpt)}</coordinates></Point>`);
+            lines.push('    </Placemark>');
+        });
+
+        file.tracks.forEach((trk, trackIndex) => {
+            const segments = trk.segments.filter(segment => segment.points.length > 1);
+            if (!segments.length) {
+                return;
+            }
+            const times = segments.flatMap(segment => segment.points.map(p => p.time)).filter(t => t !== null);
+
+            lines.push('    <Placemark>');
+            lines.push(`      <name>${escapeXml(trk.name || `${file.name} (${trackIndex + 1})`)}</name>`);
+            if (times.length) {
+                const begin = times.reduce((min, t) => Math.min(min, t), Infinity);
+                const end = times.reduce((max, t) => Math.max(max, t), -Infinity);
+                lines.push(`      <TimeSpan><begin>${toIsoTime(begin)}</begin><end>${toIsoTime(end)}</end></TimeSpan>`);
+            }
+            lines.push('      <MultiGeometry>');
+            segments.forEach(segment => {
+                lines.push(`        <LineString><coordinates>${segment.points.map(kmlCoordinate).join(' ')}</coordinates></LineString>`);
+            });
+            lines.push('      </MultiGeometry>');
+            lines.push('    </Placemark>');
+        });
+
+        lines.push('  </Folder>');
+    });
+
+    lines.push('</Document>', '</kml>');
+    return lines.join('\n') + '\n';
+}
+
+function kmlCoordinate(point) {
+    return point.ele !== null && point.ele !== undefined
+        ? `${point.lon},${point.lat},${point.ele}`
+        : `${point.lon},${point.lat}`;
+}
+
+function toGeoJson(files) {
+    const features = [];
+
+    files.forEach(file => file.tracks.forEach((trk, trackIndex) => {
+        const lines = trk.segments
+            .filter(segment => segment.points.length > 1)
+            .map(segment => segment.points.map(p => [p.lon, p.lat]));
+        if (lines.length) {
+            features.push({
+                type: 'Feature',
+                geometry: lines.length === 1
+                    ? { type: 'LineString', coordinates: lines[0] }
+                    : { type: 'MultiLineString', coordinates: lines },
+                properties: { file: file.name, track: trackIndex + 1, name: trk.name || '' }
+            });
+        }
+    }));
+
+    forEachPoint(files, (point, file, trackIndex, segmentIndex) => {
+        const properties = {
+            file: file.name,
+            track: trackIndex + 1,
+            segment: segmentIndex + 1,
+            time: toIsoTime(point.time) || null,
+            ele: point.ele
+        };
+        const units = {};
+        if (point.meta) {
+            normalizeMetadataEntries(point.meta).forEach(entry => {
+                properties[entry.label] = entry.value;
+                if (entry.unit) {
+                    units[entry.label] = entry.unit;
+                }
+            });
+        }
+        if (Object.keys(units).length) {
+            properties.units = units;
+        }
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+            properties
+        });
+    });
+
+    files.forEach(file => file.waypoints.forEach(wpt => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [wpt.lon, wpt.lat] },
+            properties: { file: file.name, waypoint: true, name: wpt.name || '', desc: wpt.desc || '' }
+        });
+    }));
+
+    return JSON.stringify({ type: 'FeatureCollection', features }, null, 1) + '\n';
+}
+
+function toCsv(files) {
+    const rows = [];
+    const columns = new Map();
+
+    forEachPoint(files, (point, file, trackIndex, segmentIndex) => {
+        const values = {};
+        if (point.meta) {
+            normalizeMetadataEntries(point.meta).forEach(entry => {
+                if (!columns.has(entry.label)) {
+                    columns.set(entry.label, entry.unit ? `${entry.label} (${entry.unit})` : entry.label);
+                }
+                values[entry.label] = typeof entry.value === 'object' ? JSON.stringify(entry.value) : entry.value;
+            });
+        }
+        rows.push([
+            file.name,
+            trackIndex + 1,
+            segmentIndex + 1,
+            toIsoTime(point.time),
+            point.lat,
+            point.lon,
+            point.ele ?? '',
+            values
+        ]);
+    });
+
+    const metadataLabels = [...columns.keys()];
+    const header = ['file', 'track', 'segment', 'time', 'lat', 'lon', 'ele', ...metadataLabels.map(label => columns.get(label))];
+    const lines = [header.map(escapeCsv).join(',')];
+    rows.forEach(row => {
+        const values = row.pop();
+        lines.push([...row, ...metadataLabels.map(label => values[label] ?? '')].map(escapeCsv).join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function escapeCsv(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,173 @@
+/**
+ * track_filter.js
+ *
+ * The date range / area filter applied to the tracks on the map. A filter is
+ * { start, end, area } where start and end are epoch ms (either may be null)
+ * and area is null, a rectangle { type: 'bbox', south, west, north, east } or
+ * a polygon { type: 'polygon', points: [[lat, lon], ...] }. A point passes
+ * when it is inside the area and, if a date is set, timestamped within it.
+ * No DOM or Leaflet dependencies.
+ *
+ * In the URL the filter is ?from=YYYY-MM-DD&to=YYYY-MM-DD (local days, both
+ * inclusive), ?bbox=west,south,east,north for a rectangle and
+ * ?poly=lat,lon;lat,lon;... for a polygon.
+ *
+ * Exports:
+ *   - readFilterParams(params): Returns the filter in URLSearchParams, or null.
+ *   - getFilterParams(filter): The filter's URL parameters as { from, to, bbox, poly },
+ *     null for each one it does not use (all null for no filter).
+ *   - pointPassesFilter(point, filter): Whether a { lat, lon, time } point passes.
+ *   - filterTracks(tracks, filter): model.tracks with only the passing points.
+ *     Segments are split where points are left out, so lines do not jump
+ *     across them; <trk> indices are kept.
+ *   - entryMayPass(entry, filter): Quick check of a manifest entry's time span
+ *     and bounds; false means no point of the track can pass.
+ *
+ * Dependencies:
+ *   - gpx_stats.js (for day keys)
+ */
+import { localDayKey } from './gpx_stats.js';
+
+const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const COORDINATE_DIGITS = 5;
+// Manifest times are not always written with a time zone, so entryMayPass
+// allows this much either side before ruling a track out.
+const ENTRY_TIME_SLACK_MS = 24 * 60 * 60 * 1000;
+
+export function readFilterParams(params) {
+    const start = parseDay(params.get('from'), 0);
+    const end = parseDay(params.get('to'), 1);
+    const area = parseBbox(params.get('bbox')) || parsePolygon(params.get('poly'));
+    return start !== null || end !== null || area ? { start, end, area } : null;
+}
+
+export function getFilterParams(filter) {
+    const params = { from: null, to: null, bbox: null, poly: null };
+    if (!filter) {
+        return params;
+    }
+    if (filter.start !== null) {
+        params.from = localDayKey(filter.start);
+    }
+    if (filter.end !== null) {
+        params.to = localDayKey(filter.end);
+    }
+    if (filter.area && filter.area.type === 'bbox') {
+        const { west, south, east, north } = filter.area;
+        params.bbox = [west, south, east, north].map(roundCoordinate).join(',');
+    } else if (filter.area && filter.area.type === 'polygon') {
+        params.poly = filter.area.points.map(point => point.map(roundCoordinate).join(',')).join(';');
+    }
+    return params;
+}
+
+export function pointPassesFilter(point, filter) {
+    if (filter.start !== null || filter.end !== null) {
+        if (point.time === null || point.time === undefined) {
+            return false;
+        }
+        if ((filter.start !== null && point.time < filter.start) || (filter.end !== null && point.time > filter.end)) {
+            return false;
+        }
+    }
+    return !filter.area || isInsideArea(point.lat, point.lon, filter.area);
+}
+
+export function filterTracks(tracks, filter) {
+    return tracks.map(trk => {
+        const segments = [];
+        trk.segments.forEach(segment => {
+            let run = [];
+            segment.points.forEach(point => {
+                if (pointPassesFilter(point, filter)) {
+                    run.push(point);
+                } else if (run.length) {
+                    segments.push({ points: run });
+                    run = [];
+                }
+            });
+            if (run.length) {
+                segments.push({ points: run });
+            }
+        });
+        return { ...trk, segments };
+    });
+}
+
+export function entryMayPass(entry, filter) {
+    const firstTime = entry.firstTime ? Date.parse(entry.firstTime) : NaN;
+    const lastTime = entry.lastTime ? Date.parse(entry.lastTime) : NaN;
+    if (Number.isFinite(firstTime) && Number.isFinite(lastTime)) {
+        if ((filter.start !== null && lastTime + ENTRY_TIME_SLACK_MS < filter.start)
+            || (filter.end !== null && firstTime - ENTRY_TIME_SLACK_MS > filter.end)) {
+            return false;
+        }
+    }
+
+    if (filter.area && Array.isArray(entry.bounds)) {
+        const [[south, west], [north, east]] = entry.bounds;
+        const area = getAreaBounds(filter.area);
+        if (north < area.south || south > area.north || east < area.west || west > area.east) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// Start of the given local day plus dayOffset days, so "to" covers the whole day.
+function parseDay(value, dayOffset) {
+    const match = value ? value.match(DAY_PATTERN) : null;
+    if (!match) {
+        return null;
+    }
+    const time = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]) + dayOffset).getTime();
+    return dayOffset ? time - 1 : time;
+}
+
+function parseBbox(value) {
+    const numbers = value ? value.split(',').map(Number) : [];
+    if (numbers.length !== 4 || !numbers.every(Number.isFinite)) {
+        return null;
+    }
+    const [west, south, east, north] = numbers;
+    return { type: 'bbox', south: Math.min(south, north), west: Math.min(west, east), north: Math.max(south, north), east: Math.max(west, east) };
+}
+
+function parsePolygon(value) {
+    const points = value ? value.split(';').map(pair => pair.split(',').map(Number)) : [];
+    if (points.length < 3 || !points.every(point => point.length === 2 && point.every(Number.isFinite))) {
+        return null;
+    }
+    return { type: 'polygon', points };
+}
+
+function roundCoordinate(value) {
+    return Number(value.toFixed(COORDINATE_DIGITS));
+}
+
+function getAreaBounds(area) {
+    if (area.type === 'bbox') {
+        return area;
+    }
+    const lats = area.points.map(point => point[0]);
+    const lons = area.points.map(point => point[1]);
+    return { south: Math.min(...lats), west: Math.min(...lons), north: Math.max(...lats), east: Math.max(...lons) };
+}
+
+function isInsideArea(lat, lon, area) {
+    if (area.type === 'bbox') {
+        return lat >= area.south && lat <= area.north && lon >= area.west && lon <= area.east;
+    }
+
+    // Ray casting; treating lat/lon as planar is fine for areas a few miles across.
+    let inside = false;
+    const points = area.points;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const [latI, lonI] = points[i];
+        const [latJ, lonJ] = points[j];
+        if ((latI > lat) !== (latJ > lat) && lon < (lonJ - lonI) * (lat - latI) / (latJ - latI) + lonI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
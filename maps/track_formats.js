@@ -0,0 +1,62 @@
+/**
+ * track_formats.js
+ *
+ * Picks the parser for a track file by its extension, so raw NMEA logs in the
+ * repository and files from outside it (dropped or picked by the visitor) end
+ * up in the same track model as the GPX logs.
+ *
+ * Exports:
+ *   - SUPPORTED_TRACK_EXTENSIONS: File extensions that parseTrackFile understands.
+ *   - isSupportedTrackFile(name): Whether a file name has a supported extension.
+ *   - parseTrackFile(name, arrayBuffer): Returns the track model for a file's contents.
+ *   - parseTrackText(name, text): Same, for text formats already read as a string.
+ *
+ * Dependencies:
+ *   - gpx_parser.js, kml_parser.js, geojson_parser.js, nmea_parser.js, fit_parser.js
+ */
+import { parseGpxModel } from './gpx_parser.js';
+import { parseKmlModel } from './kml_parser.js';
+import { parseGeoJsonModel } from './geojson_parser.js';
+import { parseNmeaModel } from './nmea_parser.js';
+import { parseFitModel } from './fit_parser.js';
+
+const TEXT_PARSERS = {
+    gpx: parseGpxModel,
+    kml: parseKmlModel,
+    geojson: parseGeoJsonModel,
+    json: parseGeoJsonModel,
+    nmea: parseNmeaModel,
+    log: parseNmeaModel,
+    txt: parseNmeaModel
+};
+
+const BINARY_PARSERS = {
+    fit: parseFitModel
+};
+
+export const SUPPORTED_TRACK_EXTENSIONS = [...Object.keys(TEXT_PARSERS), ...Object.keys(BINARY_PARSERS)];
+
+function getExtension(name) {
+    const match = name.toLowerCase().match(/\.([a-z0-9]+)$/);
+    return match ? match[1] : '';
+}
+
+export function isSupportedTrackFile(name) {
+    return SUPPORTED_TRACK_EXTENSIONS.includes(getExtension(name));
+}
+
+export function parseTrackFile(name, arrayBuffer) {
+    const extension = getExtension(name);
+    if (BINARY_PARSERS[extension]) {
+        return BINARY_PARSERS[extension](arrayBuffer);
+    }
+    return parseTrackText(name, new TextDecoder().decode(arrayBuffer));
+}
+
+export function parseTrackText(name, text) {
+    const parser = TEXT_PARSERS[getExtension(name)];
+    if (!parser) {
+        throw new Error(`Unsupported track file: ${name}`);
+    }
+    return parser(text);
+}
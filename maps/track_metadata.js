@@ -0,0 +1,87 @@
+/**
+ * track_metadata.js
+ *
+ * Human-readable names for tracks. A track is called by its GPX name (the
+ * <metadata> name, else the first named <trk>); unnamed tracks, like the
+ * monthly logger files, are called by the months they cover ("Sep 2025",
+ * "Jun – Jul 2025") and only fall back to the filename when they have no
+ * timestamps either. No DOM or Leaflet dependencies.
+ *
+ * Exports:
+ *   - readTrackHeader(model): Returns { name, desc, type, creator, author, link, time }
+ *     of a parsed track model, taking each from <metadata> or else the first
+ *     <trk> that has it.
+ *   - formatTrackTitle({ path, name, startTime, endTime }): The name to show for a track.
+ *   - formatMonthSpan(startTime, endTime): Returns e.g. "Sep 2025", "Jun – Jul 2025"
+ *     or "Dec 2025 – Jan 2026"; null without times.
+ *   - getSamplingInterval(tracks): Median seconds between consecutive timed
+ *     points of model tracks, or null.
+ *
+ * Dependencies: none
+ */
+
+export function readTrackHeader(model) {
+    const metadata = model.metadata || {};
+    const tracks = model.tracks || [];
+    const fromTracks = field => {
+        const trk = tracks.find(candidate => candidate[field] && !isJsonText(candidate[field]));
+        return trk ? trk[field] : '';
+    };
+
+    return {
+        name: metadata.name || fromTracks('name'),
+        desc: metadata.desc || fromTracks('desc'),
+        type: fromTracks('type'),
+        creator: metadata.creator || '',
+        author: metadata.author || '',
+        link: metadata.link || null,
+        time: metadata.time ?? null
+    };
+}
+
+export function formatTrackTitle({ path, name, startTime, endTime }) {
+    return name || formatMonthSpan(startTime, endTime) || path.split('/').pop();
+}
+
+export function formatMonthSpan(startTime, endTime) {
+    if (startTime === null || startTime === undefined || !Number.isFinite(startTime)) {
+        return null;
+    }
+    const start = new Date(startTime);
+    const end = new Date(Number.isFinite(endTime) ? endTime : startTime);
+    const month = date => date.toLocaleDateString(undefined, { month: 'short' });
+    const monthYear = date => date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
+    if (start.getFullYear() !== end.getFullYear()) {
+        return `${monthYear(start)} – ${monthYear(end)}`;
+    }
+    if (start.getMonth() !== end.getMonth()) {
+        return `${month(start)} – ${monthYear(end)}`;
+    }
+    return monthYear(start);
+}
+
+export function getSamplingInterval(tracks) {
+    const intervals = [];
+    tracks.forEach(trk => trk.segments.forEach(segment => {
+        for (let i = 1; i < segment.points.length; i++) {
+            const previous = segment.points[i - 1].time;
+            const current = segment.points[i].time;
+            if (previous !== null && current !== null && current > previous) {
+                intervals.push((current - previous) / 1000);
+            }
+        }
+    }));
+    if (!intervals.length) {
+        return null;
+    }
+
+    intervals.sort((a, b) => a - b);
+    const middle = Math.floor(intervals.length / 2);
+    return intervals.length % 2 ? intervals[middle] : (intervals[middle - 1] + intervals[middle]) / 2;
+}
+
+// Loggers put a point's JSON readings in <desc>; that is not a description.
+function isJsonText(text) {
+    return text.trim().startsWith('{');
+}
@@ -0,0 +1,171 @@
+/**
+ * track_search.js
+ *
+ * Parsing and matching for the search box above the track list. A query is
+ * split into date expressions and plain words: a track matches when every word
+ * occurs in its path (so folder names count) or in one of its GPX <name>/<desc>
+ * texts, and its time span overlaps every date expression. Words are matched
+ * case-insensitively as substrings. No DOM or Leaflet dependencies.
+ *
+ * Date expressions (local time):
+ *   2025, 2025-06, 2025/06, 06/2025, 2025-06-19, 2025/06/19, "June 2025",
+ *   "jun 2025", today, yesterday, this/last week (weeks start on Monday),
+ *   this/last month, this/last year, "last 10 days"
+ *
+ * Exports:
+ *   - parseSearchQuery(query, now): Returns { terms, ranges } for a query, or
+ *     null when it is empty. terms are lower-case words, ranges { start, end }
+ *     in epoch ms (end inclusive).
+ *   - matchesSearch(track, search): Whether a { path, names, startTime, endTime }
+ *     track matches a parsed query.
+ *   - findSearchHits(text, terms): [start, end) character ranges of the terms in
+ *     a text, merged and in order, for highlighting.
+ *
+ * Dependencies: none
+ */
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// Full month names or their abbreviations only, so words like "marina" are
+// still searched as text.
+const MONTH_PATTERN = '(january|jan|february|feb|march|mar|april|apr|may|june|jun|july|jul|august|aug|september|sept?|october|oct|november|nov|december|dec)\\b\\.?';
+
+// Each pattern is tried in order against the remaining query; matched text is
+// removed before the next one so "2025-06-19" is not also read as "2025".
+const DATE_EXPRESSIONS = [
+    {
+        pattern: /\b(\d{4})([-/])(\d{1,2})\2(\d{1,2})\b/g,
+        toRange: ([, year, , month, day]) => isValidDate(month, day) ? dayRange(Number(year), Number(month) - 1, Number(day), 1) : null
+    },
+    {
+        pattern: /\b(\d{4})[-/](\d{1,2})\b/g,
+        toRange: ([, year, month]) => isValidDate(month, 1) ? monthRange(Number(year), Number(month) - 1) : null
+    },
+    {
+        pattern: /\b(\d{1,2})\/(\d{4})\b/g,
+        toRange: ([, month, year]) => isValidDate(month, 1) ? monthRange(Number(year), Number(month) - 1) : null
+    },
+    {
+        pattern: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{4})\\b`, 'g'),
+        toRange: ([, month, year]) => monthRange(Number(year), findMonth(month))
+    },
+    {
+        pattern: /\b((?:19|20)\d{2})\b/g,
+        toRange: ([, year]) => ({ start: new Date(Number(year), 0, 1).getTime(), end: new Date(Number(year) + 1, 0, 1).getTime() - 1 })
+    },
+    {
+        pattern: /\btoday\b/g,
+        toRange: (match, now) => dayRange(now.getFullYear(), now.getMonth(), now.getDate(), 1)
+    },
+    {
+        pattern: /\byesterday\b/g,
+        toRange: (match, now) => dayRange(now.getFullYear(), now.getMonth(), now.getDate() - 1, 1)
+    },
+    {
+        pattern: /\b(this|last)\s+week\b/g,
+        toRange: ([, which], now) => {
+            const monday = now.getDate() - (now.getDay() + 6) % 7 - (which === 'last' ? 7 : 0);
+            return dayRange(now.getFullYear(), now.getMonth(), monday, 7);
+        }
+    },
+    {
+        pattern: /\b(this|last)\s+month\b/g,
+        toRange: ([, which], now) => monthRange(now.getFullYear(), now.getMonth() - (which === 'last' ? 1 : 0))
+    },
+    {
+        pattern: /\b(this|last)\s+year\b/g,
+        toRange: ([, which], now) => {
+            const year = now.getFullYear() - (which === 'last' ? 1 : 0);
+            return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() - 1 };
+        }
+    },
+    {
+        pattern: /\blast\s+(\d{1,3})\s+days?\b/g,
+        toRange: ([, count], now) => {
+            const days = Number(count);
+            return dayRange(now.getFullYear(), now.getMonth(), now.getDate() - days + 1, days);
+        }
+    }
+];
+
+export function parseSearchQuery(query, now = new Date()) {
+    let rest = query.trim().toLowerCase();
+    if (!rest) {
+        return null;
+    }
+
+    const ranges = [];
+    DATE_EXPRESSIONS.forEach(({ pattern, toRange }) => {
+        rest = rest.replace(pattern, (...match) => {
+            const range = toRange(match, now);
+            if (!range) {
+                return match[0];
+            }
+            ranges.push(range);
+            return ' ';
+        });
+    });
+
+    const terms = rest.split(/\s+/).filter(Boolean);
+    return { terms, ranges };
+}
+
+export function matchesSearch(track, search) {
+    const haystack = [track.path, ...(track.names || [])].join('\n').toLowerCase();
+    if (!search.terms.every(term => haystack.includes(term))) {
+        return false;
+    }
+
+    if (!search.ranges.length) {
+        return true;
+    }
+    if (track.startTime === null || track.startTime === undefined || track.endTime === null || track.endTime === undefined) {
+        return false;
+    }
+    return search.ranges.every(range => track.startTime <= range.end && track.endTime >= range.start);
+}
+
+export function findSearchHits(text, terms) {
+    const lowerText = text.toLowerCase();
+    const hits = [];
+    terms.forEach(term => {
+        for (let index = lowerText.indexOf(term); index !== -1; index = lowerText.indexOf(term, index + term.length)) {
+            hits.push([index, index + term.length]);
+        }
+    });
+    hits.sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    hits.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    return merged;
+}
+
+// `count` local days starting at the given date; the Date constructor rolls
+// day and month overflow into the neighbouring month or year.
+function dayRange(year, month, day, count) {
+    return {
+        start: new Date(year, month, day).getTime(),
+        end: new Date(year, month, day + count).getTime() - 1
+    };
+}
+
+function monthRange(year, month) {
+    return {
+        start: new Date(year, month, 1).getTime(),
+        end: new Date(year, month + 1, 1).getTime() - 1
+    };
+}
+
+function isValidDate(month, day) {
+    return Number(month) >= 1 && Number(month) <= 12 && Number(day) >= 1 && Number(day) <= 31;
+}
+
+function findMonth(text) {
+    return MONTH_NAMES.findIndex(name => name.startsWith(text.slice(0, 3)));
+}
@@ -0,0 +1,145 @@
+/**
+ * track_source.js
+ *
+ * Pluggable sources for the list of tracks (GPX files and raw NMEA logs) and
+ * their contents. The default 'auto' mode reads the committed
+ * gpxFiles/manifest.json and fetches tracks by same-origin relative path, so
+ * the map works from any static host (or a local server) without touching the
+ * GitHub API. If the manifest is missing, the GitHub tree API and
+ * raw.githubusercontent.com are used as a fallback.
+ *
+ * Exports:
+ *   - listTrackEntries(): Resolves to [{ path, ...summary }] for every track,
+ *     using the first source that answers.
+ *   - fetchTrackText(path): Fetches the text (GPX or NMEA) of a track from the
+ *     active source.
+ *   - fetchTrackTextIfChanged(path, validators): Conditional fetch for polling.
+ *     Sends the { etag, lastModified } of the previous response and resolves to
+ *     null on 304 Not Modified, otherwise to { text, validators }.
+ *   - getTrackEntry(path): Returns the manifest/tree entry for a track, if known.
+ *
+ * Dependencies:
+ *   - constants.js (for GitHub coordinates, directories and TRACK_SOURCE)
+ */
+import {
+  GITHUB_USER,
+  GITHUB_REPO,
+  GITHUB_BRANCH,
+  GPX_DIRECTORY,
+  GPX_MANIFEST_FILE,
+  WEBPAGE_ROOT_DIRECTORY,
+  TRACK_SOURCE,
+  TRACK_FILE_EXTENSIONS
+} from './constants.js';
+
+const trackEntries = new Map();
+let activeSource = null;
+
+// Same-origin: list from the committed manifest, fetch GPX files relative to the page.
+const relativeSource = {
+  name: 'relative',
+  async listTracks() {
+    const response = await fetch(`${GPX_DIRECTORY}/${GPX_MANIFEST_FILE}`, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`Manifest request failed: ${response.status}`);
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.tracks)) throw new Error('Manifest has no tracks array');
+    return manifest.tracks;
+  },
+  getTrackUrl(gpxPath) {
+    return encodeURI(gpxPath);
+  },
+  async fetchText(gpxPath) {
+    const response = await fetch(this.getTrackUrl(gpxPath));
+    if (!response.ok) throw new Error(`GPX request failed: ${response.status} ${gpxPath}`);
+    return await response.text();
+  }
+};
+
+// Live repository listing through the (rate limited) GitHub API.
+const githubSource = {
+  name: 'github',
+  async listTracks() {
+    const url = `https://api.github.com/repos/${GITHUB_USER}/${GITHUB_REPO}/git/trees/${GITHUB_BRANCH}?recursive=1`;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`GitHub API error: ${response.status}`);
+    const data = await response.json();
+    if (!data.tree) throw new Error('GitHub API returned no tree');
+
+    const prefix = WEBPAGE_ROOT_DIRECTORY + '/' + GPX_DIRECTORY + '/';
+    return data.tree
+      .filter(item => item.path.startsWith(prefix)
+        && TRACK_FILE_EXTENSIONS.some(extension => item.path.toLowerCase().endsWith(extension)))
+      .map(item => ({
+        path: item.path.slice(WEBPAGE_ROOT_DIRECTORY.length + 1), // strip "maps/"
+        sha: item.sha
+      }));
+  },
+  getTrackUrl(gpxPath) {
+    return `https://raw.githubusercontent.com/${GITHUB_USER}/${GITHUB_REPO}/${GITHUB_BRANCH}/${WEBPAGE_ROOT_DIRECTORY}/${gpxPath}`;
+  },
+  async fetchText(gpxPath) {
+    const response = await fetch(this.getTrackUrl(gpxPath));
+    if (!response.ok) throw new Error(`GPX request failed: ${response.status} ${gpxPath}`);
+    return await response.text();
+  }
+};
+
+const SOURCE_ORDER = {
+  auto: [relativeSource, githubSource],
+  relative: [relativeSource],
+  github: [githubSource]
+};
+
+function getConfiguredSources() {
+  const requested = new URLSearchParams(window.location.search).get('source');
+  return SOURCE_ORDER[requested] || SOURCE_ORDER[TRACK_SOURCE] || SOURCE_ORDER.auto;
+}
+
+export async function listTrackEntries() {
+  let lastError = null;
+
+  for (const source of getConfiguredSources()) {
+    try {
+      const entries = await source.listTracks();
+      activeSource = source;
+      trackEntries.clear();
+      entries.forEach(entry => trackEntries.set(entry.path, entry));
+      return entries;
+    } catch (error) {
+      console.warn(`Track source "${source.name}" unavailable:`, error);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No track source configured');
+}
+
+export async function fetchTrackText(gpxPath) {
+  const source = activeSource || getConfiguredSources()[0];
+  return await source.fetchText(gpxPath);
+}
+
+export async function fetchTrackTextIfChanged(gpxPath, validators = {}) {
+  const source = activeSource || getConfiguredSources()[0];
+  const headers = {};
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  // no-store so the browser cache does not answer for the server (a 304 would
+  // otherwise come back as a 200 with the cached body).
+  const response = await fetch(source.getTrackUrl(gpxPath), { headers, cache: 'no-store' });
+  if (response.status === 304) return null;
+  if (!response.ok) throw new Error(`GPX request failed: ${response.status} ${gpxPath}`);
+
+  return {
+    text: await response.text(),
+    validators: {
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified')
+    }
+  };
+}
+
+export function getTrackEntry(gpxPath) {
+  return trackEntries.get(gpxPath) || null;
+}
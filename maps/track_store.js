@@ -0,0 +1,129 @@
+/**
+ * track_store.js
+ *
+ * Single place where tracks (GPX files and raw NMEA logs) are downloaded and
+ * parsed. Each file is fetched and parsed at most once per page load;
+ * concurrent requests for the same file share one in-flight promise, and
+ * parsed tracks are persisted in IndexedDB keyed by git blob SHA so unchanged
+ * files are not downloaded again on the next visit.
+ *
+ * Exports:
+ *   - loadTrack(path): Resolves to { path, sha, model, info } for a track
+ *     (model as described in gpx_parser.js, info from summarizeTracks).
+ *   - getLoadedTrack(path): The already-parsed record for a track, or null.
+ *   - registerLocalTrack(path, model): Adds a track parsed from a visitor's own
+ *     file, so loadTrack(path) resolves to it without any download.
+ *   - unregisterLocalTrack(path): Forgets a registered local track.
+ *   - refreshTrack(path): Re-downloads a track if it changed on the server
+ *     (conditional request) and has more points than before. Resolves to the
+ *     new record, or null when nothing changed. Used by live mode.
+ *
+ * Dependencies:
+ *   - track_source.js (for fetching track text and the track's SHA)
+ *   - track_cache.js (for the persistent IndexedDB cache)
+ *   - track_formats.js (for parsing GPX or NMEA text by file extension)
+ *   - gpx_stats.js (for track statistics)
+ */
+import { fetchTrackText, fetchTrackTextIfChanged, getTrackEntry } from './track_source.js';
+import { readCachedTrack, writeCachedTrack } from './track_cache.js';
+import { parseTrackText } from './track_formats.js';
+import { summarizeTracks } from './gpx_stats.js';
+import { LOCAL_TRACK_PREFIX } from './constants.js';
+
+const parsedTracks = new Map();
+const inFlightTracks = new Map();
+const trackValidators = new Map();
+
+export function loadTrack(path) {
+    if (parsedTracks.has(path)) {
+        return Promise.resolve(parsedTracks.get(path));
+    }
+
+    if (!inFlightTracks.has(path)) {
+        const request = fetchAndParseTrack(path)
+            .then(record => {
+                parsedTracks.set(path, record);
+                return record;
+            })
+            .finally(() => {
+                inFlightTracks.delete(path);
+            });
+        inFlightTracks.set(path, request);
+    }
+
+    return inFlightTracks.get(path);
+}
+
+export function getLoadedTrack(path) {
+    return parsedTracks.get(path) || null;
+}
+
+export function registerLocalTrack(path, model) {
+    const record = {
+        path,
+        sha: null,
+        model,
+        info: summarizeTracks(model.tracks)
+    };
+    parsedTracks.set(path, record);
+    return record;
+}
+
+export function unregisterLocalTrack(path) {
+    parsedTracks.delete(path);
+}
+
+export async function refreshTrack(path) {
+    const response = await fetchTrackTextIfChanged(path, trackValidators.get(path));
+    if (!response) {
+        return null;
+    }
+    trackValidators.set(path, response.validators);
+
+    const model = parseTrackText(path, response.text);
+    const previous = parsedTracks.get(path);
+    if (previous && countPoints(model) <= countPoints(previous.model)) {
+        return null;
+    }
+
+    // The manifest SHA describes the old contents, so the new parse is not cached.
+    const record = {
+        path,
+        sha: null,
+        model,
+        info: summarizeTracks(model.tracks)
+    };
+    parsedTracks.set(path, record);
+    return record;
+}
+
+function countPoints(model) {
+    return model.tracks.reduce((sum, trk) => sum + trk.segments.reduce((n, segment) => n + segment.points.length, 0), 0);
+}
+
+async function fetchAndParseTrack(path) {
+    // Local tracks only exist once registered; there is nothing to download.
+    if (path.startsWith(LOCAL_TRACK_PREFIX + '/')) {
+        throw new Error(`Local track not available: ${path}`);
+    }
+
+    const entry = getTrackEntry(path);
+    const sha = entry ? entry.sha || null : null;
+
+    const cached = await readCachedTrack(path, sha);
+    if (cached) {
+        return { path, sha, model: cached.model, info: cached.info };
+    }
+
+    const text = await fetchTrackText(path);
+    const model = parseTrackText(path, text);
+    const record = {
+        path,
+        sha,
+        model,
+        info: summarizeTracks(model.tracks)
+    };
+
+    void writeCachedTrack(record);
+    return record;
+}
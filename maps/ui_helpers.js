@@ -8,18 +8,28 @@
  * Features:
  * - Creates a checkbox UI element for a GPX track, with event handlers to add/remove the track from the map.
  * - Formats duration (seconds) and distance (meters) into a user-friendly string (hours, minutes, nautical miles).
+ * - Formats a track/folder summary (underway vs. anchored time, SOG, passages) for info bubbles and map labels.
  * 
  * Exports:
- *   - createCheckbox(filename): Returns a DOM element for a track checkbox and label.
+ *   - createCheckbox(filename, labelText): Returns a DOM element for a track checkbox and label.
  *   - formatDurationDistance(durationSeconds, distanceMeters): Returns a formatted string for stats.
+ *   - formatTrackSummary(summary): Returns a compact one-line summary of a summarizeTracks() result.
+ *   - formatTrackSummaryDetails(summary): Returns a multi-line breakdown, e.g. for a title tooltip.
+ *   - formatTimeRange(startTime, endTime): Returns e.g. "Jun 19 08:12 → 15:40".
+ *   - formatLatLon(lat, lon): Returns e.g. "39.2796°N 76.5847°W".
+ *   - formatLatLonDegreesMinutes(lat, lon): Returns e.g. "39°16.773′N 076°35.082′W".
+ *   - formatTimeAgo(ms): Returns e.g. "12 min ago" for an age in milliseconds.
+ *   - downloadTextFile(filename, content, mimeType): Saves generated text as a file download.
  * 
  * Dependencies:
  *   - map.js (for addTrackToMap, removeTrackFromMap)
+ *   - units.js (for nautical miles)
  * 
  * Usage:
  *   Import and use these helpers when rendering track lists and displaying track statistics.
  */
 import { addTrackToMap, removeTrackFromMap } from './map.js';
+import { METERS_TO_NM } from './units.js';
 // You will need to import or otherwise access trackCheckboxesDiv in updateUrlParams below
 import { trackCheckboxesDiv } from './constants.js'; 
 import {isBulkUpdating} from './create_ui.js';
@@ -65,7 +75,7 @@ export function updateUrlParams() {
 }
 
 
-function createCheckbox(filename) {
+function createCheckbox(filename, labelText = filename.split('/').pop()) {
   const id = `track-${filename.replace(/[^\w-]/g, '_')}`;
 
   const checkbox = document.createElement('input');
@@ -75,7 +85,7 @@ function createCheckbox(filename) {
 
   const label = document.createElement('label');
   label.setAttribute('for', id);
-  label.textContent = ' ' + filename.split('/').pop();
+  label.textContent = ' ' + labelText;
 
   const wrapper = document.createElement('div');
   wrapper.classList.add('track-item');
@@ -105,11 +115,120 @@ export function escapeCSSSelector(value) {
 export function formatDurationDistance(durationSeconds, distanceMeters) {
     const hours = Math.floor(durationSeconds / 3600);
     const minutes = Math.floor((durationSeconds % 3600) / 60);
-    const distanceNauticalMiles = distanceMeters * 0.000539957;
+    const distanceNauticalMiles = distanceMeters * METERS_TO_NM;
     const timeStr = `${hours}h ${minutes}m`;
     const distStr = `${distanceNauticalMiles.toFixed(1)} nm`;
     return `${timeStr} • ${distStr}`;
 }
 
+function formatDuration(seconds) {
+    const totalMinutes = Math.floor(seconds / 60);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days >= 2) {
+        return `${days}d ${hours}h`;
+    }
+    return `${days * 24 + hours}h ${minutes}m`;
+}
+
+/**
+ * Format a track or folder summary into a compact one-line string.
+ * Example: "⛵ 11h 48m • ⚓ 1d 6h • 70.1 nm • 5.9/8.1 kn • 2 passages"
+ */
+export function formatTrackSummary(summary) {
+    const parts = [`⛵ ${formatDuration(summary.movingSeconds)}`];
+    if (summary.anchoredSeconds > 0) {
+        parts.push(`⚓ ${formatDuration(summary.anchoredSeconds)}`);
+    }
+    parts.push(`${(summary.distanceMeters * METERS_TO_NM).toFixed(1)} nm`);
+    if (summary.movingSeconds > 0) {
+        parts.push(`${summary.avgSogKnots.toFixed(1)}/${summary.maxSogKnots.toFixed(1)} kn`);
+    }
+    if (summary.passageCount > 0) {
+        parts.push(`${summary.passageCount} passage${summary.passageCount === 1 ? '' : 's'}`);
+    }
+    return parts.join(' • ');
+}
+
+export function formatTrackSummaryDetails(summary) {
+    return [
+        `Underway: ${formatDuration(summary.movingSeconds)}`,
+        `At anchor: ${formatDuration(summary.anchoredSeconds)}`,
+        `Docked: ${formatDuration(summary.dockedSeconds)}`,
+        `Elapsed: ${formatDuration(summary.durationSeconds)}`,
+        `Distance: ${(summary.distanceMeters * METERS_TO_NM).toFixed(1)} nm`,
+        `Average SOG: ${summary.avgSogKnots.toFixed(1)} kn`,
+        `Max SOG: ${summary.maxSogKnots.toFixed(1)} kn`,
+        `Passages: ${summary.passageCount}`
+    ].join('\n');
+}
+
+export function formatTimeRange(startTime, endTime) {
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    const dateOptions = { month: 'short', day: 'numeric' };
+    const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: false };
+
+    const startText = `${start.toLocaleDateString(undefined, dateOptions)} ${start.toLocaleTimeString(undefined, timeOptions)}`;
+    const endText = start.toDateString() === end.toDateString()
+        ? end.toLocaleTimeString(undefined, timeOptions)
+        : `${end.toLocaleDateString(undefined, dateOptions)} ${end.toLocaleTimeString(undefined, timeOptions)}`;
+    return `${startText} → ${endText}`;
+}
+
+export function formatLatLon(lat, lon) {
+    const latText = `${Math.abs(lat).toFixed(4)}°${lat >= 0 ? 'N' : 'S'}`;
+    const lonText = `${Math.abs(lon).toFixed(4)}°${lon >= 0 ? 'E' : 'W'}`;
+    return `${latText} ${lonText}`;
+}
+
+/**
+ * Degrees and decimal minutes, as on a chart plotter.
+ * Example: "39°16.773′N 076°35.082′W"
+ */
+export function formatLatLonDegreesMinutes(lat, lon) {
+    const format = (value, degreeDigits, positive, negative) => {
+        const totalMinutes = Math.round(Math.abs(value) * 60 * 1000) / 1000;
+        const degrees = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes - degrees * 60;
+        return `${String(degrees).padStart(degreeDigits, '0')}°${minutes.toFixed(3).padStart(6, '0')}′${value >= 0 ? positive : negative}`;
+    };
+    return `${format(lat, 2, 'N', 'S')} ${format(lon, 3, 'E', 'W')}`;
+}
+
+/**
+ * How long ago something happened, from its age in milliseconds.
+ * Example: "just now", "12 min ago", "3 h 5 min ago", "4 days ago"
+ */
+export function formatTimeAgo(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) {
+        return 'just now';
+    }
+    if (minutes < 60) {
+        return `${minutes} min ago`;
+    }
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) {
+        return `${hours} h ${minutes % 60} min ago`;
+    }
+    return `${Math.floor(hours / 24)} days ago`;
+}
+
 
 export { createCheckbox };
+
+/**
+ * Save generated text (e.g. an exported track) as a download, without a server round trip.
+ */
+export function downloadTextFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,17 @@
+/**
+ * units.js
+ *
+ * Unit conversion and formatting shared by the map, the statistics dashboard
+ * and the album pages. No DOM, Leaflet or map.js dependencies, so pages
+ * without a map can import it (ui_helpers.js cannot be imported there).
+ *
+ * Exports:
+ *   - METERS_TO_NM: Nautical miles per meter.
+ *   - formatHours(seconds): Returns e.g. "12.5 h".
+ */
+
+export const METERS_TO_NM = 0.000539957;
+
+export function formatHours(seconds) {
+    return `${(seconds / 3600).toFixed(1)} h`;
+}
@@ -0,0 +1,27 @@
+/**
+ * url_params.js
+ *
+ * Keeps page state in the query string. Panels and pages that remember a
+ * setting in the URL (?t=, ?stops=1, ?folder=, ...) update it through
+ * setUrlParams, which replaces the current history entry instead of adding
+ * one. Kept apart from ui_helpers.js, which depends on map.js, so that pages
+ * without a map can import it too.
+ *
+ * Exports:
+ *   - setUrlParams(values): Sets the given query parameters of the page URL in
+ *     place ({ name: value }; null or undefined removes the parameter).
+ */
+
+export function setUrlParams(values) {
+    const params = new URLSearchParams(window.location.search);
+    Object.entries(values).forEach(([name, value]) => {
+        if (value === null || value === undefined) {
+            params.delete(name);
+        } else {
+            params.set(name, value);
+        }
+    });
+
+    const queryString = params.toString();
+    history.replaceState(null, '', queryString ? `${window.location.pathname}?${queryString}` : window.location.pathname);
+}
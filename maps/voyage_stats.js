@@ -0,0 +1,104 @@
+/**
+ * voyage_stats.js
+ *
+ * Totals across many tracks for the statistics dashboard (maps/stats/):
+ * distance and time underway per month and per year, the longest passage, the
+ * fastest SOG and the nights spent at anchor. Works on loaded
+ * { path, info } track records; no DOM or Leaflet dependencies.
+ *
+ * Distances are the underway distances from gpx_stats.js, so time spent
+ * swinging at anchor or GPS jitter at the dock does not add miles. Nights at
+ * anchor come from the places found by anchorages.js, so a night split across
+ * two files is only counted once.
+ *
+ * Exports:
+ *   - summarizeVoyages(records, homePort): Returns
+ *     { trackCount, underwayMeters, movingSeconds, passageCount,
+ *       months: [{ key: 'YYYY-MM', underwayMeters, movingSeconds }] (every month
+ *       from the first to the last, including months without sailing),
+ *       years: [...same with 'YYYY'],
+ *       longestPassage: { path, index, passage } | null,
+ *       fastest: { path, maxSogKnots } | null,
+ *       nightsAtAnchor, anchorageCount }
+ *
+ * Dependencies:
+ *   - anchorages.js (for nights at anchor)
+ */
+import { findPlaces } from './anchorages.js';
+
+export function summarizeVoyages(records, homePort = null) {
+    const summary = {
+        trackCount: records.length,
+        underwayMeters: 0,
+        movingSeconds: 0,
+        passageCount: 0,
+        months: [],
+        years: [],
+        longestPassage: null,
+        fastest: null,
+        nightsAtAnchor: 0,
+        anchorageCount: 0
+    };
+    const days = [];
+    const stays = [];
+
+    records.forEach(({ path, info }) => {
+        summary.underwayMeters += info.underwayMeters;
+        summary.movingSeconds += info.movingSeconds;
+        summary.passageCount += info.passageCount;
+        days.push(...info.days);
+        stays.push(...info.stays);
+
+        info.passages.forEach((passage, index) => {
+            if (!summary.longestPassage || passage.distanceMeters > summary.longestPassage.passage.distanceMeters) {
+                summary.longestPassage = { path, index, passage };
+            }
+        });
+        if (info.maxSogKnots > 0 && (!summary.fastest || info.maxSogKnots > summary.fastest.maxSogKnots)) {
+            summary.fastest = { path, maxSogKnots: info.maxSogKnots };
+        }
+    });
+
+    summary.months = fillMonthGaps(groupDays(days, 7));
+    summary.years = groupDays(days, 4);
+
+    const anchorages = findPlaces(stays, [], homePort).filter(place => place.state === 'anchored');
+    summary.anchorageCount = anchorages.length;
+    summary.nightsAtAnchor = anchorages.reduce((sum, place) => sum + place.nights, 0);
+
+    return summary;
+}
+
+// Sums daily totals by the first keyLength characters of their 'YYYY-MM-DD' key.
+function groupDays(days, keyLength) {
+    const groups = new Map();
+    days.forEach(day => {
+        const key = day.day.slice(0, keyLength);
+        if (!groups.has(key)) {
+            groups.set(key, { key, underwayMeters: 0, movingSeconds: 0 });
+        }
+        groups.get(key).underwayMeters += day.underwayMeters;
+        groups.get(key).movingSeconds += day.movingSeconds;
+    });
+    return [...groups.values()].sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function fillMonthGaps(months) {
+    if (!months.length) {
+        return months;
+    }
+    const byKey = new Map(months.map(month => [month.key, month]));
+    const filled = [];
+    let [year, month] = months[0].key.split('-').map(Number);
+    const last = months.at(-1).key;
+
+    for (;;) {
+        const key = `${year}-${String(month).padStart(2, '0')}`;
+        filled.push(byKey.get(key) || { key, underwayMeters: 0, movingSeconds: 0 });
+        if (key === last) {
+            return filled;
+        }
+        month = month === 12 ? 1 : month + 1;
+        year = month === 1 ? year + 1 : year;
+    }
+}
@@ -0,0 +1,228 @@
+/**
+ * wind_analysis.js
+ *
+ * Turns the wind and speed values logged in point metadata into a wind rose
+ * (how often the wind blew from each direction, by strength) and a polar
+ * diagram (boat speed against true wind angle, by true wind speed). No DOM or
+ * Leaflet dependencies.
+ *
+ * Loggers name their fields differently (wind_angle_true vs windAngle, ...), so
+ * fields are matched on their normalized labels against the aliases below.
+ * True wind speed is used when logged, otherwise solved from apparent wind
+ * speed, true wind angle and SOG. True wind direction needs the boat's course,
+ * so it is only known while underway; course comes from a logged COG/heading
+ * or from the track itself.
+ *
+ * Exports:
+ *   - extractWindSamples(tracks): [{ time, twa, tws, aws, sog, twd }] for points with wind data.
+ *   - buildWindRose(samples): { sectors, speedBins, total, relative } frequency table.
+ *   - buildPolar(samples): { windBins, angles, total } with a boat speed per wind bin and angle.
+ *   - buildWindDistribution(samples): { speedBins, counts, total }, how many
+ *     readings while sailing fell in each wind speed bin.
+ *
+ * Dependencies:
+ *   - point_metadata.js (for normalizing point metadata)
+ *   - gpx_stats.js (for derived speed and course)
+ */
+import { normalizeMetadataEntries, getNumericValue } from './point_metadata.js';
+import { pointSpeedsKnots, initialBearing } from './gpx_stats.js';
+
+const FIELD_ALIASES = {
+    twa: ['wind angle true', 'true wind angle', 'twa', 'wind angle'],
+    tws: ['wind speed true', 'true wind speed', 'tws'],
+    aws: ['wind speed apparent', 'apparent wind speed', 'aws', 'wind speed'],
+    sog: ['speed over ground', 'sog', 'boat speed', 'speed through water', 'stw'],
+    course: ['course over ground', 'cog', 'true heading', 'heading']
+};
+
+const ROSE_SECTORS = 16;
+export const ROSE_SPEED_BINS = [0, 5, 10, 15, 20, 25];
+export const POLAR_WIND_BINS = [[0, 6], [6, 10], [10, 14], [14, 20], [20, Infinity]];
+const POLAR_ANGLE_STEP = 10;
+// Below this the boat is not sailing, so the sample says nothing about performance.
+const MIN_SAILING_SOG_KNOTS = 0.5;
+// A derived course is only trusted above this speed.
+const MIN_COURSE_SOG_KNOTS = 1;
+// Boat speed plotted for each polar cell: a high percentile approximates what
+// the boat does when sailed well, without chasing single surfing spikes.
+const POLAR_PERCENTILE = 0.9;
+const MIN_POLAR_SAMPLES = 3;
+
+export function extractWindSamples(tracks) {
+    const samples = [];
+
+    tracks.forEach(trk => trk.segments.forEach(segment => {
+        const points = segment.points;
+        const derivedSpeeds = pointSpeedsKnots(points);
+
+        points.forEach((point, i) => {
+            if (!point.meta) {
+                return;
+            }
+            const values = readWindFields(point.meta);
+            if (values.twa === null || (values.aws === null && values.tws === null)) {
+                return;
+            }
+
+            const twa = normalizeAngle(values.twa);
+            const sog = values.sog !== null ? values.sog : derivedSpeeds[i];
+            const tws = values.tws !== null ? values.tws : solveTrueWindSpeed(values.aws, twa, sog);
+            const course = values.course !== null ? values.course : deriveCourse(points, i, derivedSpeeds[i]);
+
+            samples.push({
+                time: point.time,
+                twa,
+                tws,
+                aws: values.aws,
+                sog,
+                twd: course !== null && sog !== null && sog >= MIN_COURSE_SOG_KNOTS
+                    ? (course + twa + 360) % 360
+                    : null
+            });
+        });
+    }));
+
+    return samples;
+}
+
+export function buildWindRose(samples) {
+    const directional = samples.filter(s => s.twd !== null);
+    // Without any course information fall back to angles relative to the bow.
+    const relative = directional.length === 0;
+    const usable = relative ? samples : directional;
+    const sectorSize = 360 / ROSE_SECTORS;
+
+    const sectors = Array.from({ length: ROSE_SECTORS }, (_, index) => ({
+        direction: index * sectorSize,
+        counts: new Array(ROSE_SPEED_BINS.length).fill(0),
+        total: 0
+    }));
+
+    usable.forEach(sample => {
+        const direction = relative ? (sample.twa + 360) % 360 : sample.twd;
+        const speed = sample.tws !== null ? sample.tws : sample.aws;
+        const sector = sectors[Math.round(direction / sectorSize) % ROSE_SECTORS];
+        sector.counts[findBin(ROSE_SPEED_BINS, speed)] += 1;
+        sector.total += 1;
+    });
+
+    return { sectors, speedBins: ROSE_SPEED_BINS, total: usable.length, relative };
+}
+
+export function buildPolar(samples) {
+    const angles = [];
+    for (let angle = 0; angle <= 180; angle += POLAR_ANGLE_STEP) {
+        angles.push(angle);
+    }
+
+    const cells = POLAR_WIND_BINS.map(() => angles.map(() => []));
+    let total = 0;
+
+    samples.forEach(sample => {
+        if (sample.tws === null || sample.sog === null || sample.sog < MIN_SAILING_SOG_KNOTS) {
+            return;
+        }
+        const windIndex = POLAR_WIND_BINS.findIndex(([low, high]) => sample.tws >= low && sample.tws < high);
+        if (windIndex === -1) {
+            return;
+        }
+        const angleIndex = Math.round(Math.abs(sample.twa) / POLAR_ANGLE_STEP);
+        cells[windIndex][angleIndex].push(sample.sog);
+        total += 1;
+    });
+
+    return {
+        angles,
+        total,
+        windBins: POLAR_WIND_BINS.map(([low, high], windIndex) => ({
+            low,
+            high,
+            speeds: cells[windIndex].map(values => (values.length >= MIN_POLAR_SAMPLES ? percentile(values, POLAR_PERCENTILE) : null)),
+            sampleCount: cells[windIndex].reduce((count, values) => count + values.length, 0)
+        }))
+    };
+}
+
+export function buildWindDistribution(samples) {
+    const counts = new Array(ROSE_SPEED_BINS.length).fill(0);
+    let total = 0;
+
+    samples.forEach(sample => {
+        const speed = sample.tws !== null ? sample.tws : sample.aws;
+        if (speed === null || sample.sog === null || sample.sog < MIN_SAILING_SOG_KNOTS) {
+            return;
+        }
+        counts[findBin(ROSE_SPEED_BINS, speed)] += 1;
+        total += 1;
+    });
+
+    return { speedBins: ROSE_SPEED_BINS, counts, total };
+}
+
+function readWindFields(meta) {
+    const byLabel = new Map();
+    normalizeMetadataEntries(meta).forEach(entry => {
+        const value = getNumericValue(entry.value);
+        if (value !== null) {
+            byLabel.set(entry.label.toLowerCase(), value);
+        }
+    });
+
+    const values = {};
+    Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+        const alias = aliases.find(name => byLabel.has(name));
+        values[field] = alias ? byLabel.get(alias) : null;
+    });
+    return values;
+}
+
+// Apparent wind is true wind plus the wind made by the boat's own motion:
+// aws² = tws² + sog² + 2·tws·sog·cos(twa), solved for tws.
+function solveTrueWindSpeed(aws, twa, sog) {
+    if (aws === null) {
+        return null;
+    }
+    if (sog === null || sog === 0) {
+        return aws;
+    }
+    const cosine = Math.cos(twa * Math.PI / 180);
+    const discriminant = sog * sog * cosine * cosine - sog * sog + aws * aws;
+    if (discriminant < 0) {
+        return null;
+    }
+    const tws = -sog * cosine + Math.sqrt(discriminant);
+    return tws >= 0 ? tws : null;
+}
+
+function deriveCourse(points, i, speed) {
+    if (speed === null || speed < MIN_COURSE_SOG_KNOTS) {
+        return null;
+    }
+    const from = points[Math.max(0, i - 1)];
+    const to = points[Math.min(points.length - 1, i + 1)];
+    if (from === to) {
+        return null;
+    }
+    return initialBearing(from.lat, from.lon, to.lat, to.lon);
+}
+
+// Signed angle in (-180, 180], positive to starboard.
+function normalizeAngle(angle) {
+    const wrapped = ((angle % 360) + 360) % 360;
+    return wrapped > 180 ? wrapped - 360 : wrapped;
+}
+
+function findBin(bins, value) {
+    let index = 0;
+    bins.forEach((lower, i) => {
+        if (value !== null && value >= lower) {
+            index = i;
+        }
+    });
+    return index;
+}
+
+function percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length - 1) * fraction))];
+}
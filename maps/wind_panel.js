@@ -0,0 +1,76 @@
+/**
+ * wind_panel.js
+ *
+ * Pop-up analysis view with a wind rose and a polar diagram for one track or
+ * every track in a folder, built from the wind data logged in the points.
+ *
+ * Exports:
+ *   - openWindAnalysis(title, paths): Loads the tracks and shows the panel.
+ *
+ * Dependencies:
+ *   - track_store.js (for loading parsed tracks)
+ *   - wind_analysis.js (for the rose and polar tables)
+ *   - wind_plots.js (for drawing them)
+ */
+import { loadTrack } from './track_store.js';
+import { extractWindSamples, buildWindRose, buildPolar } from './wind_analysis.js';
+import { renderWindRose, renderPolar } from './wind_plots.js';
+
+let requestCounter = 0;
+
+export async function openWindAnalysis(title, paths) {
+    const panel = document.getElementById('windPanel');
+    if (!panel) {
+        return;
+    }
+
+    const titleElement = document.getElementById('windPanelTitle');
+    const summary = document.getElementById('windPanelSummary');
+    const roseContainer = document.getElementById('windRose');
+    const polarContainer = document.getElementById('windPolar');
+    const closeButton = document.getElementById('closeWindPanel');
+
+    closeButton.onclick = () => panel.classList.add('hidden');
+    panel.onclick = (e) => {
+        if (e.target === panel) {
+            panel.classList.add('hidden');
+        }
+    };
+
+    const requestId = ++requestCounter;
+    titleElement.textContent = title;
+    summary.textContent = 'Loading...';
+    roseContainer.innerHTML = '';
+    polarContainer.innerHTML = '';
+    panel.classList.remove('hidden');
+
+    const results = await Promise.allSettled(paths.map(path => loadTrack(path)));
+    if (requestId !== requestCounter) {
+        return;
+    }
+
+    const samples = results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => extractWindSamples(result.value.model.tracks));
+    const failed = results.filter(result => result.status === 'rejected').length;
+
+    if (!samples.length) {
+        summary.textContent = 'No wind data logged in ' + (paths.length === 1 ? 'this track.' : 'these tracks.');
+        return;
+    }
+
+    const rose = buildWindRose(samples);
+    const polar = buildPolar(samples);
+    const fileCount = paths.length - failed;
+
+    summary.textContent = `${samples.length} wind readings from ${fileCount} track${fileCount === 1 ? '' : 's'}`
+        + (rose.relative ? ' • no course data, rose shows wind relative to the bow' : '')
+        + (failed ? ` • ${failed} track${failed === 1 ? '' : 's'} failed to load` : '');
+
+    renderWindRose(roseContainer, rose);
+    if (polar.total) {
+        renderPolar(polarContainer, polar);
+    } else {
+        polarContainer.textContent = 'Not enough readings while sailing for a polar diagram.';
+    }
+}
@@ -0,0 +1,198 @@
+/**
+ * wind_plots.js
+ *
+ * SVG renderers for the wind rose and polar diagram built by wind_analysis.js.
+ *
+ * Exports:
+ *   - renderWindRose(container, rose): Draws stacked wedges per direction sector.
+ *   - renderPolar(container, polar): Draws one boat-speed curve per wind speed bin.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const RADIUS = SIZE / 2 - 28;
+const SPEED_BIN_COLORS = ['#c6dbef', '#6baed6', '#3182bd', '#08519c', '#f16913', '#a50f15'];
+const WIND_BIN_COLORS = ['#9ecae1', '#4292c6', '#41ab5d', '#fd8d3c', '#cb181d'];
+const COMPASS_LABELS = ['N', 'E', 'S', 'W'];
+
+export function renderWindRose(container, rose) {
+    container.innerHTML = '';
+    const svg = createSvg(SIZE, SIZE);
+
+    const maxShare = Math.max(...rose.sectors.map(s => s.total)) / (rose.total || 1);
+    const ringStep = niceStep(maxShare * 100);
+    const scale = share => (share * 100 / (Math.ceil(maxShare * 100 / ringStep) * ringStep || 1)) * RADIUS;
+
+    for (let ring = ringStep; ring <= Math.ceil(maxShare * 100 / ringStep) * ringStep; ring += ringStep) {
+        appendCircle(svg, scale(ring / 100), 'wind-plot-grid');
+        appendText(svg, CENTER + 2, CENTER - scale(ring / 100) - 2, `${ring}%`, 'wind-plot-ring-label');
+    }
+    (rose.relative ? ['Bow', 'Stbd', 'Stern', 'Port'] : COMPASS_LABELS).forEach((label, i) => {
+        const [x, y] = polarToXY(i * 90, RADIUS + 14);
+        appendText(svg, x, y + 4, label, 'wind-plot-axis-label');
+    });
+
+    const halfWidth = 360 / rose.sectors.length / 2 * 0.85;
+    rose.sectors.forEach(sector => {
+        let inner = 0;
+        sector.counts.forEach((count, binIndex) => {
+            if (!count) {
+                return;
+            }
+            const outer = inner + scale(count / rose.total);
+            const path = document.createElementNS(SVG_NS, 'path');
+            path.setAttribute('d', wedgePath(sector.direction - halfWidth, sector.direction + halfWidth, inner, outer));
+            path.setAttribute('fill', SPEED_BIN_COLORS[binIndex % SPEED_BIN_COLORS.length]);
+            path.classList.add('wind-plot-wedge');
+            svg.appendChild(path);
+            inner = outer;
+        });
+    });
+
+    container.appendChild(svg);
+    container.appendChild(createLegend(rose.speedBins.map((low, i) => {
+        const high = rose.speedBins[i + 1];
+        return { color: SPEED_BIN_COLORS[i % SPEED_BIN_COLORS.length], label: high ? `${low}–${high} kn` : `${low}+ kn` };
+    })));
+}
+
+export function renderPolar(container, polar) {
+    container.innerHTML = '';
+    // Right half of a circle: 0° (head to wind) at the top, 180° at the bottom.
+    const svg = createSvg(SIZE / 2 + 40, SIZE);
+    const offsetX = 20 - CENTER;
+
+    const maxSpeed = Math.max(1, ...polar.windBins.flatMap(bin => bin.speeds.filter(v => v !== null)));
+    const ringStep = niceStep(maxSpeed);
+    const maxRing = Math.ceil(maxSpeed / ringStep) * ringStep;
+    const scale = speed => (speed / maxRing) * RADIUS;
+
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.setAttribute('transform', `translate(${offsetX} 0)`);
+    svg.appendChild(group);
+
+    for (let ring = ringStep; ring <= maxRing; ring += ringStep) {
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', arcPath(0, 180, scale(ring)));
+        path.classList.add('wind-plot-grid');
+        group.appendChild(path);
+        const [x, y] = polarToXY(0, scale(ring));
+        appendText(group, x - 4, y + 4, `${ring} kn`, 'wind-plot-ring-label');
+    }
+    [45, 90, 135].forEach(angle => {
+        const [x1, y1] = polarToXY(angle, 0);
+        const [x2, y2] = polarToXY(angle, RADIUS);
+        appendLine(group, x1, y1, x2, y2, 'wind-plot-grid');
+        const [lx, ly] = polarToXY(angle, RADIUS + 14);
+        appendText(group, lx, ly + 4, `${angle}°`, 'wind-plot-axis-label');
+    });
+
+    polar.windBins.forEach((bin, binIndex) => {
+        let d = '';
+        let penDown = false;
+        bin.speeds.forEach((speed, i) => {
+            if (speed === null) {
+                penDown = false;
+                return;
+            }
+            const [x, y] = polarToXY(polar.angles[i], scale(speed));
+            d += `${penDown ? 'L' : 'M'}${x.toFixed(1)} ${y.toFixed(1)}`;
+            penDown = true;
+        });
+        if (!d) {
+            return;
+        }
+        const path = document.createElementNS(SVG_NS, 'path');
+        path.setAttribute('d', d);
+        path.setAttribute('stroke', WIND_BIN_COLORS[binIndex % WIND_BIN_COLORS.length]);
+        path.classList.add('wind-plot-polar-line');
+        group.appendChild(path);
+    });
+
+    container.appendChild(svg);
+    container.appendChild(createLegend(polar.windBins.map((bin, i) => ({
+        color: WIND_BIN_COLORS[i % WIND_BIN_COLORS.length],
+        label: `${Number.isFinite(bin.high) ? `${bin.low}–${bin.high}` : `${bin.low}+`} kn TWS (${bin.sampleCount})`
+    }))));
+}
+
+function createSvg(width, height) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.classList.add('wind-plot');
+    return svg;
+}
+
+function createLegend(items) {
+    const legend = document.createElement('div');
+    legend.className = 'wind-plot-legend';
+    items.forEach(({ color, label }) => {
+        const item = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'wind-plot-swatch';
+        swatch.style.background = color;
+        item.append(swatch, label);
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+// Compass-style angle: 0° up, increasing clockwise.
+function polarToXY(angle, radius) {
+    const radians = (angle - 90) * Math.PI / 180;
+    return [CENTER + radius * Math.cos(radians), CENTER + radius * Math.sin(radians)];
+}
+
+function wedgePath(startAngle, endAngle, innerRadius, outerRadius) {
+    const [x1, y1] = polarToXY(startAngle, outerRadius);
+    const [x2, y2] = polarToXY(endAngle, outerRadius);
+    const [x3, y3] = polarToXY(endAngle, innerRadius);
+    const [x4, y4] = polarToXY(startAngle, innerRadius);
+    return `M${x1} ${y1}A${outerRadius} ${outerRadius} 0 0 1 ${x2} ${y2}`
+        + `L${x3} ${y3}A${innerRadius} ${innerRadius} 0 0 0 ${x4} ${y4}Z`;
+}
+
+function arcPath(startAngle, endAngle, radius) {
+    const [x1, y1] = polarToXY(startAngle, radius);
+    const [x2, y2] = polarToXY(endAngle, radius);
+    return `M${x1} ${y1}A${radius} ${radius} 0 0 1 ${x2} ${y2}`;
+}
+
+function appendCircle(svg, radius, className) {
+    const circle = document.createElementNS(SVG_NS, 'circle');
+    circle.setAttribute('cx', CENTER);
+    circle.setAttribute('cy', CENTER);
+    circle.setAttribute('r', radius);
+    circle.classList.add(className);
+    svg.appendChild(circle);
+}
+
+function appendLine(svg, x1, y1, x2, y2, className) {
+    const line = document.createElementNS(SVG_NS, 'line');
+    line.setAttribute('x1', x1);
+    line.setAttribute('y1', y1);
+    line.setAttribute('x2', x2);
+    line.setAttribute('y2', y2);
+    line.classList.add(className);
+    svg.appendChild(line);
+}
+
+function appendText(svg, x, y, text, className) {
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.textContent = text;
+    label.classList.add(className);
+    svg.appendChild(label);
+}
+
+// 1, 2 or 5 times a power of ten, giving three to five rings.
+function niceStep(maxValue) {
+    const rough = Math.max(maxValue, 1e-6) / 4;
+    const power = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(m => m * power).find(s => s >= rough);
+    return step;
+}
@@ -0,0 +1,195 @@
+/**
+ * build_gallery_images.mjs
+ *
+ * Generates the gallery images from the original photos in images/Raw Images,
+ * replacing the XnConvert conversion profiles. An original at
+ * images/Raw Images/<album path>/<photo>.jpg becomes, in
+ * images/gallery/<album path>/ (the album layout of GALLERY_DIRECTORY in
+ * maps/constants.js; originals directly in images/Raw Images are loose photos):
+ *   previews/<photo>_preview.jpg          400 px wide, shown wherever one size does
+ *   previews/<photo>_preview-<w>w.avif    AVIF and WebP at 400 and 800 px for srcset
+ *   previews/<photo>_preview-<w>w.webp
+ *   fullres/<photo>_fullres.jpg           2048 px wide, the lightbox download
+ *   fullres/<photo>_fullres-<w>w.avif     AVIF and WebP at 1024 and 2048 px
+ *   fullres/<photo>_fullres-<w>w.webp
+ * Photos are turned upright and never enlarged; a photo narrower than a width
+ * gets one variant at its own width instead. Other files of the same photo in
+ * those folders (e.g. the PNGs XnConvert wrote) are removed.
+ *
+ * The EXIF policy decides what metadata the images carry:
+ *   --exif=keep   (default) copy the original's EXIF (capture time, GPS
+ *                 position, camera), which the gallery reads when it has to
+ *                 list the photos without gallery.json
+ *   --exif=strip  write no metadata: smaller files that do not give away the
+ *                 camera's details; gallery.json still records what the
+ *                 gallery shows, as the sidecar script reads the originals
+ *
+ * Originals older than their images are skipped; --force regenerates them all.
+ * Afterwards scripts/build_gallery_sidecar.mjs is run to update
+ * images/gallery/gallery.json, the manifest the gallery reads the images from.
+ *
+ * Usage (sharp is installed by npm install):
+ *   npm install
+ *   TZ=America/New_York node scripts/build_gallery_images.mjs [--exif=keep|strip] [--force]
+ *
+ * Run it (and commit the result) whenever photos are added to images/Raw Images.
+ */
+import { readdir, stat, unlink, mkdir } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+import { parseGalleryPath } from '../maps/photo_metadata.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RAW_DIRECTORY = 'images/Raw Images';
+// Keep in sync with the GALLERY_* constants in maps/constants.js.
+const GALLERY_LAYOUT = { directory: 'images/gallery', previews: 'previews', fullres: 'fullres' };
+const SIDECAR_SCRIPT = 'scripts/build_gallery_sidecar.mjs';
+const RAW_EXTENSIONS = /\.(jpe?g|png|tiff?|heic|webp)$/i;
+// The JPEG every browser can show is written at jpegWidth, the srcset
+// variants at each of widths.
+const VARIANTS = [
+  { kind: 'preview', folder: GALLERY_LAYOUT.previews, jpegWidth: 400, widths: [400, 800] },
+  { kind: 'fullres', folder: GALLERY_LAYOUT.fullres, jpegWidth: 2048, widths: [1024, 2048] }
+];
+const JPEG_OPTIONS = { quality: 85, mozjpeg: true };
+const FORMATS = [
+  { extension: 'avif', options: { quality: 50 } },
+  { extension: 'webp', options: { quality: 80 } }
+];
+const EXIF_POLICIES = ['keep', 'strip'];
+
+// Every file below a directory, as paths relative to the repository root.
+async function listFiles(directory) {
+  const files = [];
+  let entries;
+  try {
+    entries = await readdir(path.join(REPO_ROOT, directory), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+  for (const entry of entries) {
+    const relativePath = `${directory}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+async function modifiedTime(file) {
+  try {
+    return (await stat(path.join(REPO_ROOT, file))).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+function parseArguments(args) {
+  const options = { exif: 'keep', force: false };
+  for (const arg of args) {
+    if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('--exif=')) {
+      options.exif = arg.slice('--exif='.length);
+    } else {
+      throw new Error(`Unknown argument ${arg}`);
+    }
+  }
+  if (!EXIF_POLICIES.includes(options.exif)) {
+    throw new Error(`--exif must be one of ${EXIF_POLICIES.join(', ')}`);
+  }
+  return options;
+}
+
+// The widths to write for a photo originalWidth pixels wide, without enlarging it.
+function fitWidths(widths, originalWidth) {
+  const fitting = widths.filter(width => width <= originalWidth);
+  if (fitting.length < widths.length) {
+    fitting.push(originalWidth);
+  }
+  return [...new Set(fitting)];
+}
+
+// Writes one photo's images for a variant and returns the files written.
+async function writeVariant(original, { album, name }, variant, originalWidth, exifPolicy) {
+  const folder = [GALLERY_LAYOUT.directory, album, variant.folder].filter(Boolean).join('/');
+  await mkdir(path.join(REPO_ROOT, folder), { recursive: true });
+
+  const resized = width => {
+    const image = sharp(path.join(REPO_ROOT, original)).rotate().resize({ width, withoutEnlargement: true });
+    // sharp drops the metadata unless asked to keep it; the orientation is
+    // reset as rotate() has turned the pixels upright.
+    return exifPolicy === 'keep' ? image.withMetadata({ orientation: 1 }) : image;
+  };
+
+  const jpegFile = `${folder}/${name}_${variant.kind}.jpg`;
+  await resized(Math.min(variant.jpegWidth, originalWidth)).jpeg(JPEG_OPTIONS).toFile(path.join(REPO_ROOT, jpegFile));
+  const files = [jpegFile];
+  for (const width of fitWidths(variant.widths, originalWidth)) {
+    for (const format of FORMATS) {
+      const file = `${folder}/${name}_${variant.kind}-${width}w.${format.extension}`;
+      await resized(width).toFormat(format.extension, format.options).toFile(path.join(REPO_ROOT, file));
+      files.push(file);
+    }
+  }
+  return files;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const originals = (await listFiles(RAW_DIRECTORY)).filter(file => RAW_EXTENSIONS.test(file)).sort();
+  const galleryImages = (await listFiles(GALLERY_LAYOUT.directory))
+    .map(file => ({ file, ...parseGalleryPath(file, GALLERY_LAYOUT) }))
+    .filter(image => image.kind);
+
+  let written = 0;
+  let skipped = 0;
+  for (const original of originals) {
+    const relativePath = original.slice(RAW_DIRECTORY.length + 1);
+    const photo = {
+      album: path.posix.dirname(relativePath) === '.' ? '' : path.posix.dirname(relativePath),
+      name: path.posix.basename(relativePath).replace(RAW_EXTENSIONS, '')
+    };
+    const existing = galleryImages.filter(image => image.album === photo.album && image.name === photo.name);
+
+    // Up to date when every variant's JPEG is newer than the original.
+    const originalTime = await modifiedTime(original);
+    const jpegTimes = await Promise.all(VARIANTS.map(variant => modifiedTime(
+      [GALLERY_LAYOUT.directory, photo.album, variant.folder, `${photo.name}_${variant.kind}.jpg`].filter(Boolean).join('/'))));
+    if (!options.force && jpegTimes.every(time => time !== null && time >= originalTime)) {
+      skipped++;
+      continue;
+    }
+
+    // EXIF orientations 5 to 8 turn the photo on its side.
+    const metadata = await sharp(path.join(REPO_ROOT, original)).metadata();
+    const originalWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+    const files = [];
+    for (const variant of VARIANTS) {
+      files.push(...await writeVariant(original, photo, variant, originalWidth, options.exif));
+    }
+    for (const { file } of existing.filter(image => !files.includes(image.file))) {
+      await unlink(path.join(REPO_ROOT, file));
+      console.log(`Removed ${file}`);
+    }
+    console.log(`${original}: ${files.length} images`);
+    written++;
+  }
+  console.log(`Wrote the images of ${written} photo${written === 1 ? '' : 's'} (${skipped} up to date, EXIF: ${options.exif})`);
+
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, [path.join(REPO_ROOT, SIDECAR_SCRIPT)]);
+  process.stdout.write(stdout);
+  process.stderr.write(stderr);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+/**
+ * build_gallery_sidecar.mjs
+ *
+ * Generates images/gallery/gallery.json, the committed description of every
+ * gallery photo and album that the home page gallery, the album pages and the
+ * map's photo layer read instead of listing the gallery through the GitHub
+ * tree API and downloading each image for its EXIF. Each photo records its
+ * name, album, preview and full-size paths (relative to the site root), the
+ * AVIF/WebP variants of each for srcset ({ path, width, type }), capture time
+ * (ISO, UTC), GPS position, camera, EXIF description, caption, the voyage
+ * (track folder under maps/gpxFiles/) sailed when it was taken and the name of
+ * the place it was taken from maps/places.json (or the home port). Each album
+ * records its path, title, description and track folder (see
+ * GALLERY_DIRECTORY in maps/constants.js for the folder layout and
+ * album.json).
+ *
+ * The EXIF is read with maps/exif.js from the original in images/Raw Images
+ * (as laid out by scripts/build_gallery_images.mjs, which runs this script
+ * after writing the images), else the full-size image, else the preview;
+ * voyages come from maps/gpxFiles/manifest.json, so build that first.
+ * Captions are optional and come from images/gallery/captions.json:
+ *   { "PXL_20260518_222813108": "Sunset over the Severn" }
+ * keyed by the photo name (the file name without _preview/_fullres and extension).
+ *
+ * Cameras that do not record their UTC offset are taken to be set to the time
+ * zone the script runs in, so run it in the boat's time zone, e.g.
+ *   TZ=America/New_York node scripts/build_gallery_sidecar.mjs
+ *
+ * Usage:
+ *   node scripts/build_gallery_sidecar.mjs
+ *
+ * Run it (and commit the result) whenever the gallery or its captions change.
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readExif } from '../maps/exif.js';
+import { formatCamera, findVoyage, sortPhotos, describeAlbum, parseGalleryPath } from '../maps/photo_metadata.js';
+import { findPlaceName } from '../maps/anchorages.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+// Keep in sync with the GALLERY_* constants in maps/constants.js.
+const GALLERY_LAYOUT = { directory: 'images/gallery', previews: 'previews', fullres: 'fullres' };
+// Keep in sync with scripts/build_gallery_images.mjs.
+const RAW_DIRECTORY = 'images/Raw Images';
+const RAW_EXTENSIONS = /\.(jpe?g|png|tiff?|heic|webp)$/i;
+const ALBUM_FILE = 'album.json';
+const SIDECAR_FILE = 'images/gallery/gallery.json';
+const CAPTIONS_FILE = 'images/gallery/captions.json';
+const MANIFEST_FILE = 'maps/gpxFiles/manifest.json';
+const PLACES_FILE = 'maps/places.json';
+// Keep in sync with HOME_PORT in maps/constants.js.
+const HOME_PORT = { name: 'Home port', lat: 39.279545, lon: -76.584707 };
+
+// Every file below a directory, as paths relative to the repository root.
+async function listFiles(directory) {
+  const files = [];
+  let entries;
+  try {
+    entries = await readdir(path.join(REPO_ROOT, directory), { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+  for (const entry of entries) {
+    const relativePath = `${directory}/${entry.name}`;
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+async function readOptionalJson(file) {
+  try {
+    return JSON.parse(await readFile(path.join(REPO_ROOT, file), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+async function readImageExif(file) {
+  const buffer = await readFile(path.join(REPO_ROOT, file));
+  return readExif(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+}
+
+async function main() {
+  const images = (await listFiles(GALLERY_LAYOUT.directory))
+    .map(file => ({ file, ...parseGalleryPath(file, GALLERY_LAYOUT) }))
+    .filter(image => image.kind);
+  const fullresPaths = new Map(images
+    .filter(image => image.kind === 'fullres' && image.width === null)
+    .map(image => [`${image.album}/${image.name}`, image.file]));
+  // Originals by album and photo name: images/Raw Images/<album>/<photo>.jpg.
+  const originalPaths = new Map((await listFiles(RAW_DIRECTORY))
+    .filter(file => RAW_EXTENSIONS.test(file))
+    .map(file => {
+      const relativePath = file.slice(RAW_DIRECTORY.length + 1).replace(RAW_EXTENSIONS, '');
+      const album = path.posix.dirname(relativePath);
+      return [`${album === '.' ? '' : album}/${path.posix.basename(relativePath)}`, file];
+    }));
+  const sourcesOf = (kind, album, name) => images
+    .filter(image => image.kind === kind && image.width !== null && image.album === album && image.name === name)
+    .sort((a, b) => a.width - b.width || a.type.localeCompare(b.type))
+    .map(image => ({ path: image.file, width: image.width, type: image.type }));
+  const captions = await readOptionalJson(CAPTIONS_FILE) || {};
+  const manifest = await readOptionalJson(MANIFEST_FILE);
+  const gazetteer = await readOptionalJson(PLACES_FILE);
+  if (!manifest) {
+    console.warn(`${MANIFEST_FILE} not found; photos are not matched to voyages`);
+  }
+
+  const photos = [];
+  for (const { file: preview, album, name } of images.filter(image => image.kind === 'preview' && image.width === null)) {
+    const original = originalPaths.get(`${album}/${name}`);
+    const fullres = fullresPaths.get(`${album}/${name}`) || null;
+    const exif = (original && await readImageExif(original)) || (fullres && await readImageExif(fullres)) || await readImageExif(preview);
+    const time = exif ? exif.time : null;
+    const lat = exif ? exif.lat : null;
+    const lon = exif ? exif.lon : null;
+
+    photos.push({
+      name,
+      album,
+      preview,
+      fullres,
+      previewSources: sourcesOf('preview', album, name),
+      fullresSources: sourcesOf('fullres', album, name),
+      time,
+      lat,
+      lon,
+      camera: exif ? formatCamera(exif.make, exif.model) : '',
+      description: exif ? exif.description : '',
+      caption: typeof captions[name] === 'string' ? captions[name] : '',
+      voyage: manifest ? findVoyage(time, manifest.tracks || []) : null,
+      place: lat !== null && gazetteer ? findPlaceName(lat, lon, gazetteer.places || [], HOME_PORT) : ''
+    });
+  }
+
+  const albums = [];
+  for (const album of [...new Set(photos.map(photo => photo.album).filter(Boolean))].sort()) {
+    albums.push(describeAlbum(album, await readOptionalJson(`${GALLERY_LAYOUT.directory}/${album}/${ALBUM_FILE}`)));
+  }
+
+  const unknownCaptions = Object.keys(captions).filter(name => !photos.some(photo => photo.name === name));
+  if (unknownCaptions.length) {
+    console.warn(`Captions for photos not in the gallery: ${unknownCaptions.join(', ')}`);
+  }
+
+  const sidecar = {
+    version: 1,
+    albums,
+    photos: sortPhotos(photos).map(photo => ({
+      ...photo,
+      time: photo.time !== null ? new Date(photo.time).toISOString() : null
+    }))
+  };
+  await writeFile(path.join(REPO_ROOT, SIDECAR_FILE), JSON.stringify(sidecar, null, 2) + '\n');
+  console.log(`Wrote ${photos.length} photos in ${albums.length} album${albums.length === 1 ? '' : 's'} to ${SIDECAR_FILE}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,221 @@
+/**
+ * build_gpx_manifest.mjs
+ *
+ * Generates maps/gpxFiles/manifest.json, the committed index of every track
+ * (GPX files and raw NMEA 0183 .nmea/.log logs) that the map reads instead of
+ * calling the GitHub tree API on each page load.
+ * Each entry records the track path (relative to maps/), first/last timestamp,
+ * duration, distance, underway/anchored/docked time, average and max SOG,
+ * passage count, bounds, point count, the track's name/desc/type/creator and
+ * every GPX <name>/<desc> text so the track list can be sorted, labelled and
+ * searched without downloading every file, plus the git blob SHA that the
+ * browser's IndexedDB track cache uses to tell whether a file has changed.
+ *
+ * Statistics come from maps/gpx_stats.js and the name/desc/type/creator from
+ * maps/track_metadata.js, the same modules the browser uses, and NMEA logs are
+ * read with maps/nmea_parser.js.
+ *
+ * Usage:
+ *   node scripts/build_gpx_manifest.mjs   (Node 20.19+ or 22.7+)
+ *
+ * Run it (and commit the result) whenever files under maps/gpxFiles change.
+ */
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createHash } from 'node:crypto';
+import { summarizeTracks } from '../maps/gpx_stats.js';
+import { parseNmeaModel } from '../maps/nmea_parser.js';
+import { readTrackHeader } from '../maps/track_metadata.js';
+
+const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const WEBPAGE_ROOT_DIRECTORY = 'maps';
+const GPX_DIRECTORY = 'gpxFiles';
+const MANIFEST_FILE = 'manifest.json';
+// Keep in sync with TRACK_FILE_EXTENSIONS in maps/constants.js.
+const TRACK_FILE_EXTENSIONS = ['.gpx', '.nmea', '.log'];
+const NMEA_EXTENSIONS = ['.nmea', '.log'];
+
+async function listTrackFiles(directory) {
+  const files = [];
+  for (const entry of await readdir(directory, { withFileTypes: true })) {
+    const fullPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listTrackFiles(fullPath));
+    } else if (TRACK_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+// Lightweight scan of <trk>/<trkseg>/<trkpt> structure. Element names may
+// carry a namespace prefix and lat/lon may appear in either order.
+function readTracks(gpxText) {
+  const trkPattern = /<(?:\w+:)?trk\b[^>]*>([\s\S]*?)<\/(?:\w+:)?trk>/g;
+  const trksegPattern = /<(?:\w+:)?trkseg\b[^>]*>([\s\S]*?)<\/(?:\w+:)?trkseg>/g;
+  const trkptPattern = /<(?:\w+:)?trkpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:\w+:)?trkpt>)/g;
+
+  return [...gpxText.matchAll(trkPattern)].map(([, trkBody]) => ({
+    segments: [...trkBody.matchAll(trksegPattern)].map(([, segmentBody]) => {
+      const points = [];
+      for (const [, attributes, body = ''] of segmentBody.matchAll(trkptPattern)) {
+        const lat = Number.parseFloat((attributes.match(/\blat\s*=\s*["']([^"']+)["']/) || [])[1]);
+        const lon = Number.parseFloat((attributes.match(/\blon\s*=\s*["']([^"']+)["']/) || [])[1]);
+        if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+        const timeMatch = body.match(/<(?:\w+:)?time>([^<]+)<\/(?:\w+:)?time>/);
+        const rawTime = timeMatch ? timeMatch[1].trim() : null;
+        const time = rawTime ? new Date(rawTime).getTime() : NaN;
+        points.push({ lat, lon, rawTime, time: Number.isFinite(time) ? time : null });
+      }
+      return { points };
+    })
+  }));
+}
+
+// The descriptive part of a GPX file as a model without points: <gpx creator>,
+// <metadata> name/desc and each <trk>'s name/desc/type (not its points').
+function readGpxHeader(gpxText) {
+  const trkPattern = /<(?:\w+:)?trk\b[^>]*>([\s\S]*?)<\/(?:\w+:)?trk>/g;
+  const trksegPattern = /<(?:\w+:)?trkseg\b[^>]*>[\s\S]*?<\/(?:\w+:)?trkseg>/g;
+  const metadataMatch = gpxText.match(/<(?:\w+:)?metadata\b[^>]*>([\s\S]*?)<\/(?:\w+:)?metadata>/);
+  const creatorMatch = gpxText.match(/<(?:\w+:)?gpx\b[^>]*?\bcreator\s*=\s*["']([^"']*)["']/);
+
+  const readText = (body, name) => {
+    const match = body.match(new RegExp(`<(?:\\w+:)?${name}>([^<]*)</(?:\\w+:)?${name}>`));
+    return match ? decodeXmlText(match[1]).trim() : '';
+  };
+  // <metadata><author> and <link> have their own <name>/<text>.
+  const metadataBody = metadataMatch
+    ? metadataMatch[1].replace(/<(?:\w+:)?(author|link)\b[\s\S]*?<\/(?:\w+:)?\1>/g, '')
+    : '';
+
+  return {
+    metadata: {
+      name: readText(metadataBody, 'name'),
+      desc: readText(metadataBody, 'desc'),
+      creator: creatorMatch ? decodeXmlText(creatorMatch[1]) : ''
+    },
+    tracks: [...gpxText.matchAll(trkPattern)].map(([, trkBody]) => {
+      const body = trkBody.replace(trksegPattern, '');
+      return { name: readText(body, 'name'), desc: readText(body, 'desc'), type: readText(body, 'type') };
+    })
+  };
+}
+
+// Every name and description for the map's search box, skipping the JSON
+// readings loggers put in <desc>.
+function collectNames(header) {
+  const names = [];
+  [header.metadata.name, header.metadata.desc, ...header.tracks.flatMap(trk => [trk.name, trk.desc])].forEach(name => {
+    if (name && !name.startsWith('{') && !names.includes(name)) {
+      names.push(name);
+    }
+  });
+  return names;
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// NMEA times are UTC, so the raw time is written as an ISO string with a zone.
+function readNmeaTracks(localPath, model) {
+  const { checksumErrors, unreadable } = model.parseStats;
+  if (checksumErrors || unreadable) {
+    console.warn(`${localPath}: skipped ${checksumErrors} sentence(s) with a bad checksum and ${unreadable} unreadable sentence(s)`);
+  }
+  return model.tracks.map(track => ({
+    segments: track.segments.map(segment => ({
+      points: segment.points.map(({ lat, lon, time }) => ({
+        lat,
+        lon,
+        rawTime: time !== null ? new Date(time).toISOString() : null,
+        time
+      }))
+    }))
+  }));
+}
+
+// Same value as `git hash-object`, and as the sha the GitHub tree API reports.
+function gitBlobSha(buffer) {
+  return createHash('sha1')
+    .update(`blob ${buffer.length}\0`)
+    .update(buffer)
+    .digest('hex');
+}
+
+function summarizeTrack(localPath, text) {
+  const isNmea = NMEA_EXTENSIONS.includes(path.extname(localPath).toLowerCase());
+  const nmeaModel = isNmea ? parseNmeaModel(text) : null;
+  const tracks = isNmea ? readNmeaTracks(localPath, nmeaModel) : readTracks(text);
+  const headerModel = isNmea ? nmeaModel : readGpxHeader(text);
+  const header = readTrackHeader(headerModel);
+  const points = tracks.flatMap(track => track.segments.flatMap(segment => segment.points));
+  const timed = points.filter(p => p.time !== null);
+  const stats = summarizeTracks(tracks);
+
+  const lats = points.map(p => p.lat);
+  const lons = points.map(p => p.lon);
+  const bounds = points.length
+    ? [[Math.min(...lats), Math.min(...lons)], [Math.max(...lats), Math.max(...lons)]]
+    : null;
+
+  // Timestamps are kept exactly as written so the browser interprets them the
+  // same way it does when it parses the GPX file itself.
+  const byTime = [...timed].sort((a, b) => a.time - b.time);
+
+  return {
+    path: localPath,
+    firstTime: byTime.length ? byTime[0].rawTime : null,
+    lastTime: byTime.length ? byTime.at(-1).rawTime : null,
+    durationSeconds: Math.round(stats.durationSeconds),
+    distanceMeters: Math.round(stats.distanceMeters),
+    movingSeconds: Math.round(stats.movingSeconds),
+    anchoredSeconds: Math.round(stats.anchoredSeconds),
+    dockedSeconds: Math.round(stats.dockedSeconds),
+    avgSogKnots: Number(stats.avgSogKnots.toFixed(2)),
+    maxSogKnots: Number(stats.maxSogKnots.toFixed(2)),
+    passageCount: stats.passageCount,
+    bounds,
+    pointCount: points.length,
+    name: header.name,
+    desc: header.desc,
+    type: header.type,
+    creator: header.creator,
+    names: collectNames(headerModel)
+  };
+}
+
+async function main() {
+  const webRoot = path.join(REPO_ROOT, WEBPAGE_ROOT_DIRECTORY);
+  const gpxRoot = path.join(webRoot, GPX_DIRECTORY);
+  const files = await listTrackFiles(gpxRoot);
+
+  const tracks = [];
+  for (const file of files) {
+    const localPath = path.relative(webRoot, file).split(path.sep).join('/');
+    const buffer = await readFile(file);
+    tracks.push({
+      ...summarizeTrack(localPath, buffer.toString('utf8')),
+      sha: gitBlobSha(buffer)
+    });
+  }
+  tracks.sort((a, b) => a.path.localeCompare(b.path));
+
+  const manifest = { version: 1, tracks };
+  const manifestPath = path.join(gpxRoot, MANIFEST_FILE);
+  await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+  console.log(`Wrote ${tracks.length} tracks to ${path.relative(REPO_ROOT, manifestPath)}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});